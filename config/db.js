@@ -1,5 +1,6 @@
 require('dotenv').config();
 const { MongoClient, ServerApiVersion } = require('mongodb');
+const { ensureIndexes } = require('./indexes');
 
 let db;
 let client;
@@ -23,12 +24,33 @@ async function connectToDatabase() {
     await client.connect();
     db = client.db(); // or client.db("bookstore")
     console.log("Connected to MongoDB");
+    await ensureIndexes(db);
   } catch (err) {
     console.error("Failed to connect to MongoDB", err);
-    process.exit(1);
+    // The caller decides whether to give up; server.js exits
+    await client.close().catch(() => {});
+    db = null;
+    throw err;
   }
 }
 
+/**
+ * Round trip to the server, for health checks
+ */
+async function pingDatabase() {
+  await getDb().command({ ping: 1 });
+}
+
+/**
+ * Close the connection pool; getDb() fails afterwards
+ */
+async function closeDatabase() {
+  if (!client) return;
+  await client.close();
+  db = null;
+  console.log("MongoDB connection closed");
+}
+
 function getDb() {
   if (!db) {
     throw new Error("Database not connected");
@@ -45,6 +67,8 @@ function getClient() {
 
 module.exports = {
   connectToDatabase,
+  pingDatabase,
+  closeDatabase,
   getDb,
   getClient
 };
\ No newline at end of file
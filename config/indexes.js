@@ -0,0 +1,81 @@
+// config/indexes.js
+
+/**
+ * Drop an index created by an older version with different options,
+ * so it can be recreated
+ */
+async function dropIndexIfPresent(collection, name, matches) {
+  let indexes;
+  try {
+    indexes = await collection.indexes();
+  } catch (error) {
+    // NamespaceNotFound: the collection does not exist yet
+    if (error.code === 26) return;
+    throw error;
+  }
+  if (indexes.some(index => index.name === name && matches(index))) {
+    await collection.dropIndex(name);
+  }
+}
+
+/**
+ * Create the indexes every collection relies on. Safe to run on each startup.
+ */
+async function ensureIndexes(db) {
+  await db.collection('books').createIndex({ isbn: 1 }, { unique: true, sparse: true });
+  await db.collection('books').createIndex({ active: 1, category: 1 });
+
+  // One order per Razorpay order, however many times verify/webhook fire
+  await db.collection('orders').createIndex(
+    { razorpayOrderId: 1 },
+    { unique: true, partialFilterExpression: { razorpayOrderId: { $type: 'string' } } }
+  );
+  // A payment can only ever pay for one order
+  await dropIndexIfPresent(db.collection('orders'), 'paymentId_1', index => !index.unique);
+  await db.collection('orders').createIndex(
+    { paymentId: 1 },
+    { unique: true, partialFilterExpression: { paymentId: { $type: 'string' } } }
+  );
+  await db.collection('orders').createIndex({ status: 1, createdAt: -1 });
+  await db.collection('orders').createIndex({ customerId: 1, createdAt: -1 });
+  await db.collection('orders').createIndex({ 'discount.code': 1 }, { sparse: true });
+  await db.collection('orders').createIndex({ 'recovery.paymentLinks.id': 1 }, { sparse: true });
+  await db.collection('reminder_opt_outs').createIndex({ phone: 1 }, { unique: true });
+
+  await db.collection('coupons').createIndex({ code: 1 }, { unique: true });
+
+  await db.collection('webhook_events').createIndex(
+    { eventId: 1 },
+    { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } }
+  );
+
+  await db.collection('notifications').createIndex({ status: 1, nextAttemptAt: 1 });
+  await db.collection('notifications').createIndex({ orderId: 1 });
+
+  await db.collection('message_templates').createIndex({ name: 1, locale: 1, part: 1 }, { unique: true });
+
+  await db.collection('admin_users').createIndex({ email: 1 }, { unique: true });
+
+  await db.collection('customers').createIndex({ phone: 1 }, { unique: true });
+  await db.collection('customers').createIndex(
+    { email: 1 },
+    { unique: true, partialFilterExpression: { email: { $type: 'string' } } }
+  );
+  await db.collection('customer_otps').createIndex({ phone: 1 }, { unique: true });
+  await db.collection('customer_otps').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  await db.collection('invoices').createIndex({ orderId: 1 }, { unique: true });
+  await db.collection('invoices').createIndex({ number: 1 }, { unique: true });
+
+  await db.collection('idempotency_keys').createIndex({ scope: 1, key: 1 }, { unique: true });
+  await db.collection('idempotency_keys').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  await db.collection('rate_limits').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await db.collection('blocklist').createIndex({ type: 1, value: 1 }, { unique: true });
+  await db.collection('cod_order_counters').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  await db.collection('stock_reservations').createIndex({ razorpayOrderId: 1 }, { unique: true });
+  await db.collection('stock_reservations').createIndex({ status: 1, expiresAt: 1 });
+}
+
+module.exports = { ensureIndexes };
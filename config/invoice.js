@@ -0,0 +1,86 @@
+require('dotenv').config();
+
+const path = require('path');
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+/**
+ * Seller details and GST rates printed on invoices.
+ * Seller fields come from SELLER_* variables; the rest can be overridden with
+ * INVOICE_CONFIG, a JSON object in the same shape, e.g.
+ * {"prefix":"PIHU","categoryRates":{"stationery":{"hsn":"4820","gstRate":18}}}
+ *
+ * Prices are GST-inclusive; the invoice works the tax out of them.
+ */
+const DEFAULT_INVOICE_CONFIG = {
+  seller: {
+    name: process.env.SELLER_NAME || 'Pihu Store',
+    gstin: process.env.SELLER_GSTIN || null,
+    address: process.env.SELLER_ADDRESS || '',
+    state: process.env.SELLER_STATE || 'Madhya Pradesh',
+  },
+  prefix: process.env.INVOICE_PREFIX || 'INV',
+  directory: process.env.INVOICE_DIR || path.join(__dirname, '..', 'invoices'),
+  // Printed books (HSN 4901) are nil-rated
+  goods: { hsn: '4901', gstRate: 0 },
+  // Per book category, for anything that is not a printed book
+  categoryRates: {},
+  // Shipping and the COD fee are billed as courier services
+  services: { sac: '996812', gstRate: 18 },
+};
+
+function parseInvoiceConfig() {
+  if (!process.env.INVOICE_CONFIG) {
+    return DEFAULT_INVOICE_CONFIG;
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.INVOICE_CONFIG);
+  } catch (error) {
+    throw new Error(`INVOICE_CONFIG is not valid JSON: ${error.message}`);
+  }
+  return { ...DEFAULT_INVOICE_CONFIG, ...overrides };
+}
+
+function checkRate(rate, label) {
+  if (typeof rate?.gstRate !== 'number' || rate.gstRate < 0 || rate.gstRate > 28) {
+    throw new Error(`${label} needs a "gstRate" between 0 and 28`);
+  }
+}
+
+/**
+ * Anything malformed stops the server from starting. A missing GSTIN only
+ * stops invoices from being issued.
+ */
+function loadInvoiceConfig() {
+  const config = parseInvoiceConfig();
+
+  if (config.seller.gstin && !GSTIN_PATTERN.test(config.seller.gstin)) {
+    throw new Error('SELLER_GSTIN is not a valid GSTIN');
+  }
+  if (!config.seller.gstin) {
+    console.warn('⚠️ SELLER_GSTIN is not set; invoices will not be issued');
+  }
+
+  checkRate(config.goods, 'INVOICE_CONFIG.goods');
+  checkRate(config.services, 'INVOICE_CONFIG.services');
+  for (const [category, rate] of Object.entries(config.categoryRates || {})) {
+    checkRate(rate, `INVOICE_CONFIG.categoryRates.${category}`);
+  }
+
+  return {
+    seller: config.seller,
+    prefix: config.prefix,
+    directory: config.directory,
+    goods: config.goods,
+    categoryRates: Object.fromEntries(
+      Object.entries(config.categoryRates || {}).map(([category, rate]) => [category.toLowerCase(), rate])
+    ),
+    services: config.services,
+  };
+}
+
+const INVOICE_CONFIG = loadInvoiceConfig();
+
+module.exports = { INVOICE_CONFIG };
@@ -0,0 +1,132 @@
+require('dotenv').config();
+
+const CHANNELS = ['whatsapp', 'sms', 'email'];
+
+/**
+ * Which channels fire for which event, per audience.
+ * Override with NOTIFICATION_CHANNELS, a JSON object in the same shape, e.g.
+ * {"order_placed":{"customer":["whatsapp","email"]}}
+ * Admins are not listed here: each admin recipient picks their own channels.
+ */
+const DEFAULT_EVENT_CHANNELS = {
+  order_placed: {
+    customer: ['whatsapp', 'sms', 'email'],
+  },
+  order_cancelled: {
+    customer: ['whatsapp', 'sms', 'email'],
+  },
+  order_refunded: {
+    customer: ['whatsapp', 'sms', 'email'],
+  },
+  order_shipped: {
+    customer: ['whatsapp', 'sms'],
+  },
+  order_delivered: {
+    customer: ['whatsapp', 'sms'],
+  },
+};
+
+// Events an admin recipient can subscribe to
+const ADMIN_EVENTS = [
+  'order_placed', 'payment_failed', 'stray_payment', 'order_refunded', 'low_stock', 'customer_message', 'whatsapp_disconnected',
+];
+
+// Contact field each channel delivers to
+const CHANNEL_CONTACT_FIELDS = {
+  whatsapp: 'phone',
+  sms: 'phone',
+  email: 'email',
+};
+
+function parseJsonEnv(name) {
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+}
+
+function loadEventChannels() {
+  if (!process.env.NOTIFICATION_CHANNELS) {
+    return DEFAULT_EVENT_CHANNELS;
+  }
+
+  const overrides = parseJsonEnv('NOTIFICATION_CHANNELS');
+  const merged = { ...DEFAULT_EVENT_CHANNELS };
+  for (const [event, audiences] of Object.entries(overrides)) {
+    merged[event] = { ...merged[event], ...audiences };
+  }
+  return merged;
+}
+
+/**
+ * Admin recipients from ADMIN_RECIPIENTS, a JSON array such as
+ * [{"name":"Fulfilment","phone":"919301680755","email":"ops@pihustore.shop",
+ *   "channels":["whatsapp","email"],"events":["order_placed","low_stock"]}]
+ * Anything missing or malformed stops the server from starting.
+ */
+function loadAdminRecipients() {
+  if (!process.env.ADMIN_RECIPIENTS) {
+    throw new Error('ADMIN_RECIPIENTS environment variable is not defined');
+  }
+
+  const recipients = parseJsonEnv('ADMIN_RECIPIENTS');
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    throw new Error('ADMIN_RECIPIENTS must be a non-empty JSON array');
+  }
+
+  return recipients.map((recipient, index) => {
+    const label = `ADMIN_RECIPIENTS[${index}]`;
+
+    if (!recipient.name || typeof recipient.name !== 'string') {
+      throw new Error(`${label} needs a "name"`);
+    }
+    if (!Array.isArray(recipient.channels) || recipient.channels.length === 0) {
+      throw new Error(`${label} (${recipient.name}) needs a non-empty "channels" array`);
+    }
+    if (!Array.isArray(recipient.events) || recipient.events.length === 0) {
+      throw new Error(`${label} (${recipient.name}) needs a non-empty "events" array`);
+    }
+
+    for (const channel of recipient.channels) {
+      if (!CHANNELS.includes(channel)) {
+        throw new Error(`${label} (${recipient.name}) has unknown channel "${channel}"`);
+      }
+      if (!recipient[CHANNEL_CONTACT_FIELDS[channel]]) {
+        throw new Error(`${label} (${recipient.name}) uses ${channel} but has no "${CHANNEL_CONTACT_FIELDS[channel]}"`);
+      }
+    }
+    for (const event of recipient.events) {
+      if (!ADMIN_EVENTS.includes(event)) {
+        throw new Error(`${label} (${recipient.name}) has unknown event "${event}"`);
+      }
+    }
+
+    return {
+      name: recipient.name,
+      phone: recipient.phone || null,
+      email: recipient.email || null,
+      channels: recipient.channels,
+      events: recipient.events,
+    };
+  });
+}
+
+const EVENT_CHANNELS = loadEventChannels();
+const ADMIN_RECIPIENTS = loadAdminRecipients();
+
+/**
+ * Admin recipients subscribed to an event
+ */
+function getAdminRecipients(event) {
+  return ADMIN_RECIPIENTS.filter(recipient => recipient.events.includes(event));
+}
+
+module.exports = {
+  CHANNELS,
+  ADMIN_EVENTS,
+  CHANNEL_CONTACT_FIELDS,
+  EVENT_CHANNELS,
+  ADMIN_RECIPIENTS,
+  getAdminRecipients,
+};
@@ -0,0 +1,100 @@
+require('dotenv').config();
+
+/**
+ * Allowed origins, rate limits and COD velocity rules.
+ * Origins come from CORS_ORIGINS (comma-separated); the rest can be
+ * overridden with SECURITY_CONFIG, a JSON object in the same shape, e.g.
+ * {"rateLimits":{"orderCreateIp":{"limit":20,"windowSeconds":600}},"codVelocity":{"maxOrdersPerPhonePerDay":5}}
+ *
+ * Each rate limit allows `limit` requests per `windowSeconds`.
+ */
+const DEFAULT_SECURITY_CONFIG = {
+  allowedOrigins: process.env.CORS_ORIGINS
+    ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+    : ['http://localhost:5173', 'https://pihustore.shop'],
+  // Proxies in front of the server (e.g. 1 behind a load balancer), so req.ip
+  // is the client and not the proxy. Leave unset when clients connect directly.
+  trustProxy: process.env.TRUST_PROXY || false,
+  rateLimits: {
+    orderCreateIp: { limit: 10, windowSeconds: 10 * 60 },
+    orderCreatePhone: { limit: 5, windowSeconds: 60 * 60 },
+    orderQuoteIp: { limit: 60, windowSeconds: 60 },
+    orderVerifyIp: { limit: 20, windowSeconds: 10 * 60 },
+    couponValidateIp: { limit: 30, windowSeconds: 10 * 60 },
+    otpRequestIp: { limit: 10, windowSeconds: 60 * 60 },
+    otpRequestPhone: { limit: 5, windowSeconds: 60 * 60 },
+    loginIp: { limit: 20, windowSeconds: 15 * 60 },
+    adminLoginIp: { limit: 10, windowSeconds: 15 * 60 },
+  },
+  codVelocity: {
+    // Cash-on-delivery orders one phone number may place in a day, shop time
+    maxOrdersPerPhonePerDay: 3,
+    // COD orders for one phone number that may be awaiting delivery at once
+    maxOpenOrdersPerPhone: 5,
+  },
+};
+
+function parseSecurityConfig() {
+  if (!process.env.SECURITY_CONFIG) {
+    return DEFAULT_SECURITY_CONFIG;
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.SECURITY_CONFIG);
+  } catch (error) {
+    throw new Error(`SECURITY_CONFIG is not valid JSON: ${error.message}`);
+  }
+  // Limits are merged one by one so a single limit can be tuned
+  return {
+    ...DEFAULT_SECURITY_CONFIG,
+    ...overrides,
+    rateLimits: { ...DEFAULT_SECURITY_CONFIG.rateLimits, ...overrides.rateLimits },
+    codVelocity: { ...DEFAULT_SECURITY_CONFIG.codVelocity, ...overrides.codVelocity },
+  };
+}
+
+function parseTrustProxy(value) {
+  if (value === false || value === 'false' || value === '') return false;
+  if (value === true || value === 'true') return true;
+  // Express takes a hop count, or addresses/subnet names such as "loopback"
+  return /^\d+$/.test(String(value)) ? Number(value) : String(value);
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Anything malformed stops the server from starting
+ */
+function loadSecurityConfig() {
+  const config = parseSecurityConfig();
+
+  if (!Array.isArray(config.allowedOrigins) || config.allowedOrigins.some(origin => typeof origin !== 'string')) {
+    throw new Error('Allowed origins must be a list of strings');
+  }
+
+  for (const [name, rule] of Object.entries(config.rateLimits)) {
+    if (!isPositiveInteger(rule?.limit) || !isPositiveInteger(rule?.windowSeconds)) {
+      throw new Error(`SECURITY_CONFIG.rateLimits.${name} needs a positive whole "limit" and "windowSeconds"`);
+    }
+  }
+
+  for (const [name, value] of Object.entries(config.codVelocity)) {
+    if (value !== null && !isPositiveInteger(value)) {
+      throw new Error(`SECURITY_CONFIG.codVelocity.${name} must be a positive whole number or null`);
+    }
+  }
+
+  return {
+    allowedOrigins: config.allowedOrigins,
+    trustProxy: parseTrustProxy(config.trustProxy),
+    rateLimits: config.rateLimits,
+    codVelocity: config.codVelocity,
+  };
+}
+
+const SECURITY_CONFIG = loadSecurityConfig();
+
+module.exports = { SECURITY_CONFIG };
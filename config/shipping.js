@@ -0,0 +1,106 @@
+require('dotenv').config();
+
+/**
+ * Shipping zones, free-shipping threshold and COD rules.
+ * Override any top-level key with SHIPPING_CONFIG, a JSON object in the same shape, e.g.
+ * {"freeShippingThreshold":999,"codBlockedPincodes":["744101"]}
+ *
+ * A zone matches on pincode prefix first (longest prefix wins), then on state;
+ * the zone without prefixes or states is the fallback.
+ */
+const DEFAULT_SHIPPING_CONFIG = {
+  zones: [
+    { name: 'local', fee: 30, pincodePrefixes: ['452'], states: [] },
+    { name: 'metro', fee: 50, pincodePrefixes: ['110', '400', '411', '500', '560', '600', '700'], states: [] },
+    {
+      name: 'remote',
+      fee: 120,
+      pincodePrefixes: ['744', '682555'],
+      states: [
+        'Jammu and Kashmir', 'Ladakh', 'Himachal Pradesh', 'Arunachal Pradesh', 'Assam', 'Manipur',
+        'Meghalaya', 'Mizoram', 'Nagaland', 'Sikkim', 'Tripura', 'Andaman and Nicobar Islands', 'Lakshadweep',
+      ],
+    },
+    { name: 'rest_of_india', fee: 70, pincodePrefixes: [], states: [] },
+  ],
+  // Goods value (after discounts) from which shipping is free; null turns it off
+  freeShippingThreshold: 499,
+  codFee: 40,
+  // Pincodes, or pincode prefixes, where couriers do not collect cash
+  codBlockedPincodes: [],
+  // Parcel size and weight written into courier manifests
+  parcel: { weightPerBookKg: 0.4, packagingKg: 0.1, lengthCm: 25, breadthCm: 20, heightCm: 5 },
+  // Pickup address name registered with the courier
+  pickupLocation: process.env.COURIER_PICKUP_LOCATION || 'Primary',
+};
+
+function parseShippingConfig() {
+  if (!process.env.SHIPPING_CONFIG) {
+    return DEFAULT_SHIPPING_CONFIG;
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(process.env.SHIPPING_CONFIG);
+  } catch (error) {
+    throw new Error(`SHIPPING_CONFIG is not valid JSON: ${error.message}`);
+  }
+  return { ...DEFAULT_SHIPPING_CONFIG, ...overrides };
+}
+
+/**
+ * Anything malformed stops the server from starting
+ */
+function loadShippingConfig() {
+  const config = parseShippingConfig();
+
+  if (!Array.isArray(config.zones) || config.zones.length === 0) {
+    throw new Error('SHIPPING_CONFIG.zones must be a non-empty array');
+  }
+
+  const zones = config.zones.map((zone, index) => {
+    const label = `SHIPPING_CONFIG.zones[${index}]`;
+    if (!zone.name || typeof zone.name !== 'string') {
+      throw new Error(`${label} needs a "name"`);
+    }
+    if (typeof zone.fee !== 'number' || zone.fee < 0) {
+      throw new Error(`${label} (${zone.name}) needs a non-negative "fee"`);
+    }
+    return {
+      name: zone.name,
+      fee: zone.fee,
+      pincodePrefixes: (zone.pincodePrefixes || []).map(String),
+      states: (zone.states || []).map(state => String(state).toLowerCase()),
+    };
+  });
+
+  if (!zones.some(zone => zone.pincodePrefixes.length === 0 && zone.states.length === 0)) {
+    throw new Error('SHIPPING_CONFIG.zones needs a fallback zone with no pincodePrefixes or states');
+  }
+  if (typeof config.codFee !== 'number' || config.codFee < 0) {
+    throw new Error('SHIPPING_CONFIG.codFee must be a non-negative number');
+  }
+  if (config.freeShippingThreshold !== null && typeof config.freeShippingThreshold !== 'number') {
+    throw new Error('SHIPPING_CONFIG.freeShippingThreshold must be a number or null');
+  }
+
+  const parcel = { ...DEFAULT_SHIPPING_CONFIG.parcel, ...config.parcel };
+  for (const [key, value] of Object.entries(parcel)) {
+    if (typeof value !== 'number' || value < 0) {
+      throw new Error(`SHIPPING_CONFIG.parcel.${key} must be a non-negative number`);
+    }
+  }
+
+  return {
+    zones,
+    freeShippingThreshold: config.freeShippingThreshold,
+    codFee: config.codFee,
+    codBlockedPincodes: (config.codBlockedPincodes || []).map(String),
+    parcel,
+    pickupLocation: String(config.pickupLocation),
+  };
+}
+
+const SHIPPING_CONFIG = loadShippingConfig();
+
+module.exports = { SHIPPING_CONFIG };
@@ -0,0 +1,91 @@
+// controllers/authController.js
+
+const {
+  login,
+  createAdminUser,
+  updateAdminUser,
+  listAdminUsers,
+} = require('../services/authService');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Exchange an admin email and password for a bearer token
+ */
+const loginAdmin = async (req, res) => {
+  const { email, password } = req.body || {};
+
+  if (!email || !password) {
+    return res.status(400).json({ error: 'Email and password are required' });
+  }
+
+  try {
+    const { token, admin } = await login(email, password);
+    return res.status(200).json({ token, admin });
+  } catch (error) {
+    console.error('Error logging in:', error.message);
+    return sendError(res, error, 'Error logging in');
+  }
+};
+
+/**
+ * The admin the token belongs to
+ */
+const getCurrentAdmin = async (req, res) => {
+  return res.status(200).json({ admin: req.admin });
+};
+
+/**
+ * List admin accounts (owner)
+ */
+const listAdmins = async (req, res) => {
+  try {
+    const admins = await listAdminUsers();
+    return res.status(200).json({ admins });
+  } catch (error) {
+    console.error('Error listing admins:', error);
+    return sendError(res, error, 'Error listing admins');
+  }
+};
+
+/**
+ * Create an admin account (owner)
+ */
+const createAdmin = async (req, res) => {
+  const { email, password, name, role } = req.body || {};
+
+  try {
+    const admin = await createAdminUser({ email, password, name, role });
+    return res.status(201).json({ message: 'Admin created', admin });
+  } catch (error) {
+    console.error('Error creating admin:', error);
+    return sendError(res, error, 'Error creating admin');
+  }
+};
+
+/**
+ * Change an admin's name, role, password or active flag (owner)
+ */
+const updateAdmin = async (req, res) => {
+  const { name, role, password, active } = req.body || {};
+
+  // Keeps the last owner from locking everyone out
+  if (String(req.admin._id) === req.params.id && (active === false || (role && role !== 'owner'))) {
+    return res.status(400).json({ error: 'You cannot disable or demote your own account' });
+  }
+
+  try {
+    const admin = await updateAdminUser(req.params.id, { name, role, password, active });
+    return res.status(200).json({ message: 'Admin updated', admin });
+  } catch (error) {
+    console.error('Error updating admin:', error);
+    return sendError(res, error, 'Error updating admin');
+  }
+};
+
+module.exports = {
+  loginAdmin,
+  getCurrentAdmin,
+  listAdmins,
+  createAdmin,
+  updateAdmin,
+};
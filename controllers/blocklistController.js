@@ -0,0 +1,50 @@
+// controllers/blocklistController.js
+
+const { BLOCKLIST_TYPES, listBlocklist, addToBlocklist, removeFromBlocklist } = require('../services/abuseService');
+const { sendError } = require('../utils/errors');
+
+/**
+ * List blocked phone numbers and pincodes, newest first (admin)
+ */
+const listBlocked = async (req, res) => {
+  const { type } = req.query;
+  if (type && !BLOCKLIST_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Type must be one of: ${BLOCKLIST_TYPES.join(', ')}` });
+  }
+
+  try {
+    const entries = await listBlocklist({ type: type || null });
+    return res.status(200).json({ entries });
+  } catch (error) {
+    console.error('Error listing blocklist:', error);
+    return res.status(500).json({ error: 'Error listing blocklist: ' + error.message });
+  }
+};
+
+/**
+ * Block a phone number or pincode from ordering (admin)
+ */
+const addBlocked = async (req, res) => {
+  try {
+    const entry = await addToBlocklist(req.body, req.admin.email);
+    return res.status(201).json({ message: 'Blocked', entry });
+  } catch (error) {
+    console.error('Error adding to blocklist:', error.message);
+    return sendError(res, error, 'Error adding to blocklist');
+  }
+};
+
+/**
+ * Lift a block (admin)
+ */
+const removeBlocked = async (req, res) => {
+  try {
+    const entry = await removeFromBlocklist(req.params.id);
+    return res.status(200).json({ message: 'Unblocked', entry });
+  } catch (error) {
+    console.error('Error removing from blocklist:', error.message);
+    return sendError(res, error, 'Error removing from blocklist');
+  }
+};
+
+module.exports = { listBlocked, addBlocked, removeBlocked };
@@ -0,0 +1,171 @@
+// controllers/bookController.js
+
+const { getDb } = require('../config/db');
+const { findBook } = require('../services/catalogService');
+const { isWholePaise } = require('../utils/money');
+
+const EDITABLE_FIELDS = ['title', 'author', 'isbn', 'price', 'stock', 'category', 'description', 'imageUrl', 'active'];
+
+/**
+ * Pick editable fields from a request body and validate their types
+ */
+function parseBookFields(body, { partial = false } = {}) {
+  const fields = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  }
+
+  if (!partial) {
+    for (const key of ['title', 'price']) {
+      if (fields[key] === undefined) {
+        return { error: `Field "${key}" is required` };
+      }
+    }
+  }
+
+  if (fields.title !== undefined && (typeof fields.title !== 'string' || !fields.title.trim())) {
+    return { error: 'Field "title" must be a non-empty string' };
+  }
+  if (fields.price !== undefined && (typeof fields.price !== 'number' || !isWholePaise(fields.price) || fields.price < 0)) {
+    return { error: 'Field "price" must be a non-negative amount in whole paise' };
+  }
+  if (fields.stock !== undefined && (!Number.isInteger(fields.stock) || fields.stock < 0)) {
+    return { error: 'Field "stock" must be a non-negative integer' };
+  }
+  if (fields.isbn !== undefined && typeof fields.isbn !== 'string') {
+    return { error: 'Field "isbn" must be a string' };
+  }
+  if (fields.active !== undefined && typeof fields.active !== 'boolean') {
+    return { error: 'Field "active" must be a boolean' };
+  }
+
+  return { fields };
+}
+
+/**
+ * List books (active only unless includeInactive=true)
+ */
+const listBooks = async (req, res) => {
+  const { category, search, includeInactive } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const query = {};
+  if (includeInactive !== 'true') query.active = true;
+  if (category) query.category = category;
+  if (search) {
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ title: pattern }, { author: pattern }, { isbn: pattern }];
+  }
+
+  try {
+    const db = getDb();
+    const [books, total] = await Promise.all([
+      db.collection('books').find(query).sort({ title: 1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      db.collection('books').countDocuments(query),
+    ]);
+
+    return res.status(200).json({ books, page, limit, total });
+  } catch (error) {
+    console.error('Error listing books:', error);
+    return res.status(500).json({ error: 'Error listing books: ' + error.message });
+  }
+};
+
+/**
+ * Get a single book by id or ISBN
+ */
+const getBook = async (req, res) => {
+  try {
+    const book = await findBook(req.params.idOrIsbn);
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+    return res.status(200).json({ book });
+  } catch (error) {
+    console.error('Error fetching book:', error);
+    return res.status(500).json({ error: 'Error fetching book: ' + error.message });
+  }
+};
+
+/**
+ * Create a book (admin)
+ */
+const createBook = async (req, res) => {
+  const { fields, error } = parseBookFields(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const now = new Date();
+    const book = { active: true, stock: 0, ...fields, createdAt: now, updatedAt: now };
+    const result = await getDb().collection('books').insertOne(book);
+
+    return res.status(201).json({ message: 'Book created', book: { _id: result.insertedId, ...book } });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A book with this ISBN already exists' });
+    }
+    console.error('Error creating book:', error);
+    return res.status(500).json({ error: 'Error creating book: ' + error.message });
+  }
+};
+
+/**
+ * Update a book (admin)
+ */
+const updateBook = async (req, res) => {
+  const { fields, error } = parseBookFields(req.body || {}, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const book = await findBook(req.params.idOrIsbn);
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+
+    const updated = await getDb().collection('books').findOneAndUpdate(
+      { _id: book._id },
+      { $set: { ...fields, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    return res.status(200).json({ message: 'Book updated', book: updated });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A book with this ISBN already exists' });
+    }
+    console.error('Error updating book:', error);
+    return res.status(500).json({ error: 'Error updating book: ' + error.message });
+  }
+};
+
+/**
+ * Delete a book (admin). Books are deactivated rather than removed so
+ * existing orders keep pointing at a real record.
+ */
+const deleteBook = async (req, res) => {
+  try {
+    const book = await findBook(req.params.idOrIsbn);
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+
+    await getDb().collection('books').updateOne(
+      { _id: book._id },
+      { $set: { active: false, updatedAt: new Date() } }
+    );
+
+    return res.status(200).json({ message: 'Book deactivated', bookId: book._id });
+  } catch (error) {
+    console.error('Error deleting book:', error);
+    return res.status(500).json({ error: 'Error deleting book: ' + error.message });
+  }
+};
+
+module.exports = { listBooks, getBook, createBook, updateBook, deleteBook };
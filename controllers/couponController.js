@@ -0,0 +1,84 @@
+// controllers/couponController.js
+
+const { getDb } = require('../config/db');
+const { priceItems } = require('../services/catalogService');
+const { normalizeCode, createCoupon, updateCoupon, applyCoupon } = require('../services/couponService');
+const { sendError } = require('../utils/errors');
+const { toPaise, fromPaise } = require('../utils/money');
+
+/**
+ * List coupons, newest first (admin)
+ */
+const listCoupons = async (req, res) => {
+  const { active } = req.query;
+  const query = {};
+  if (active === 'true') query.active = true;
+  if (active === 'false') query.active = false;
+
+  try {
+    const coupons = await getDb().collection('coupons').find(query).sort({ createdAt: -1 }).toArray();
+    return res.status(200).json({ coupons });
+  } catch (error) {
+    console.error('Error listing coupons:', error);
+    return res.status(500).json({ error: 'Error listing coupons: ' + error.message });
+  }
+};
+
+/**
+ * Create a coupon (admin)
+ */
+const addCoupon = async (req, res) => {
+  try {
+    const coupon = await createCoupon(req.body || {});
+    return res.status(201).json({ message: 'Coupon created', coupon });
+  } catch (error) {
+    console.error('Error creating coupon:', error.message);
+    return sendError(res, error, 'Error creating coupon');
+  }
+};
+
+/**
+ * Change a coupon's rules (admin). Send { active: false } to switch it off.
+ */
+const editCoupon = async (req, res) => {
+  try {
+    const coupon = await updateCoupon(req.params.code, req.body || {});
+    return res.status(200).json({ message: 'Coupon updated', coupon });
+  } catch (error) {
+    console.error('Error updating coupon:', error.message);
+    return sendError(res, error, 'Error updating coupon');
+  }
+};
+
+/**
+ * Check a coupon against a cart before checkout and show the discount
+ */
+const validateCoupon = async (req, res) => {
+  const { code, items, phone } = req.body;
+
+  try {
+    const { items: pricedItems, total: subtotal } = await priceItems(items);
+    const discount = await applyCoupon(normalizeCode(code), {
+      items: pricedItems,
+      subtotal,
+      customerId: req.customer ? req.customer._id : null,
+      phone: phone || null,
+    });
+
+    return res.status(200).json({
+      valid: true,
+      subtotal,
+      discount,
+      total: fromPaise(toPaise(subtotal) - toPaise(discount.amount)),
+    });
+  } catch (error) {
+    return sendError(res, error, 'Error checking coupon');
+  }
+};
+
+module.exports = {
+  listCoupons,
+  addCoupon,
+  editCoupon,
+  validateCoupon,
+};
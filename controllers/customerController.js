@@ -0,0 +1,191 @@
+// controllers/customerController.js
+
+const { getDb } = require('../config/db');
+const { issueInvoice, getInvoicePdfPath } = require('../services/invoiceService');
+const { findOrderById } = require('../services/orderService');
+const {
+  requestOtp,
+  registerCustomer,
+  loginWithOtp,
+  loginWithPassword,
+  updateProfile,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+} = require('../services/customerService');
+const { AppError, sendError } = require('../utils/errors');
+
+/**
+ * Send a login code to the customer's WhatsApp
+ */
+const sendOtp = async (req, res) => {
+  const { phone, locale } = req.body || {};
+
+  try {
+    const result = await requestOtp(phone, locale);
+    return res.status(200).json({ message: 'Code sent on WhatsApp', ...result });
+  } catch (error) {
+    console.error('Error sending login code:', error.message);
+    return sendError(res, error, 'Error sending login code');
+  }
+};
+
+/**
+ * Log in with a WhatsApp code; the first login creates the account
+ */
+const verifyOtp = async (req, res) => {
+  const { phone, code } = req.body || {};
+
+  try {
+    const result = await loginWithOtp({ phone, code });
+    return res.status(result.created ? 201 : 200).json(result);
+  } catch (error) {
+    console.error('Error verifying login code:', error.message);
+    return sendError(res, error, 'Error verifying login code');
+  }
+};
+
+/**
+ * Create an account with a name and optional password, using a WhatsApp code
+ */
+const register = async (req, res) => {
+  const { phone, code, name, email, password } = req.body || {};
+
+  try {
+    const result = await registerCustomer({ phone, code, name, email, password });
+    return res.status(201).json(result);
+  } catch (error) {
+    console.error('Error registering customer:', error.message);
+    return sendError(res, error, 'Error registering customer');
+  }
+};
+
+/**
+ * Log in with phone or email and password
+ */
+const login = async (req, res) => {
+  const { phone, email, password } = req.body || {};
+
+  if ((!phone && !email) || !password) {
+    return res.status(400).json({ error: 'Phone or email, and password are required' });
+  }
+
+  try {
+    const result = await loginWithPassword({ phone, email, password });
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error logging in customer:', error.message);
+    return sendError(res, error, 'Error logging in');
+  }
+};
+
+const getProfile = async (req, res) => {
+  return res.status(200).json({ customer: req.customer });
+};
+
+const updateMyProfile = async (req, res) => {
+  const { name, email, password } = req.body || {};
+
+  try {
+    const customer = await updateProfile(req.customer._id, { name, email, password });
+    return res.status(200).json({ message: 'Profile updated', customer });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    return sendError(res, error, 'Error updating profile');
+  }
+};
+
+/**
+ * The logged-in customer's orders, newest first
+ */
+const listMyOrders = async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  const query = { customerId: req.customer._id };
+
+  try {
+    const db = getDb();
+    const [orders, total] = await Promise.all([
+      db.collection('orders')
+        .find(query, { projection: { statusHistory: 0, amountPaise: 0 } })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      db.collection('orders').countDocuments(query),
+    ]);
+
+    return res.status(200).json({ orders, page, limit, total });
+  } catch (error) {
+    console.error('Error listing customer orders:', error);
+    return res.status(500).json({ error: 'Error listing orders: ' + error.message });
+  }
+};
+
+/**
+ * Download the GST invoice of one of the customer's orders
+ */
+const downloadMyInvoice = async (req, res) => {
+  try {
+    const order = await findOrderById(req.params.orderId);
+    if (!order.customerId || !order.customerId.equals(req.customer._id)) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const invoice = await issueInvoice(order);
+    const filePath = await getInvoicePdfPath(invoice);
+    return res.download(filePath, `${invoice.number.replace(/\//g, '-')}.pdf`);
+  } catch (error) {
+    console.error('Error downloading invoice:', error.message);
+    return sendError(res, error, 'Error downloading invoice');
+  }
+};
+
+const listAddresses = async (req, res) => {
+  return res.status(200).json({ addresses: req.customer.addresses });
+};
+
+const createAddress = async (req, res) => {
+  try {
+    const address = await addAddress(req.customer, req.body || {});
+    return res.status(201).json({ message: 'Address saved', address });
+  } catch (error) {
+    console.error('Error saving address:', error.message);
+    return sendError(res, error, 'Error saving address');
+  }
+};
+
+const editAddress = async (req, res) => {
+  try {
+    const address = await updateAddress(req.customer, req.params.addressId, req.body || {});
+    return res.status(200).json({ message: 'Address updated', address });
+  } catch (error) {
+    console.error('Error updating address:', error.message);
+    return sendError(res, error, 'Error updating address');
+  }
+};
+
+const removeAddress = async (req, res) => {
+  try {
+    const addresses = await deleteAddress(req.customer, req.params.addressId);
+    return res.status(200).json({ message: 'Address deleted', addresses });
+  } catch (error) {
+    console.error('Error deleting address:', error.message);
+    return sendError(res, error, 'Error deleting address');
+  }
+};
+
+module.exports = {
+  sendOtp,
+  verifyOtp,
+  register,
+  login,
+  getProfile,
+  updateMyProfile,
+  listMyOrders,
+  downloadMyInvoice,
+  listAddresses,
+  createAddress,
+  editAddress,
+  removeAddress,
+};
@@ -0,0 +1,105 @@
+// controllers/fulfilmentController.js
+
+const { findOrdersToShip, buildManifest, importTracking } = require('../services/fulfilmentService');
+const { renderShippingLabels } = require('../services/labelPdf');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Which orders to export, from `ids` (comma-separated), `from`/`to` and `paymentMethod`
+ */
+function parseSelection(query) {
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ([from, to].some(date => date && isNaN(date.getTime()))) {
+    return { error: 'Invalid date range' };
+  }
+  if (query.paymentMethod && !['prepaid', 'cod'].includes(query.paymentMethod)) {
+    return { error: 'paymentMethod must be "prepaid" or "cod"' };
+  }
+
+  const orderIds = query.ids ? String(query.ids).split(',').map(id => id.trim()).filter(Boolean) : null;
+  return { orderIds, from, to, paymentMethod: query.paymentMethod || null };
+}
+
+function today() {
+  // en-CA writes dates as YYYY-MM-DD
+  return new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+}
+
+/**
+ * Confirmed, unshipped orders as a courier bulk upload CSV (admin).
+ * `format` is standard, shiprocket or delhivery.
+ */
+const exportManifest = async (req, res) => {
+  const selection = parseSelection(req.query);
+  if (selection.error) {
+    return res.status(400).json({ error: selection.error });
+  }
+  const format = req.query.format || 'standard';
+
+  try {
+    const orders = await findOrdersToShip(selection);
+    const csv = buildManifest(orders, format);
+    res.attachment(`manifest-${format}-${today()}.csv`);
+    res.set('X-Order-Count', String(orders.length));
+    return res.status(200).type('text/csv').send(csv);
+  } catch (error) {
+    console.error('Error exporting manifest:', error);
+    return sendError(res, error, 'Error exporting manifest');
+  }
+};
+
+/**
+ * Printable shipping labels with packing slips for unshipped orders (admin)
+ */
+const printLabels = async (req, res) => {
+  const selection = parseSelection(req.query);
+  if (selection.error) {
+    return res.status(400).json({ error: selection.error });
+  }
+
+  try {
+    const orders = await findOrdersToShip(selection);
+    if (orders.length === 0) {
+      return res.status(404).json({ error: 'No orders waiting to be shipped' });
+    }
+
+    const pdf = await renderShippingLabels(orders);
+    res.attachment(`labels-${today()}.pdf`);
+    res.set('X-Order-Count', String(orders.length));
+    return res.status(200).type('pdf').send(pdf);
+  } catch (error) {
+    console.error('Error printing labels:', error);
+    return sendError(res, error, 'Error printing labels');
+  }
+};
+
+/**
+ * Attach tracking ids from the courier's CSV and mark the orders shipped (admin).
+ * Send the file as text/csv, or as JSON `{ csv, courier }`; `?courier=` names
+ * the courier when the file has no courier column.
+ */
+const importTrackingCsv = async (req, res) => {
+  const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+  const courier = req.query.courier || req.body?.courier || null;
+  if (!csv || typeof csv !== 'string') {
+    return res.status(400).json({ error: 'Send the courier CSV as text/csv or as { "csv": "..." }' });
+  }
+
+  try {
+    const result = await importTracking(csv, { courier, by: req.admin.email });
+    return res.status(200).json({
+      message: `${result.shipped.length} order(s) shipped`,
+      ...result,
+    });
+  } catch (error) {
+    console.error('Error importing tracking ids:', error);
+    return sendError(res, error, 'Error importing tracking ids');
+  }
+};
+
+module.exports = {
+  exportManifest,
+  printLabels,
+  importTrackingCsv,
+};
@@ -0,0 +1,44 @@
+// controllers/healthController.js
+
+const { getHealthReport } = require('../services/healthService');
+
+/**
+ * Liveness: 200 while the process is up. Public, so only the overall status.
+ */
+const healthz = async (req, res) => {
+  try {
+    const { status, ready } = await getHealthReport();
+    return res.status(200).json({ status, ready });
+  } catch (error) {
+    console.error('Error checking health:', error);
+    return res.status(500).json({ status: 'error', ready: false });
+  }
+};
+
+/**
+ * Readiness: 200 once MongoDB is connected, 503 before that and while shutting down
+ */
+const readyz = async (req, res) => {
+  try {
+    const { status, ready } = await getHealthReport();
+    return res.status(ready ? 200 : 503).json({ status, ready });
+  } catch (error) {
+    console.error('Error checking readiness:', error);
+    return res.status(503).json({ status: 'error', ready: false });
+  }
+};
+
+/**
+ * The state of each dependency and integration (admin)
+ */
+const getHealthDetails = async (req, res) => {
+  try {
+    const report = await getHealthReport();
+    return res.status(200).json(report);
+  } catch (error) {
+    console.error('Error checking health:', error);
+    return res.status(500).json({ error: 'Error checking health: ' + error.message });
+  }
+};
+
+module.exports = { healthz, readyz, getHealthDetails };
@@ -0,0 +1,55 @@
+// controllers/notificationController.js
+
+const { ObjectId } = require('mongodb');
+const { getDb } = require('../config/db');
+const { resendNotification } = require('../services/notificationOutbox');
+
+/**
+ * List outbox messages (admin). Defaults to the ones that need attention.
+ */
+const listNotifications = async (req, res) => {
+  const { channel, orderId } = req.query;
+  const status = req.query.status || 'retrying,dead';
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const query = { status: { $in: String(status).split(',') } };
+  if (channel) query.channel = channel;
+  if (orderId) {
+    if (!ObjectId.isValid(orderId) || String(orderId).length !== 24) {
+      return res.status(400).json({ error: 'Invalid order id' });
+    }
+    query.orderId = new ObjectId(orderId);
+  }
+
+  try {
+    const db = getDb();
+    const [notifications, total] = await Promise.all([
+      db.collection('notifications').find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      db.collection('notifications').countDocuments(query),
+    ]);
+
+    return res.status(200).json({ notifications, page, limit, total });
+  } catch (error) {
+    console.error('Error listing notifications:', error);
+    return res.status(500).json({ error: 'Error listing notifications: ' + error.message });
+  }
+};
+
+/**
+ * Queue a failed message for another round of delivery attempts (admin)
+ */
+const resend = async (req, res) => {
+  try {
+    const notification = await resendNotification(req.params.id);
+    if (!notification) {
+      return res.status(404).json({ error: 'No failed notification with this id' });
+    }
+    return res.status(200).json({ message: 'Notification queued for resend', notification });
+  } catch (error) {
+    console.error('Error resending notification:', error);
+    return res.status(500).json({ error: 'Error resending notification: ' + error.message });
+  }
+};
+
+module.exports = { listNotifications, resend };
@@ -1,160 +1,242 @@
 // controllers/orderController.js
 
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const { getDb } = require('../config/db');
-const whatsappService = require('./whatsappController');
+const razorpay = require('../config/razorpay');
+const { assertCanOrder, releaseCodOrderSlot } = require('../services/abuseService');
+const { redeemCoupon, releaseCoupon } = require('../services/couponService');
+const { newRecoveryState } = require('../services/checkoutRecoveryService');
+const { getSavedAddress } = require('../services/customerService');
+const { decrementStock, incrementStock, reserveStock, releaseReservation } = require('../services/inventoryService');
+const {
+  INVOICEABLE_STATUSES,
+  issueInvoice,
+  getInvoicePdfPath,
+  sendInvoiceForOrder,
+} = require('../services/invoiceService');
+const {
+  sendNotifications,
+  sendCancellationNotifications,
+  sendRefundNotifications,
+  sendInvoiceNotification,
+} = require('../services/notificationService');
+const {
+  ORDER_STATUSES,
+  canTransition,
+  findOrderById,
+  saveOrderToDatabase,
+  transitionOrderStatus,
+} = require('../services/orderService');
+const {
+  verifyCheckoutSignature,
+  confirmPrepaidOrder,
+  getRefundableAmount,
+  refundOrderPayment,
+  refundStrayPayment,
+} = require('../services/paymentService');
+const { priceOrder } = require('../services/pricingService');
+const { markOrderShipped, markOrderDelivered, refreshTracking } = require('../services/shipmentService');
+const { normalizeLocale } = require('../services/templateService');
+const { AppError, sendError } = require('../utils/errors');
+const { toPaise } = require('../utils/money');
+const { isFullPhone, phoneMatchRegex } = require('../utils/phone');
 require('dotenv').config();
 
-// Initialize Razorpay instance
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
-
 /**
- * Generate Admin Message (You receive this)
+ * Price the order and check the result against the total the client saw
  */
-function generateAdminMessage(address, items, total, paymentMethod, paymentId) {
-  return `
-📦 New Order Received!
-
-👤 Name: ${address.fullName}
-📞 Phone: ${address.phone}
-
-📍 Address:
-${address.street}, ${address.city}, ${address.state} - ${address.zipCode}
-
-📚 Items:
-${items.map(item => `- ${item.name} x ${item.quantity}`).join('\n')}
+async function priceCheckout(order, clientTotal) {
+  const pricing = await priceOrder(order);
+
+  if (clientTotal !== undefined && clientTotal !== null && Number(clientTotal) !== pricing.total) {
+    throw new AppError('Total does not match the order total', 400, {
+      expectedTotal: pricing.total,
+      shippingFee: pricing.shippingFee,
+      codFee: pricing.codFee,
+    });
+  }
 
-💰 Total: ₹${total}
-💳 Payment: ${paymentMethod === 'prepaid' ? 'Prepaid' : 'COD'}
-🧾 Payment ID: ${paymentMethod === 'prepaid' ? paymentId : 'N/A'}
-  `;
+  return pricing;
 }
 
 /**
- * Generate Customer Message (Customer receives this)
+ * The price breakdown as stored on an order
  */
-function generateCustomerMessage(address, total, paymentMethod) {
-  return `
-🎉 Thank you for your order, ${address.fullName}!
-
-📚 Total Amount: ₹${total}
-💳 Payment Method: ${paymentMethod === 'prepaid' ? 'Prepaid' : 'Cash on Delivery'}
-
-🚚 Your order will be shipped soon!
-
-📦 If you have any questions, feel free to reply to this message.
-
-Thank you for shopping with us!
-  `;
+function orderCharges(pricing) {
+  return {
+    subtotal: pricing.subtotal,
+    discount: pricing.discount,
+    shippingZone: pricing.shippingZone,
+    shippingFee: pricing.shippingFee,
+    codFee: pricing.codFee,
+    total: pricing.total,
+  };
 }
 
 /**
- * Save Order to Database
+ * The address an order ships to. Logged-in customers can pick a saved
+ * address by id instead of typing one.
  */
-async function saveOrderToDatabase(orderData) {
-  const db = getDb();
-  
-  const orderToSave = {
-    ...orderData,
-    createdAt: new Date(),
-  };
-
-  const result = await db.collection("orders").insertOne(orderToSave);
-  return result;
+function resolveAddress(req) {
+  const { address, addressId } = req.body;
+  if (addressId && req.customer) {
+    return getSavedAddress(req.customer, addressId);
+  }
+  if (!address) {
+    throw new AppError('Validation failed', 400, {
+      fields: [{ field: 'addressId', message: 'Log in to use a saved address' }],
+    });
+  }
+  return address;
 }
 
 /**
- * Send WhatsApp and SMS notifications
+ * Itemised price of a cart before checkout: items, coupon, shipping and COD fee
  */
-async function sendNotifications(address, items, total, paymentMethod, paymentId) {
-  const adminMessage = generateAdminMessage(address, items, total, paymentMethod, paymentId);
-  const customerMessage = generateCustomerMessage(address, total, paymentMethod);
+const quoteOrder = async (req, res) => {
+  const { items, paymentMethod, couponCode } = req.body;
 
-  // Send WhatsApp messages
-  const adminResult = await whatsappService.sendMessage('919301680755', adminMessage);
-  const customerResult = await whatsappService.sendMessage(address.phone, customerMessage);
-  const smsResult = await whatsappService.sendTextSMS(address.phone, customerMessage);
+  let address;
+  try {
+    address = resolveAddress(req);
+  } catch (error) {
+    return sendError(res, error, 'Error loading address');
+  }
 
-  return {
-    admin: adminResult.success ? 'Sent' : 'Failed',
-    customer: customerResult.success ? 'Sent' : 'Failed',
-    sms: smsResult.success ? 'Sent' : 'Failed'
-  };
-}
+  try {
+    const pricing = await priceOrder({
+      items,
+      address,
+      paymentMethod: paymentMethod || 'prepaid',
+      couponCode,
+      customerId: req.customer ? req.customer._id : null,
+    });
+    return res.status(200).json({ paymentMethod: paymentMethod || 'prepaid', ...pricing });
+  } catch (error) {
+    return sendError(res, error, 'Error pricing order');
+  }
+};
 
 /**
  * Create Razorpay Order or Process COD
  */
 const createOrder = async (req, res) => {
-  const { items, address, paymentMethod, total } = req.body;
-
-  // Validate required fields
-  if (!items || !address || !paymentMethod || !total) {
-    return res.status(400).json({ error: 'Missing required fields' });
-  }
+  const { items, paymentMethod, total, locale, couponCode } = req.body;
+  const customerId = req.customer ? req.customer._id : null;
 
-  // Validate address fields
-  const requiredAddressFields = ['fullName', 'street', 'city', 'state', 'zipCode', 'email', 'phone'];
-  for (const field of requiredAddressFields) {
-    if (!address[field] || typeof address[field] !== 'string') {
-      return res.status(400).json({ error: `Address field "${field}" is required and must be a string` });
-    }
+  let address;
+  try {
+    address = resolveAddress(req);
+  } catch (error) {
+    return sendError(res, error, 'Error loading address');
   }
 
-  // Validate item prices sum up to total
-  const calculatedTotal = items.reduce((sum, item) => sum + (item.price * (item.quantity || 1)), 0);
-  if (calculatedTotal !== total) {
-    return res.status(400).json({ error: 'Total does not match the sum of item prices' });
-  }
+  // Set while a coupon use or a COD order slot is held for an order that
+  // is not saved yet
+  let heldCoupon = null;
+  let heldCodSlot = null;
 
   try {
+    // Blocked numbers and pincodes, and COD limits per phone
+    heldCodSlot = await assertCanOrder(address, paymentMethod);
+
+    // Prices always come from the catalog, never from the client
+    const pricing = await priceCheckout({ items, address, paymentMethod, couponCode, customerId }, total);
+    const { items: pricedItems, discount, total: orderTotal } = pricing;
+
+    if (discount) {
+      await redeemCoupon(discount.code);
+      heldCoupon = discount.code;
+    }
+
     if (paymentMethod === 'prepaid') {
-      // Create Razorpay order but don't save to DB yet
+      // Razorpay does not take payments below ₹1
+      if (orderTotal < 1) {
+        throw new AppError('The order total is too low to pay online, please choose cash on delivery', 400);
+      }
+
+      // Create the Razorpay order; ours stays pending until the payment is captured
       const options = {
-        amount: total * 100, // Convert to paise
+        amount: toPaise(orderTotal),
         currency: 'INR',
         receipt: `receipt_${Date.now()}`,
       };
 
       const order = await razorpay.orders.create(options);
-      
+
+      // Hold stock until the payment is verified or the hold expires
+      await reserveStock(order.id, pricedItems);
+
+      // Stored now so the webhook can confirm it even if the browser never
+      // returns, releasing the hold if that fails
+      try {
+        await saveOrderToDatabase({
+          items: pricedItems,
+          address,
+          paymentMethod,
+          ...orderCharges(pricing),
+          paymentId: null,
+          razorpayOrderId: order.id,
+          amountPaise: order.amount,
+          locale: normalizeLocale(locale),
+          customerId,
+          // Tracked so an abandoned checkout can be reminded and won back
+          recovery: newRecoveryState(),
+          status: 'pending_payment',
+        });
+      } catch (error) {
+        await releaseReservation(order.id);
+        throw error;
+      }
+      heldCoupon = null;
+
       return res.status(200).json({
         orderId: order.id,
         amount: order.amount,
         currency: order.currency,
       });
-    } else if (paymentMethod === 'cod') {
+    } else {
       // For COD, immediately save to database and send notifications
       const orderData = {
-        items,
+        items: pricedItems,
         address,
         paymentMethod,
-        total,
+        ...orderCharges(pricing),
         paymentId: null,
+        locale: normalizeLocale(locale),
+        customerId,
         status: 'confirmed' // COD orders are confirmed immediately
       };
 
-      // Save order to database
-      const result = await saveOrderToDatabase(orderData);
+      await decrementStock(pricedItems);
+
+      // Save order to database, putting the stock back if that fails
+      let result;
+      try {
+        result = await saveOrderToDatabase(orderData);
+      } catch (error) {
+        await incrementStock(pricedItems);
+        throw error;
+      }
+      heldCoupon = null;
+      heldCodSlot = null;
 
-      // Send notifications
-      const notifications = await sendNotifications(address, items, total, paymentMethod, null);
+      // Send notifications, then the invoice
+      const notifications = await sendNotifications({ _id: result.insertedId, ...orderData });
+      await sendInvoiceForOrder({ _id: result.insertedId, ...orderData });
 
       return res.status(200).json({
         message: 'COD Order placed successfully',
         orderId: result.insertedId,
         whatsappNotifications: notifications
       });
-    } else {
-      return res.status(400).json({ error: 'Invalid payment method' });
     }
   } catch (error) {
+    if (heldCoupon) {
+      await releaseCoupon(heldCoupon);
+    }
+    await releaseCodOrderSlot(heldCodSlot);
     console.error('Error creating order:', error);
-    return res.status(500).json({ error: 'Error creating order: ' + error.message });
+    return sendError(res, error, 'Error creating order');
   }
 };
 
@@ -162,90 +244,100 @@ const createOrder = async (req, res) => {
  * Verify Razorpay Payment and Complete Order
  */
 const verifyPayment = async (req, res) => {
-  const { 
-    razorpay_order_id, 
-    razorpay_payment_id, 
-    razorpay_signature,
-    items,
-    address,
-    total
-  } = req.body;
-
-  if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
-    return res.status(400).json({ error: 'Missing required fields for verification' });
-  }
+  const { razorpay_order_id, razorpay_payment_id, razorpay_signature, total } = req.body;
 
-  if (!items || !address || !total) {
-    return res.status(400).json({ error: 'Missing order details for saving' });
+  if (!verifyCheckoutSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+    return res.status(400).json({ error: 'Invalid payment signature' });
   }
 
   try {
-    // Verify payment signature
-    const generatedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(razorpay_order_id + '|' + razorpay_payment_id)
-      .digest('hex');
-
-    if (generatedSignature === razorpay_signature) {
-      // Payment verified successfully, now save order to database
-      const orderData = {
-        items,
-        address,
-        paymentMethod: 'prepaid',
-        total,
-        paymentId: razorpay_payment_id,
-        razorpayOrderId: razorpay_order_id,
-        status: 'confirmed' // Payment verified, order confirmed
-      };
+    // The pending order stored by createOrder is the source of truth;
+    // a total sent by the client is only checked against it
+    const pending = await getDb().collection('orders').findOne({ razorpayOrderId: razorpay_order_id });
+    if (!pending) {
+      return res.status(404).json({ error: 'No order found for this payment' });
+    }
 
-      // Save order to database
-      const result = await saveOrderToDatabase(orderData);
+    if (total !== undefined && total !== null && Number(total) !== pending.total) {
+      return res.status(400).json({ error: 'Amount does not match the order', expectedTotal: pending.total });
+    }
 
-      // Send notifications
-      const notifications = await sendNotifications(address, items, total, 'prepaid', razorpay_payment_id);
+    const { order, created } = await confirmPrepaidOrder({
+      razorpayOrderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      source: 'verify',
+    });
 
-      return res.status(200).json({ 
-        message: 'Payment verified and order saved successfully',
-        orderId: result.insertedId,
-        whatsappNotifications: notifications
+    // The order no longer takes this payment, so it goes back to the customer
+    if (!created && order.paymentId !== razorpay_payment_id) {
+      const stray = await refundStrayPayment(order, { paymentId: razorpay_payment_id, source: 'verify' });
+      const error = order.paymentId
+        ? 'This order was already paid with a different payment'
+        : `This order was ${order.status} before your payment arrived`;
+      return res.status(409).json({
+        error: stray.refundError
+          ? `${error}. Our team has been told and will refund your payment.`
+          : `${error}. Your payment is being refunded.`,
+        status: order.status,
+        orderId: order._id,
+        refund: stray.refundId ? { refundId: stray.refundId, amount: stray.refundAmount, status: stray.refundStatus } : null,
       });
-    } else {
-      return res.status(400).json({ error: 'Invalid payment signature' });
     }
+
+    // Only whoever confirmed the order sends the notifications
+    const notifications = created
+      ? await sendNotifications(order)
+      : null;
+    if (created) {
+      await sendInvoiceForOrder(order);
+    }
+
+    return res.status(200).json({ 
+      message: created ? 'Payment verified and order saved successfully' : 'Payment already verified',
+      orderId: order._id,
+      whatsappNotifications: notifications
+    });
   } catch (error) {
     console.error('Error verifying payment:', error);
-    return res.status(500).json({ error: 'Error verifying payment: ' + error.message });
+    return sendError(res, error, 'Error verifying payment');
   }
 };
 
 /**
- * Save Order to MongoDB (Legacy endpoint - kept for backward compatibility)
+ * Save Order to MongoDB (Legacy endpoint - kept for backward compatibility, owner only)
  */
 const saveOrder = async (req, res) => {
   const { items, address, paymentMethod, total, paymentId, status } = req.body;
 
-  if (!items || !address || !paymentMethod || !total || !status) {
-    return res.status(400).json({ error: 'Missing required fields for saving order' });
-  }
-
-  if (!address.phone || typeof address.phone !== 'string') {
-    return res.status(400).json({ error: 'Phone number is required and must be a string' });
-  }
-
   try {
+    const pricing = await priceCheckout({ items, address, paymentMethod }, total);
+    const pricedItems = pricing.items;
+
     const orderData = {
-      items,
+      items: pricedItems,
       address,
       paymentMethod,
-      total,
+      ...orderCharges(pricing),
       paymentId: paymentMethod === 'prepaid' ? paymentId : null,
+      locale: normalizeLocale(req.body.locale),
       status,
     };
 
-    const result = await saveOrderToDatabase(orderData);
+    await decrementStock(pricedItems);
+
+    let result;
+    try {
+      result = await saveOrderToDatabase(orderData);
+    } catch (error) {
+      await incrementStock(pricedItems);
+      throw error;
+    }
 
     // Send notifications
-    const notifications = await sendNotifications(address, items, total, paymentMethod, paymentId);
+    const notifications = await sendNotifications({ _id: result.insertedId, ...orderData });
+    if (INVOICEABLE_STATUSES.includes(status)) {
+      await sendInvoiceForOrder({ _id: result.insertedId, ...orderData });
+    }
 
     res.status(200).json({
       message: 'Order saved successfully',
@@ -255,8 +347,276 @@ const saveOrder = async (req, res) => {
 
   } catch (error) {
     console.error('Error saving order to database:', error);
+    if (error instanceof AppError) {
+      return sendError(res, error);
+    }
     return res.status(500).json({ error: 'Failed to save order to database' });
   }
 };
 
-module.exports = { createOrder, verifyPayment, saveOrder };
\ No newline at end of file
+/**
+ * Get a single order
+ */
+const getOrder = async (req, res) => {
+  try {
+    const order = await findOrderById(req.params.id);
+    return res.status(200).json({ order });
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    return sendError(res, error, 'Error fetching order');
+  }
+};
+
+/**
+ * List orders with filters and pagination (admin)
+ */
+const listOrders = async (req, res) => {
+  const { status, paymentMethod, from, to, phone } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const query = {};
+  if (status) {
+    const statuses = String(status).split(',');
+    const unknown = statuses.filter(value => !ORDER_STATUSES.includes(value));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown status: ${unknown.join(', ')}`, allowedStatuses: ORDER_STATUSES });
+    }
+    query.status = { $in: statuses };
+  }
+  if (paymentMethod) {
+    if (!['prepaid', 'cod'].includes(paymentMethod)) {
+      return res.status(400).json({ error: 'paymentMethod must be "prepaid" or "cod"' });
+    }
+    query.paymentMethod = paymentMethod;
+  }
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+    if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+  }
+  if (phone) {
+    // A partial number would match every phone ending in it
+    if (!isFullPhone(phone)) {
+      return res.status(400).json({ error: 'phone must be a full 10-digit number' });
+    }
+    query['address.phone'] = phoneMatchRegex(phone);
+  }
+
+  try {
+    const db = getDb();
+    const [orders, total] = await Promise.all([
+      db.collection('orders').find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      db.collection('orders').countDocuments(query),
+    ]);
+
+    return res.status(200).json({ orders, page, limit, total });
+  } catch (error) {
+    console.error('Error listing orders:', error);
+    return res.status(500).json({ error: 'Error listing orders: ' + error.message });
+  }
+};
+
+/**
+ * Move an order to a new status (admin)
+ */
+const updateOrderStatus = async (req, res) => {
+  const { status, note } = req.body;
+
+  // Shipping needs courier details and both steps notify the customer
+  if (status === 'shipped' || status === 'delivered') {
+    return res.status(400).json({
+      error: `Use POST /api/orders/:id/${status === 'shipped' ? 'ship' : 'deliver'} to mark an order ${status}`
+    });
+  }
+
+  try {
+    const order = await transitionOrderStatus(req.params.id, status, { note: note || null, by: req.admin.email });
+    // Confirming by hand (e.g. a payment settled offline) still bills the customer
+    if (status === 'confirmed') {
+      await sendInvoiceForOrder(order);
+    }
+    return res.status(200).json({ message: `Order moved to ${status}`, order });
+  } catch (error) {
+    console.error('Error updating order status:', error);
+    return sendError(res, error, 'Error updating order status');
+  }
+};
+
+/**
+ * Cancel an order and refund it if it was paid (admin).
+ * `refundAmount` allows a partial refund; the default is the full amount.
+ */
+const cancelOrder = async (req, res) => {
+  const { reason, refundAmount } = req.body;
+
+  try {
+    const order = await findOrderById(req.params.id);
+
+    if (!canTransition(order.status, 'cancelled')) {
+      return res.status(409).json({ error: `Cannot cancel an order that is ${order.status}` });
+    }
+
+    // Refund first: if Razorpay refuses, the order is left untouched.
+    // A refundAmount of 0 cancels without refunding.
+    const shouldRefund = order.paymentMethod === 'prepaid' && order.paymentId &&
+      getRefundableAmount(order) > 0 && refundAmount !== 0;
+    const refund = shouldRefund
+      ? await refundOrderPayment(order, { amount: refundAmount, reason })
+      : null;
+
+    const cancelled = await transitionOrderStatus(order._id, 'cancelled', {
+      note: reason || null,
+      by: req.admin.email,
+      extraFields: { cancellationReason: reason || null, cancelledAt: new Date() },
+    });
+
+    // Unpaid prepaid orders were never confirmed to the customer
+    const notifications = order.status === 'pending_payment'
+      ? null
+      : await sendCancellationNotifications(cancelled, refund, reason);
+
+    return res.status(200).json({
+      message: 'Order cancelled',
+      order: cancelled,
+      refund,
+      whatsappNotifications: notifications
+    });
+  } catch (error) {
+    console.error('Error cancelling order:', error);
+    return sendError(res, error, 'Error cancelling order');
+  }
+};
+
+/**
+ * Refund all or part of a prepaid order without cancelling it (admin)
+ */
+const refundOrder = async (req, res) => {
+  const { amount, reason } = req.body;
+
+  try {
+    const order = await findOrderById(req.params.id);
+    const refund = await refundOrderPayment(order, { amount, reason });
+    const notifications = await sendRefundNotifications(order, refund);
+
+    return res.status(200).json({
+      message: 'Refund initiated',
+      refund,
+      whatsappNotifications: notifications
+    });
+  } catch (error) {
+    console.error('Error refunding order:', error);
+    return sendError(res, error, 'Error refunding order');
+  }
+};
+
+/**
+ * Attach courier and tracking details and mark the order shipped (admin)
+ */
+const shipOrder = async (req, res) => {
+  const { courier, trackingId, trackingUrl, note } = req.body;
+
+  try {
+    const { order, notifications } = await markOrderShipped(req.params.id, {
+      courier,
+      trackingId,
+      trackingUrl,
+      note,
+      by: req.admin.email,
+    });
+    return res.status(200).json({
+      message: 'Order shipped',
+      order,
+      whatsappNotifications: notifications
+    });
+  } catch (error) {
+    console.error('Error shipping order:', error);
+    return sendError(res, error, 'Error shipping order');
+  }
+};
+
+/**
+ * Mark a shipped order delivered and ask the customer for feedback (admin)
+ */
+const deliverOrder = async (req, res) => {
+  const { note } = req.body;
+
+  try {
+    const { order, notifications } = await markOrderDelivered(req.params.id, { note: note || null, by: req.admin.email });
+    return res.status(200).json({
+      message: 'Order delivered',
+      order,
+      whatsappNotifications: notifications
+    });
+  } catch (error) {
+    console.error('Error delivering order:', error);
+    return sendError(res, error, 'Error delivering order');
+  }
+};
+
+/**
+ * Download the GST invoice of an order, issuing it if it is still missing (admin)
+ */
+const downloadInvoice = async (req, res) => {
+  try {
+    const order = await findOrderById(req.params.id);
+    const invoice = await issueInvoice(order);
+    const filePath = await getInvoicePdfPath(invoice);
+    return res.download(filePath, `${invoice.number.replace(/\//g, '-')}.pdf`);
+  } catch (error) {
+    console.error('Error downloading invoice:', error);
+    return sendError(res, error, 'Error downloading invoice');
+  }
+};
+
+/**
+ * Send the invoice to the customer on WhatsApp again (admin)
+ */
+const resendInvoice = async (req, res) => {
+  try {
+    const order = await findOrderById(req.params.id);
+    const invoice = await issueInvoice(order);
+    const notifications = await sendInvoiceNotification(order, invoice, await getInvoicePdfPath(invoice));
+    return res.status(200).json({ message: 'Invoice queued', invoiceNumber: invoice.number, whatsappNotifications: notifications });
+  } catch (error) {
+    console.error('Error resending invoice:', error);
+    return sendError(res, error, 'Error resending invoice');
+  }
+};
+
+/**
+ * Fetch the latest checkpoints from the courier (admin)
+ */
+const getTracking = async (req, res) => {
+  try {
+    const { order, notifications } = await refreshTracking(req.params.id);
+    return res.status(200).json({
+      status: order.status,
+      shipment: order.shipment,
+      whatsappNotifications: notifications
+    });
+  } catch (error) {
+    console.error('Error fetching tracking:', error);
+    return sendError(res, error, 'Error fetching tracking');
+  }
+};
+
+module.exports = {
+  quoteOrder,
+  createOrder,
+  verifyPayment,
+  saveOrder,
+  getOrder,
+  listOrders,
+  updateOrderStatus,
+  cancelOrder,
+  refundOrder,
+  shipOrder,
+  deliverOrder,
+  getTracking,
+  downloadInvoice,
+  resendInvoice,
+};
\ No newline at end of file
@@ -0,0 +1,205 @@
+// controllers/paymentController.js
+
+const { getDb } = require('../config/db');
+const { sendInvoiceForOrder } = require('../services/invoiceService');
+const { sendNotifications, sendPaymentFailedNotifications } = require('../services/notificationService');
+const { AppError } = require('../utils/errors');
+const { fromPaise } = require('../utils/money');
+const {
+  verifyWebhookSignature,
+  confirmPrepaidOrder,
+  recordPaymentFailure,
+  recordRefund,
+  refundStrayPayment,
+} = require('../services/paymentService');
+
+/**
+ * A captured payment confirmPrepaidOrder refused. Razorpay already holds the
+ * customer's money: a wrong amount is refunded, and a payment already on
+ * another order is reported for staff to check. Admins are told either way.
+ */
+async function handleRejectedPayment(filter, payment, error, source) {
+  console.error(`❌ Webhook payment ${payment.id} rejected:`, error.message, error.details);
+
+  const order = await getDb().collection('orders').findOne(filter);
+  if (!order) {
+    return { matched: false, error: error.message };
+  }
+
+  // Refunding a payment that confirmed another order would undo that sale
+  const skipRefund = error.status === 409 ? 'the payment is already recorded on another order' : null;
+  const stray = await refundStrayPayment(order, { paymentId: payment.id, source, reason: error.message, skipRefund });
+  return { matched: true, orderId: order._id, error: error.message, ...error.details, strayPayment: stray };
+}
+
+/**
+ * Handle a captured payment (payment.captured / order.paid)
+ */
+async function handlePaymentCaptured(payment) {
+  let result;
+  try {
+    result = await confirmPrepaidOrder({
+      razorpayOrderId: payment.order_id,
+      paymentId: payment.id,
+      amount: payment.amount,
+      source: 'webhook',
+    });
+  } catch (error) {
+    // Retrying will not fix a mismatch, so deal with it instead of failing the delivery
+    if (error instanceof AppError) {
+      return handleRejectedPayment({ razorpayOrderId: payment.order_id }, payment, error, 'webhook');
+    }
+    throw error;
+  }
+
+  const { order, created } = result;
+
+  if (!order) {
+    console.warn(`⚠️ Webhook payment ${payment.id} has no matching order (${payment.order_id})`);
+    return { matched: false };
+  }
+
+  if (created) {
+    await sendNotifications(order);
+    await sendInvoiceForOrder(order);
+  } else if (order.paymentId !== payment.id) {
+    // Cancelled before the customer paid, or already paid another way
+    const stray = await refundStrayPayment(order, { paymentId: payment.id, source: 'webhook' });
+    return { matched: true, orderId: order._id, created, strayPayment: stray };
+  }
+  return { matched: true, orderId: order._id, created };
+}
+
+/**
+ * Handle a checkout reminder's payment link being paid (payment_link.paid).
+ * The link has its own Razorpay order, so the cart is found by link id.
+ */
+async function handlePaymentLinkPaid(link, payment) {
+  let result;
+  try {
+    result = await confirmPrepaidOrder({
+      paymentLinkId: link.id,
+      paymentId: payment.id,
+      amount: payment.amount,
+      source: 'payment_link',
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      return handleRejectedPayment({ 'recovery.paymentLinks.id': link.id }, payment, error, 'payment_link');
+    }
+    throw error;
+  }
+
+  const { order, created } = result;
+
+  if (!order) {
+    console.warn(`⚠️ Webhook payment link ${link.id} has no matching order`);
+    return { matched: false };
+  }
+
+  if (created) {
+    console.log(`🛒 Abandoned cart ${order._id} recovered through a reminder`);
+    await sendNotifications(order);
+    await sendInvoiceForOrder(order);
+  } else if (order.paymentId !== payment.id) {
+    // Paid twice (at checkout and through the link), or cancelled meanwhile
+    const stray = await refundStrayPayment(order, { paymentId: payment.id, source: 'payment_link' });
+    return { matched: true, orderId: order._id, created, strayPayment: stray };
+  }
+  return { matched: true, orderId: order._id, created };
+}
+
+/**
+ * Handle a failed payment attempt (payment.failed)
+ */
+async function handlePaymentFailed(payment) {
+  const reason = payment.error_description || payment.error_code || null;
+  const order = await recordPaymentFailure({
+    razorpayOrderId: payment.order_id,
+    paymentId: payment.id,
+    reason,
+  });
+
+  if (!order) {
+    return { matched: false };
+  }
+
+  await sendPaymentFailedNotifications(order, reason);
+  return { matched: true, orderId: order._id };
+}
+
+/**
+ * Route a webhook event to its handler
+ */
+async function processEvent(event) {
+  const payment = event.payload?.payment?.entity;
+  const refund = event.payload?.refund?.entity;
+  const paymentLink = event.payload?.payment_link?.entity;
+
+  switch (event.event) {
+    case 'payment.captured':
+    case 'order.paid':
+      return handlePaymentCaptured(payment);
+
+    case 'payment.failed':
+      return handlePaymentFailed(payment);
+
+    case 'payment_link.paid':
+      return handlePaymentLinkPaid(paymentLink, payment);
+
+    default:
+      if (event.event?.startsWith('refund.') && refund) {
+        return {
+          matched: await recordRefund({
+            paymentId: refund.payment_id,
+            refundId: refund.id,
+            amount: fromPaise(refund.amount),
+            status: refund.status,
+          }),
+        };
+      }
+      return { ignored: true };
+  }
+}
+
+/**
+ * Razorpay webhook receiver
+ */
+const handleWebhook = async (req, res) => {
+  const signature = req.get('X-Razorpay-Signature');
+
+  if (!req.rawBody || !verifyWebhookSignature(req.rawBody, signature)) {
+    return res.status(400).json({ error: 'Invalid webhook signature' });
+  }
+
+  const event = req.body;
+  const eventId = req.get('X-Razorpay-Event-Id') || null;
+  const events = getDb().collection('webhook_events');
+
+  try {
+    // Razorpay redelivers until it gets a 2xx, so skip events already handled
+    if (eventId && await events.findOne({ eventId })) {
+      return res.status(200).json({ status: 'duplicate' });
+    }
+
+    const result = await processEvent(event);
+
+    await events.insertOne({
+      eventId,
+      event: event.event,
+      result,
+      payload: event.payload,
+      receivedAt: new Date(),
+    });
+
+    return res.status(200).json({ status: 'ok' });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(200).json({ status: 'duplicate' });
+    }
+    console.error('Error handling Razorpay webhook:', error);
+    return res.status(500).json({ error: 'Error handling webhook: ' + error.message });
+  }
+};
+
+module.exports = { handleWebhook };
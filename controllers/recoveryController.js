@@ -0,0 +1,24 @@
+// controllers/recoveryController.js
+
+const { getRecoveryReport } = require('../services/checkoutRecoveryService');
+
+/**
+ * Abandoned-checkout recovery rates for carts created between `from` and `to` (admin)
+ */
+const recoveryReport = async (req, res) => {
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+  if ([from, to].some(date => date && isNaN(date.getTime()))) {
+    return res.status(400).json({ error: 'Invalid date range' });
+  }
+
+  try {
+    const report = await getRecoveryReport({ from, to });
+    return res.status(200).json({ from, to, ...report });
+  } catch (error) {
+    console.error('Error building recovery report:', error);
+    return res.status(500).json({ error: 'Error building recovery report: ' + error.message });
+  }
+};
+
+module.exports = { recoveryReport };
@@ -0,0 +1,119 @@
+// controllers/reportController.js
+
+const {
+  INTERVALS,
+  getSalesReport,
+  getPaymentMethodReport,
+  getTopBooksReport,
+  getCodOutcomeReport,
+  getNotificationReport,
+} = require('../services/reportService');
+const { toCsv } = require('../utils/csv');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * A bare date like 2026-10-19 covers that whole day in shop time,
+ * so `to=2026-10-19` includes orders placed that evening
+ */
+function parseReportDate(value, endOfDay) {
+  if (!value) return null;
+  if (DATE_ONLY.test(value)) {
+    return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}+05:30`);
+  }
+  return new Date(value);
+}
+
+function parseRange(query) {
+  const from = parseReportDate(query.from, false);
+  const to = parseReportDate(query.to, true);
+  if ([from, to].some(date => date && isNaN(date.getTime()))) {
+    return { error: 'Invalid date range' };
+  }
+  if (from && to && from > to) {
+    return { error: '"from" must be before "to"' };
+  }
+  return { from, to };
+}
+
+/**
+ * Answer with the report as JSON, or its rows as a CSV download with `?format=csv`
+ */
+function sendReport(req, res, name, range, report) {
+  if (req.query.format === 'csv') {
+    // en-CA writes dates as YYYY-MM-DD
+    const dates = [range.from, range.to].filter(Boolean)
+      .map(date => date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }));
+    res.attachment(`${[name, ...dates].join('-')}.csv`);
+    return res.status(200).type('text/csv').send(toCsv(report.rows));
+  }
+  return res.status(200).json({ from: range.from, to: range.to, ...report });
+}
+
+/**
+ * Build a report handler: parse the date range, run the report, send it
+ */
+function reportHandler(name, buildReport) {
+  return async (req, res) => {
+    const range = parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    if (req.query.format && !['json', 'csv'].includes(req.query.format)) {
+      return res.status(400).json({ error: 'Format must be json or csv' });
+    }
+
+    try {
+      const report = await buildReport(range, req.query);
+      if (report.error) {
+        return res.status(400).json({ error: report.error });
+      }
+      return sendReport(req, res, name, range, report);
+    } catch (error) {
+      console.error(`Error building ${name} report:`, error);
+      return res.status(500).json({ error: `Error building ${name} report: ` + error.message });
+    }
+  };
+}
+
+/**
+ * Revenue, orders and average order value per day, week or month (admin)
+ */
+const salesReport = reportHandler('sales', (range, query) => {
+  const interval = query.interval || 'day';
+  if (!INTERVALS.includes(interval)) {
+    return { error: `Interval must be one of: ${INTERVALS.join(', ')}` };
+  }
+  return getSalesReport({ ...range, interval });
+});
+
+/**
+ * Prepaid vs cash-on-delivery split (admin)
+ */
+const paymentMethodReport = reportHandler('payment-methods', range => getPaymentMethodReport(range));
+
+/**
+ * Top-selling books; `limit` defaults to 10 (admin)
+ */
+const topBooksReport = reportHandler('top-books', (range, query) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 10, 1), 100);
+  return getTopBooksReport({ ...range, limit });
+});
+
+/**
+ * Cash-on-delivery return and failure rates (admin)
+ */
+const codOutcomeReport = reportHandler('cod-outcomes', range => getCodOutcomeReport(range));
+
+/**
+ * Notification delivery success per channel and event (admin)
+ */
+const notificationReport = reportHandler('notifications', range => getNotificationReport(range));
+
+module.exports = {
+  salesReport,
+  paymentMethodReport,
+  topBooksReport,
+  codOutcomeReport,
+  notificationReport,
+};
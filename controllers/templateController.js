@@ -0,0 +1,133 @@
+// controllers/templateController.js
+
+const { getDb } = require('../config/db');
+const { findOrderById } = require('../services/orderService');
+const {
+  SUPPORTED_LOCALES,
+  TEMPLATE_PARTS,
+  renderTemplate,
+  validateTemplate,
+  listTemplates,
+  buildOrderVariables,
+} = require('../services/templateService');
+const { sendError } = require('../utils/errors');
+
+// Used by the preview when no orderId is given
+const SAMPLE_ORDER = {
+  _id: '665f1c2e9b1e8a0012345678',
+  address: {
+    fullName: 'Priya Sharma',
+    phone: '9876543210',
+    email: 'priya@example.com',
+    street: '12 MG Road',
+    city: 'Indore',
+    state: 'Madhya Pradesh',
+    zipCode: '452001',
+  },
+  items: [
+    { name: 'Bhagavad Gita As It Is', quantity: 1 },
+    { name: 'Wings of Fire', quantity: 2 },
+  ],
+  subtotal: 997,
+  discount: { code: 'WELCOME100', type: 'flat', value: 100, amount: 100 },
+  total: 897,
+  paymentMethod: 'prepaid',
+  paymentId: 'pay_SAMPLE123',
+};
+
+const SAMPLE_VARIABLES = {
+  reason: 'Requested by customer',
+  refundAmount: 897,
+  courier: 'Delhivery',
+  trackingId: 'DLV123456789',
+  trackingUrl: 'https://www.delhivery.com/track/package/DLV123456789',
+  code: '123456',
+  minutes: 10,
+};
+
+/**
+ * List templates with the locales/parts available and their source (admin)
+ */
+const getTemplates = async (req, res) => {
+  try {
+    const templates = await listTemplates();
+    return res.status(200).json({ templates, locales: SUPPORTED_LOCALES, parts: TEMPLATE_PARTS });
+  } catch (error) {
+    console.error('Error listing templates:', error);
+    return res.status(500).json({ error: 'Error listing templates: ' + error.message });
+  }
+};
+
+/**
+ * Save a database override for one part of a template (admin)
+ */
+const saveTemplate = async (req, res) => {
+  const { name, locale, part } = req.params;
+  const { body } = req.body || {};
+
+  if (!SUPPORTED_LOCALES.includes(locale)) {
+    return res.status(400).json({ error: `Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}` });
+  }
+  if (!TEMPLATE_PARTS.includes(part)) {
+    return res.status(400).json({ error: `Part must be one of: ${TEMPLATE_PARTS.join(', ')}` });
+  }
+  if (!body || typeof body !== 'string') {
+    return res.status(400).json({ error: 'Template body is required and must be a string' });
+  }
+
+  const syntaxError = validateTemplate(body);
+  if (syntaxError) {
+    return res.status(400).json({ error: `Invalid template: ${syntaxError}` });
+  }
+
+  try {
+    await getDb().collection('message_templates').updateOne(
+      { name, locale, part },
+      { $set: { body, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+    return res.status(200).json({ message: 'Template saved', name, locale, part });
+  } catch (error) {
+    console.error('Error saving template:', error);
+    return res.status(500).json({ error: 'Error saving template: ' + error.message });
+  }
+};
+
+/**
+ * Remove a database override so the file version is used again (admin)
+ */
+const resetTemplate = async (req, res) => {
+  const { name, locale, part } = req.params;
+
+  try {
+    const result = await getDb().collection('message_templates').deleteOne({ name, locale, part });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'No override found for this template' });
+    }
+    return res.status(200).json({ message: 'Template override removed', name, locale, part });
+  } catch (error) {
+    console.error('Error resetting template:', error);
+    return res.status(500).json({ error: 'Error resetting template: ' + error.message });
+  }
+};
+
+/**
+ * Render a template against a real order or the sample order (admin)
+ */
+const previewTemplate = async (req, res) => {
+  const { name } = req.params;
+  const { locale = 'en', channel = 'whatsapp', orderId } = req.body || {};
+
+  try {
+    const order = orderId ? await findOrderById(orderId) : SAMPLE_ORDER;
+    const variables = buildOrderVariables(order, SAMPLE_VARIABLES);
+    const rendered = await renderTemplate(name, { channel, locale, variables });
+
+    return res.status(200).json({ name, channel, ...rendered });
+  } catch (error) {
+    console.error('Error previewing template:', error);
+    return sendError(res, error, 'Error previewing template');
+  }
+};
+
+module.exports = { getTemplates, saveTemplate, resetTemplate, previewTemplate };
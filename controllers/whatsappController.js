@@ -1,7 +1,9 @@
 // controllers/whatsappController.js
 const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
+const QRCode = require('qrcode');
 const axios = require('axios'); // Added missing axios import
+const { ADMIN_RECIPIENTS } = require('../config/notifications');
 const dotenv = require("dotenv")
 dotenv.config()
 
@@ -10,10 +12,27 @@ const authToken = process.env.TWILIO_AUTH_TOKEN;
 const twilioPhoneNumber = process.env.TWILIO_PHONE_NUMBER;
 
 
+// Reconnect backoff: 5s, 10s, 20s, ... up to 5 minutes
+const RECONNECT_BASE_MS = 5 * 1000;
+const RECONNECT_MAX_MS = 5 * 60 * 1000;
+// Admins are alerted once the client has been down this long
+const DISCONNECT_ALERT_MINUTES = parseInt(process.env.WHATSAPP_ALERT_AFTER_MINUTES, 10) || 10;
+
 class WhatsAppService {
   constructor() { 
     this.client = null;
     this.isReady = false;
+    // initializing | qr | authenticated | ready | disconnected | logged_out | stopped
+    this.state = 'initializing';
+    this.qr = null;
+    this.qrUpdatedAt = null;
+    this.lastDisconnect = null;
+    this.disconnectedSince = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
+    this.alertTimer = null;
+    this.alertSent = false;
     this.initializationPromise = null;
     this.initialize();
   }
@@ -23,142 +42,277 @@ class WhatsAppService {
       return this.initializationPromise;
     }
 
-    this.initializationPromise = new Promise((resolve, reject) => {
-      try {
-        this.client = new Client({
-          authStrategy: new LocalAuth({
-            dataPath: './whatsapp-session'
-          }),
-          puppeteer: {
-            headless: true,
-            args: [
-              '--no-sandbox',
-              '--disable-setuid-sandbox',
-              '--disable-dev-shm-usage',
-              '--disable-accelerated-2d-canvas',
-              '--no-first-run',
-              '--no-zygote',
-              '--disable-gpu',
-              '--disable-web-security',
-              '--disable-features=VizDisplayCompositor',
-              '--ignore-certificate-errors',
-              '--ignore-ssl-errors',
-              '--ignore-certificate-errors-spki-list',
-              '--disable-extensions'
-            ],
-            timeout: 60000,
-            handleSIGINT: false,
-            handleSIGTERM: false,
-            handleSIGHUP: false
-          },
-          webVersionCache: {
-            type: 'remote',
-            remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html',
-          }
-        });
-
-        this.client.on('qr', (qr) => {
-          console.log('\n📱 WhatsApp QR Code received!');
-          console.log('👆 Scan this QR code with WhatsApp on your phone:');
-          console.log('   1. Open WhatsApp on your phone');
-          console.log('   2. Go to Settings > Linked Devices');
-          console.log('   3. Tap "Link a Device"');
-          console.log('   4. Scan the QR code below:\n');
-          
-          qrcode.generate(qr, { small: true });
-          
-          console.log('\n⏳ Waiting for QR code to be scanned...\n');
-        });
-
-        this.client.on('ready', () => {
-          console.log('✅ WhatsApp Client is ready!');
-          console.log('📞 Connected WhatsApp number:', this.client.info?.wid?.user || 'Unknown');
-          this.isReady = true;
-          resolve();
-        });
-
-        this.client.on('authenticated', () => {
-          console.log('🔐 WhatsApp authenticated successfully');
-        });
-
-        this.client.on('auth_failure', (msg) => {
-          console.error('❌ WhatsApp authentication failed:', msg);
-          reject(new Error('WhatsApp authentication failed'));
-        });
-
-        this.client.on('disconnected', (reason) => {
-          console.log('📵 WhatsApp Client disconnected:', reason);
-          this.isReady = false;
-        });
-
-        this.client.on('message', async (message) => {
-          // Log incoming messages for debugging
-          console.log(`📨 Received message from ${message.from}: ${message.body}`);
-          
-          // You can add auto-reply logic here if needed
-          // Example: if message contains certain keywords, send auto-reply
-        });
-
-        // Initialize the client with retry mechanism
-        this.initializeWithRetry();
-
-        // Set timeout for initialization
-        setTimeout(() => {
-          if (!this.isReady) {
-            console.log('⚠️  WhatsApp initialization timeout. Please try restarting the server.');
-          }
-        }, 60000); // 60 seconds timeout
+    this.initializationPromise = new Promise((resolve) => {
+      this.resolveInitialization = resolve;
+    });
+    this.startClient();
+
+    return this.initializationPromise;
+  }
+
+  createClient() {
+    const client = new Client({
+      authStrategy: new LocalAuth({
+        dataPath: './whatsapp-session'
+      }),
+      puppeteer: {
+        headless: true,
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-accelerated-2d-canvas',
+          '--no-first-run',
+          '--no-zygote',
+          '--disable-gpu',
+          '--disable-web-security',
+          '--disable-features=VizDisplayCompositor',
+          '--ignore-certificate-errors',
+          '--ignore-ssl-errors',
+          '--ignore-certificate-errors-spki-list',
+          '--disable-extensions'
+        ],
+        timeout: 60000,
+        handleSIGINT: false,
+        handleSIGTERM: false,
+        handleSIGHUP: false
+      },
+      webVersionCache: {
+        type: 'remote',
+        remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html',
+      }
+    });
+
+    client.on('qr', (qr) => {
+      // Kept for GET /api/whatsapp/qr; the terminal copy is for local runs
+      this.state = 'qr';
+      this.qr = qr;
+      this.qrUpdatedAt = new Date();
+
+      console.log('\n📱 WhatsApp QR Code received!');
+      console.log('👆 Scan it from the admin panel, or with WhatsApp on your phone:');
+      console.log('   1. Open WhatsApp on your phone');
+      console.log('   2. Go to Settings > Linked Devices');
+      console.log('   3. Tap "Link a Device"');
+      console.log('   4. Scan the QR code below:\n');
+      
+      qrcode.generate(qr, { small: true });
+      
+      console.log('\n⏳ Waiting for QR code to be scanned...\n');
+    });
+
+    client.on('ready', () => {
+      console.log('✅ WhatsApp Client is ready!');
+      console.log('📞 Connected WhatsApp number:', client.info?.wid?.user || 'Unknown');
+      if (this.disconnectedSince) {
+        const minutes = Math.round((Date.now() - this.disconnectedSince.getTime()) / 60000);
+        console.log(`🔌 WhatsApp reconnected after ${minutes} minute(s)`);
+      }
+
+      this.isReady = true;
+      this.state = 'ready';
+      this.qr = null;
+      this.qrUpdatedAt = null;
+      this.disconnectedSince = null;
+      this.reconnectAttempts = 0;
+      this.alertSent = false;
+      clearTimeout(this.alertTimer);
+      this.alertTimer = null;
+      this.resolveInitialization?.();
+    });
+
+    client.on('authenticated', () => {
+      console.log('🔐 WhatsApp authenticated successfully');
+      this.state = 'authenticated';
+      this.qr = null;
+    });
 
+    // Events from a client that has since been replaced are ignored
+    client.on('auth_failure', (msg) => {
+      console.error('❌ WhatsApp authentication failed:', msg);
+      if (this.client === client) this.handleDisconnect(`Authentication failed: ${msg}`);
+    });
+
+    client.on('disconnected', (reason) => {
+      console.log('📵 WhatsApp Client disconnected:', reason);
+      if (this.client === client) this.handleDisconnect(reason);
+    });
+
+    client.on('message', async (message) => {
+      // Log incoming messages for debugging
+      console.log(`📨 Received message from ${message.from}: ${message.body}`);
+
+      if (message.fromMe || process.env.CHATBOT_ENABLED === 'false') return;
+
+      try {
+        // Required here: the chatbot sends notifications, which load this module
+        const { handleIncomingMessage } = require('../services/chatbotService');
+        const reply = await handleIncomingMessage({ from: message.from, body: message.body });
+        if (reply) {
+          await message.reply(reply);
+        }
       } catch (error) {
-        console.error('❌ Error initializing WhatsApp client:', error);
-        reject(error);
+        console.error(`❌ Chatbot failed to answer ${message.from}:`, error.message);
       }
     });
 
-    return this.initializationPromise;
+    return client;
+  }
+
+  /**
+   * Start a fresh client. A failed start is retried with backoff; the saved
+   * session is kept so a flaky network does not force a new QR scan.
+   */
+  startClient() {
+    this.client = this.createClient();
+    this.state = 'initializing';
+
+    const client = this.client;
+    console.log('🔄 Initializing WhatsApp client');
+    client.initialize().catch((error) => {
+      console.error('❌ WhatsApp initialization failed:', error.message);
+      if (this.client === client) {
+        this.handleDisconnect(`Initialization failed: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Record a lost connection, schedule a reconnect and arm the admin alert.
+   * A deliberate logout waits for POST /api/whatsapp/relink instead.
+   */
+  handleDisconnect(reason) {
+    this.isReady = false;
+    this.lastDisconnect = { reason: String(reason), at: new Date() };
+    if (this.state === 'logged_out' || this.state === 'stopped') return;
+
+    this.state = 'disconnected';
+    this.disconnectedSince = this.disconnectedSince || new Date();
+    this.scheduleAlert();
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** this.reconnectAttempts, RECONNECT_MAX_MS);
+    this.reconnectAttempts++;
+    this.nextReconnectAt = new Date(Date.now() + delay);
+    console.log(`⏳ Reconnecting WhatsApp in ${delay / 1000} seconds (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.nextReconnectAt = null;
+      this.restartClient().catch(error => console.error('❌ Error reconnecting WhatsApp:', error.message));
+    }, delay);
+    this.reconnectTimer.unref();
   }
 
-  async initializeWithRetry(maxRetries = 3, delay = 5000) {
-    for (let i = 0; i < maxRetries; i++) {
+  /**
+   * Tell admins (over SMS/email, since WhatsApp is the thing that is down)
+   * once the client has been disconnected for too long
+   */
+  scheduleAlert() {
+    if (this.alertTimer || this.alertSent) return;
+
+    this.alertTimer = setTimeout(async () => {
+      this.alertTimer = null;
+      if (this.isReady || this.state === 'logged_out') return;
+
+      this.alertSent = true;
       try {
-        console.log(`🔄 Attempting to initialize WhatsApp client (attempt ${i + 1}/${maxRetries})`);
-        await this.client.initialize();
-        break;
+        // Required here: notifications load the channels, which load this module
+        const { notifyAdmins } = require('../services/notificationService');
+        await notifyAdmins('whatsapp_disconnected', {
+          minutes: Math.round((Date.now() - this.disconnectedSince.getTime()) / 60000),
+          reason: this.lastDisconnect?.reason || 'Unknown',
+          state: this.state,
+          needsQr: this.state === 'qr',
+        }, null, { skipChannels: ['whatsapp'] });
+        console.warn(`🚨 WhatsApp has been down since ${this.disconnectedSince.toISOString()}, admins alerted`);
       } catch (error) {
-        console.error(`❌ Initialization attempt ${i + 1} failed:`, error.message);
-        
-        if (i === maxRetries - 1) {
-          console.error('🚨 All initialization attempts failed. Please check your internet connection and try again.');
-          throw error;
-        }
-        
-        console.log(`⏳ Waiting ${delay/1000} seconds before retry...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        
-        // Clear session data if it exists and retry failed
-        if (i > 0) {
-          console.log('🗑️ Clearing session data for fresh start...');
-          try {
-            const fs = require('fs');
-            const path = require('path');
-            const sessionPath = path.join(process.cwd(), 'whatsapp-session');
-            if (fs.existsSync(sessionPath)) {
-              fs.rmSync(sessionPath, { recursive: true, force: true });
-            }
-          } catch (cleanupError) {
-            console.warn('⚠️ Could not clear session data:', cleanupError.message);
-          }
-        }
+        console.error('❌ Error sending WhatsApp outage alert:', error.message);
       }
+    }, DISCONNECT_ALERT_MINUTES * 60 * 1000);
+    this.alertTimer.unref();
+  }
+
+  async destroyClient() {
+    const client = this.client;
+    this.client = null;
+    this.isReady = false;
+    if (!client) return;
+
+    try {
+      await client.destroy();
+    } catch (error) {
+      console.warn('⚠️ Could not close the old WhatsApp client:', error.message);
     }
   }
 
+  async restartClient() {
+    await this.destroyClient();
+    this.startClient();
+  }
+
+  /**
+   * Unlink this server from the WhatsApp account. The session is deleted and
+   * nothing reconnects until relink() is called.
+   */
+  async logout() {
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.alertTimer);
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
+    this.alertTimer = null;
+
+    const client = this.client;
+    const wasReady = this.isReady;
+    this.state = 'logged_out';
+    this.isReady = false;
+    this.qr = null;
+    this.qrUpdatedAt = null;
+    this.disconnectedSince = null;
+    this.reconnectAttempts = 0;
+
+    if (client && wasReady) {
+      // Unlinks the device on the phone too and deletes the saved session
+      await client.logout();
+      await this.destroyClient();
+    } else {
+      // Not connected: just drop the saved session
+      await this.destroyClient();
+      await client?.authStrategy.logout();
+    }
+    console.log('👋 WhatsApp logged out');
+  }
+
+  /**
+   * Start over with a fresh session; a new QR code shows up in getStatus/getQrCode
+   */
+  async relink() {
+    if (this.state !== 'logged_out') {
+      await this.logout();
+    }
+    this.alertSent = false;
+    this.startClient();
+  }
+
+  /**
+   * Current QR code as a PNG data URL, or null when there is none to scan
+   */
+  async getQrCode() {
+    if (!this.qr) return null;
+    return {
+      dataUrl: await QRCode.toDataURL(this.qr, { margin: 2, width: 300 }),
+      updatedAt: this.qrUpdatedAt,
+    };
+  }
+
   async waitForReady() {
     if (this.isReady) return true;
     
-    await this.initializationPromise;
-    
-    // Additional wait with retry mechanism
+    // Give a connect or reconnect in progress up to 30 seconds
     for (let i = 0; i < 30; i++) {
       if (this.isReady) return true;
       await new Promise(resolve => setTimeout(resolve, 1000));
@@ -313,15 +467,22 @@ class WhatsAppService {
   async getStatus() {
     return {
       isReady: this.isReady,
+      state: this.state,
       clientInfo: this.isReady ? {
         number: this.client.info?.wid?.user || 'Unknown',
         name: this.client.info?.pushname || 'Unknown'
-      } : null
+      } : null,
+      qrAvailable: !!this.qr,
+      qrUpdatedAt: this.qrUpdatedAt,
+      lastDisconnect: this.lastDisconnect,
+      disconnectedSince: this.disconnectedSince,
+      reconnectAttempts: this.reconnectAttempts,
+      nextReconnectAt: this.nextReconnectAt,
     };
   }
 
-  // UPDATED: Test SMS function with MSG91
-  async testSMS(phoneNumber = '919301680755') {
+  // UPDATED: Test SMS function with MSG91 (defaults to the first admin with a phone)
+  async testSMS(phoneNumber = ADMIN_RECIPIENTS.find(recipient => recipient.phone)?.phone) {
     console.log('🧪 Testing MSG91 SMS functionality...');
     const testMessage = 'Test SMS from MSG91! Your SMS integration is working perfectly. 🎉';
     const result = await this.sendTextSMS(phoneNumber, testMessage);
@@ -329,41 +490,21 @@ class WhatsAppService {
     return result;
   }
 
-  // NEW: Send order confirmation SMS
-  async sendOrderConfirmationSMS(phoneNumber, orderData) {
-    const message = `🎉 Order Confirmed! Hi ${orderData.name}, your order of ₹${orderData.amount} has been received. Payment: ${orderData.paymentMethod}. Thank you for shopping with us!`;
-    return await this.sendTextSMS(phoneNumber, message);
-  }
-
-  // NEW: Send order shipped SMS
-  async sendOrderShippedSMS(phoneNumber, orderData, trackingId) {
-    const message = `📦 Order Shipped! Hi ${orderData.name}, your order has been shipped. Tracking ID: ${trackingId}. You'll receive it soon!`;
-    return await this.sendTextSMS(phoneNumber, message);
-  }
-
   async destroy() {
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.alertTimer);
+    this.reconnectTimer = null;
+    this.alertTimer = null;
+    this.state = 'stopped';
+
     if (this.client) {
-      await this.client.destroy();
-      this.isReady = false;
+      await this.destroyClient();
       console.log('🔴 WhatsApp client destroyed');
     }
   }
 }
 
-// Create singleton instance
+// Create singleton instance; server.js destroys it on shutdown
 const whatsappService = new WhatsAppService();
 
-// Handle process termination
-process.on('SIGINT', async () => {
-  console.log('\n🛑 Shutting down WhatsApp service...');
-  await whatsappService.destroy();
-  process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-  console.log('\n🛑 Shutting down WhatsApp service...');
-  await whatsappService.destroy();
-  process.exit(0);
-});
-
 module.exports = whatsappService;
\ No newline at end of file
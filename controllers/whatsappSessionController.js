@@ -0,0 +1,78 @@
+// controllers/whatsappSessionController.js
+
+const whatsappService = require('./whatsappController');
+
+/**
+ * Connection state of the WhatsApp client (admin)
+ */
+const getSessionStatus = async (req, res) => {
+  try {
+    const status = await whatsappService.getStatus();
+    return res.status(200).json(status);
+  } catch (error) {
+    console.error('Error fetching WhatsApp status:', error);
+    return res.status(500).json({ error: 'Error fetching WhatsApp status: ' + error.message });
+  }
+};
+
+/**
+ * QR code to link the WhatsApp account (admin).
+ * A PNG by default; `?format=json` returns it as a data URL.
+ */
+const getQrCode = async (req, res) => {
+  try {
+    const qr = await whatsappService.getQrCode();
+    if (!qr) {
+      return res.status(404).json({
+        error: whatsappService.isReady ? 'WhatsApp is already linked' : 'No QR code yet, try again in a few seconds',
+        state: whatsappService.state,
+      });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    if (req.query.format === 'json') {
+      return res.status(200).json(qr);
+    }
+    const png = Buffer.from(qr.dataUrl.split(',')[1], 'base64');
+    return res.status(200).type('png').send(png);
+  } catch (error) {
+    console.error('Error rendering WhatsApp QR code:', error);
+    return res.status(500).json({ error: 'Error rendering QR code: ' + error.message });
+  }
+};
+
+/**
+ * Unlink WhatsApp from this server (admin)
+ */
+const logoutSession = async (req, res) => {
+  try {
+    await whatsappService.logout();
+    return res.status(200).json({ message: 'WhatsApp logged out', status: await whatsappService.getStatus() });
+  } catch (error) {
+    console.error('Error logging out of WhatsApp:', error);
+    return res.status(500).json({ error: 'Error logging out of WhatsApp: ' + error.message });
+  }
+};
+
+/**
+ * Drop the current session and start a new one to scan (admin)
+ */
+const relinkSession = async (req, res) => {
+  try {
+    await whatsappService.relink();
+    return res.status(202).json({
+      message: 'Relinking; fetch the QR code from GET /api/whatsapp/qr',
+      status: await whatsappService.getStatus(),
+    });
+  } catch (error) {
+    console.error('Error relinking WhatsApp:', error);
+    return res.status(500).json({ error: 'Error relinking WhatsApp: ' + error.message });
+  }
+};
+
+module.exports = {
+  getSessionStatus,
+  getQrCode,
+  logoutSession,
+  relinkSession,
+};
@@ -0,0 +1,69 @@
+// middleware/auth.js
+
+const { authenticateToken } = require('../services/authService');
+const { authenticateCustomerToken } = require('../services/customerService');
+const { sendError } = require('../utils/errors');
+
+function getBearerToken(req) {
+  const [scheme, token] = String(req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Require a valid admin bearer token, optionally limited to some roles.
+ * The admin is available to handlers as `req.admin`.
+ *
+ *   router.get('/', requireAdmin(), handler)                 // any role
+ *   router.post('/:id/refund', requireAdmin('owner'), handler)
+ */
+function requireAdmin(...roles) {
+  return async (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      req.admin = await authenticateToken(token);
+    } catch (error) {
+      return sendError(res, error, 'Error checking credentials');
+    }
+
+    if (roles.length > 0 && !roles.includes(req.admin.role)) {
+      return res.status(403).json({ error: `This action needs one of these roles: ${roles.join(', ')}` });
+    }
+    return next();
+  };
+}
+
+/**
+ * Require a logged-in customer, available to handlers as `req.customer`
+ */
+async function requireCustomer(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Please log in' });
+  }
+
+  try {
+    req.customer = await authenticateCustomerToken(token);
+  } catch (error) {
+    return sendError(res, error, 'Error checking session');
+  }
+  return next();
+}
+
+/**
+ * Attach the customer when a session token is sent, and carry on as a guest
+ * when none is. A token that is sent but no longer valid is still rejected,
+ * so the client can ask the customer to log in again.
+ */
+async function optionalCustomer(req, res, next) {
+  req.customer = null;
+  if (!getBearerToken(req)) {
+    return next();
+  }
+  return requireCustomer(req, res, next);
+}
+
+module.exports = { requireAdmin, requireCustomer, optionalCustomer };
@@ -0,0 +1,59 @@
+// middleware/idempotency.js
+
+const { beginRequest, completeRequest, releaseRequest } = require('../services/idempotencyService');
+const { sendError } = require('../utils/errors');
+
+/**
+ * Honour an `Idempotency-Key` header. The first successful response for a
+ * key is stored and sent back, with `Idempotent-Replayed: true`, to any retry
+ * of the same request. Failed requests free the key so they can be retried.
+ * Requests without the header are handled as usual.
+ *
+ *   router.post('/create', idempotent('orders.create'), createOrder)
+ */
+function idempotent(scope) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+      return next();
+    }
+
+    let replay;
+    try {
+      ({ replay } = await beginRequest(scope, key, req.body));
+    } catch (error) {
+      return sendError(res, error, 'Error checking idempotency key');
+    }
+
+    if (replay) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(replay.status).json(replay.body);
+    }
+
+    // Store the outcome before answering, so a retry that races the
+    // response already sees it
+    let settled = false;
+    const json = res.json.bind(res);
+    res.json = body => {
+      settled = true;
+      const settle = res.statusCode < 300
+        ? completeRequest(scope, key, { status: res.statusCode, body: JSON.parse(JSON.stringify(body)) })
+        : releaseRequest(scope, key);
+      settle
+        .catch(error => console.error('❌ Error saving idempotency key:', error.message))
+        .then(() => json(body));
+      return res;
+    };
+
+    // Handlers that crash without answering also free the key
+    res.on('finish', () => {
+      if (!settled) {
+        releaseRequest(scope, key).catch(error => console.error('❌ Error releasing idempotency key:', error.message));
+      }
+    });
+
+    return next();
+  };
+}
+
+module.exports = { idempotent };
@@ -0,0 +1,59 @@
+// middleware/rateLimit.js
+
+const { SECURITY_CONFIG } = require('../config/security');
+const { getRateLimitStore } = require('../services/rateLimitStores');
+const { lastTenDigits } = require('../utils/phone');
+
+/**
+ * Limit requests per key with one of SECURITY_CONFIG.rateLimits. Over the
+ * limit the client gets a 429 with `Retry-After`. Requests without a key are
+ * let through, and so is everything while the store is unreachable.
+ *
+ *   router.post('/create', rateLimit('orderCreateIp', byIp), createOrder)
+ */
+function rateLimit(name, keyFor) {
+  const rule = SECURITY_CONFIG.rateLimits[name];
+  if (!rule) {
+    throw new Error(`No rate limit named "${name}" in SECURITY_CONFIG.rateLimits`);
+  }
+
+  return async (req, res, next) => {
+    const key = keyFor(req);
+    if (!key) {
+      return next();
+    }
+
+    let counter;
+    try {
+      counter = await getRateLimitStore().hit(`${name}:${key}`, rule.windowSeconds * 1000);
+    } catch (error) {
+      console.error(`❌ Error checking rate limit ${name}:`, error.message);
+      return next();
+    }
+
+    if (counter.count > rule.limit) {
+      const retryAfter = Math.max(Math.ceil((counter.resetAt.getTime() - Date.now()) / 1000), 1);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many requests, please try again later', retryAfter });
+    }
+    return next();
+  };
+}
+
+/**
+ * The client's address; set TRUST_PROXY behind a load balancer
+ */
+function byIp(req) {
+  return req.ip;
+}
+
+/**
+ * The phone number a request sends messages to: the order address,
+ * the `phone` field, or the logged-in customer
+ */
+function byPhone(req) {
+  const phone = req.body?.address?.phone || req.body?.phone || req.customer?.phone;
+  return phone ? lastTenDigits(phone) || null : null;
+}
+
+module.exports = { rateLimit, byIp, byPhone };
@@ -0,0 +1,21 @@
+// middleware/validate.js
+
+const { formatIssues } = require('../utils/validation');
+
+/**
+ * Validate req.body against a zod schema. On success the parsed (trimmed,
+ * normalised) body replaces req.body; otherwise the client gets a 400 with
+ * one entry per bad field.
+ */
+function validateBody(schema) {
+  return (req, res, next) => {
+    const result = schema.safeParse(req.body ?? {});
+    if (!result.success) {
+      return res.status(400).json({ error: 'Validation failed', fields: formatIssues(result.error) });
+    }
+    req.body = result.data;
+    return next();
+  };
+}
+
+module.exports = { validateBody };
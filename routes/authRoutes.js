@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const { rateLimit, byIp } = require('../middleware/rateLimit');
+const { loginAdmin, getCurrentAdmin, listAdmins, createAdmin, updateAdmin } = require('../controllers/authController');
+
+router.post('/login', rateLimit('adminLoginIp', byIp), loginAdmin);
+router.get('/me', requireAdmin(), getCurrentAdmin);
+
+// Owner
+router.get('/admins', requireAdmin('owner'), listAdmins);
+router.post('/admins', requireAdmin('owner'), createAdmin);
+router.patch('/admins/:id', requireAdmin('owner'), updateAdmin);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
+const { addBlocklistSchema } = require('../schemas/blocklistSchemas');
+const { listBlocked, addBlocked, removeBlocked } = require('../controllers/blocklistController');
+
+// Admin
+router.get('/', requireAdmin(), listBlocked);
+router.post('/', requireAdmin('owner'), validateBody(addBlocklistSchema), addBlocked);
+router.delete('/:id', requireAdmin('owner'), removeBlocked);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const { listBooks, getBook, createBook, updateBook, deleteBook } = require('../controllers/bookController');
+
+router.get('/', listBooks);
+router.get('/:idOrIsbn', getBook);
+
+// Admin
+router.post('/', requireAdmin('owner', 'fulfilment'), createBook);
+router.put('/:idOrIsbn', requireAdmin('owner', 'fulfilment'), updateBook);
+router.delete('/:idOrIsbn', requireAdmin('owner'), deleteBook);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin, optionalCustomer } = require('../middleware/auth');
+const { rateLimit, byIp } = require('../middleware/rateLimit');
+const { validateBody } = require('../middleware/validate');
+const { validateCouponSchema } = require('../schemas/couponSchemas');
+const { listCoupons, addCoupon, editCoupon, validateCoupon } = require('../controllers/couponController');
+
+router.post('/validate', rateLimit('couponValidateIp', byIp), validateBody(validateCouponSchema), optionalCustomer, validateCoupon);
+
+// Admin
+router.get('/', requireAdmin(), listCoupons);
+router.post('/', requireAdmin('owner'), addCoupon);
+router.patch('/:code', requireAdmin('owner'), editCoupon);
+
+module.exports = router;
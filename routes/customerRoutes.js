@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { rateLimit, byIp, byPhone } = require('../middleware/rateLimit');
+const { sendOtp, verifyOtp, register, login } = require('../controllers/customerController');
+
+router.post('/otp', rateLimit('otpRequestIp', byIp), rateLimit('otpRequestPhone', byPhone), sendOtp);
+router.post('/otp/verify', rateLimit('loginIp', byIp), verifyOtp);
+router.post('/register', rateLimit('loginIp', byIp), register);
+router.post('/login', rateLimit('loginIp', byIp), login);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const { exportManifest, printLabels, importTrackingCsv } = require('../controllers/fulfilmentController');
+
+// Admin
+router.get('/manifest', requireAdmin('owner', 'fulfilment'), exportManifest);
+router.get('/labels', requireAdmin('owner', 'fulfilment'), printLabels);
+router.post(
+  '/tracking',
+  requireAdmin('owner', 'fulfilment'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  importTrackingCsv
+);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const { getHealthDetails } = require('../controllers/healthController');
+
+// Admin
+router.get('/', requireAdmin(), getHealthDetails);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { healthz, readyz } = require('../controllers/healthController');
+
+// Probes for the load balancer and process manager; no auth, so they only
+// say whether the server is up and ready. Details are at GET /api/health.
+router.get('/healthz', healthz);
+router.get('/readyz', readyz);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { requireCustomer } = require('../middleware/auth');
+const {
+  getProfile,
+  updateMyProfile,
+  listMyOrders,
+  downloadMyInvoice,
+  listAddresses,
+  createAddress,
+  editAddress,
+  removeAddress,
+} = require('../controllers/customerController');
+
+// Logged-in customer
+router.use(requireCustomer);
+
+router.get('/', getProfile);
+router.patch('/', updateMyProfile);
+router.get('/orders', listMyOrders);
+router.get('/orders/:orderId/invoice', downloadMyInvoice);
+router.get('/addresses', listAddresses);
+router.post('/addresses', createAddress);
+router.put('/addresses/:addressId', editAddress);
+router.delete('/addresses/:addressId', removeAddress);
+
+module.exports = router;
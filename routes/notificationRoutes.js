@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const { listNotifications, resend } = require('../controllers/notificationController');
+
+// Admin
+router.get('/', requireAdmin(), listNotifications);
+router.post('/:id/resend', requireAdmin('owner', 'fulfilment'), resend);
+
+module.exports = router;
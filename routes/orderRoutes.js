@@ -1,9 +1,60 @@
 const express = require('express');
 const router = express.Router();
-const { createOrder, verifyPayment, saveOrder } = require('../controllers/orderController');
+const { requireAdmin, optionalCustomer } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { rateLimit, byIp, byPhone } = require('../middleware/rateLimit');
+const { validateBody } = require('../middleware/validate');
+const {
+  createOrderSchema,
+  quoteOrderSchema,
+  verifyPaymentSchema,
+  saveOrderSchema,
+  updateStatusSchema,
+  cancelOrderSchema,
+  refundOrderSchema,
+  shipOrderSchema,
+  deliverOrderSchema,
+} = require('../schemas/orderSchemas');
+const {
+  quoteOrder,
+  createOrder,
+  verifyPayment,
+  saveOrder,
+  getOrder,
+  listOrders,
+  updateOrderStatus,
+  cancelOrder,
+  refundOrder,
+  shipOrder,
+  deliverOrder,
+  getTracking,
+  downloadInvoice,
+  resendInvoice,
+} = require('../controllers/orderController');
 
-router.post('/create', createOrder);
-router.post('/verify', verifyPayment);
-router.post('/save', saveOrder);
+router.post('/quote', rateLimit('orderQuoteIp', byIp), validateBody(quoteOrderSchema), optionalCustomer, quoteOrder);
+router.post(
+  '/create',
+  rateLimit('orderCreateIp', byIp),
+  validateBody(createOrderSchema),
+  optionalCustomer,
+  rateLimit('orderCreatePhone', byPhone),
+  idempotent('orders.create'),
+  createOrder
+);
+router.post('/verify', rateLimit('orderVerifyIp', byIp), validateBody(verifyPaymentSchema), idempotent('orders.verify'), verifyPayment);
+
+// Admin
+router.post('/save', requireAdmin('owner'), validateBody(saveOrderSchema), idempotent('orders.save'), saveOrder);
+router.get('/', requireAdmin(), listOrders);
+router.get('/:id', requireAdmin(), getOrder);
+router.get('/:id/tracking', requireAdmin(), getTracking);
+router.get('/:id/invoice', requireAdmin(), downloadInvoice);
+router.post('/:id/invoice/send', requireAdmin('owner', 'fulfilment'), resendInvoice);
+router.patch('/:id/status', requireAdmin('owner', 'fulfilment'), validateBody(updateStatusSchema), updateOrderStatus);
+router.post('/:id/ship', requireAdmin('owner', 'fulfilment'), validateBody(shipOrderSchema), shipOrder);
+router.post('/:id/deliver', requireAdmin('owner', 'fulfilment'), validateBody(deliverOrderSchema), deliverOrder);
+router.post('/:id/cancel', requireAdmin('owner'), validateBody(cancelOrderSchema), idempotent('orders.cancel'), cancelOrder);
+router.post('/:id/refund', requireAdmin('owner'), validateBody(refundOrderSchema), idempotent('orders.refund'), refundOrder);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,7 @@
+const express = require('express');
+const router = express.Router();
+const { handleWebhook } = require('../controllers/paymentController');
+
+router.post('/webhook', handleWebhook);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const { recoveryReport } = require('../controllers/recoveryController');
+
+// Admin
+router.get('/report', requireAdmin(), recoveryReport);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const {
+  salesReport,
+  paymentMethodReport,
+  topBooksReport,
+  codOutcomeReport,
+  notificationReport,
+} = require('../controllers/reportController');
+
+// Admin
+router.get('/sales', requireAdmin(), salesReport);
+router.get('/payment-methods', requireAdmin(), paymentMethodReport);
+router.get('/top-books', requireAdmin(), topBooksReport);
+router.get('/cod-outcomes', requireAdmin(), codOutcomeReport);
+router.get('/notifications', requireAdmin(), notificationReport);
+
+module.exports = router;
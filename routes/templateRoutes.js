@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const { getTemplates, saveTemplate, resetTemplate, previewTemplate } = require('../controllers/templateController');
+
+// Admin
+router.get('/', requireAdmin(), getTemplates);
+router.post('/:name/preview', requireAdmin(), previewTemplate);
+router.put('/:name/:locale/:part', requireAdmin('owner'), saveTemplate);
+router.delete('/:name/:locale/:part', requireAdmin('owner'), resetTemplate);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/auth');
+const {
+  getSessionStatus,
+  getQrCode,
+  logoutSession,
+  relinkSession,
+} = require('../controllers/whatsappSessionController');
+
+// Admin
+router.get('/status', requireAdmin(), getSessionStatus);
+router.get('/qr', requireAdmin('owner'), getQrCode);
+router.post('/logout', requireAdmin('owner'), logoutSession);
+router.post('/relink', requireAdmin('owner'), relinkSession);
+
+module.exports = router;
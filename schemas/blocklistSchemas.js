@@ -0,0 +1,15 @@
+// schemas/blocklistSchemas.js
+
+const { BLOCKLIST_TYPES } = require('../services/abuseService');
+const { z, requiredText } = require('../utils/validation');
+
+/**
+ * POST /api/blocklist. The value is checked against its type by the service.
+ */
+const addBlocklistSchema = z.object({
+  type: z.enum(BLOCKLIST_TYPES, { errorMap: () => ({ message: `Type must be one of: ${BLOCKLIST_TYPES.join(', ')}` }) }),
+  value: requiredText('Value', 20),
+  reason: z.string().trim().max(500).optional(),
+});
+
+module.exports = { addBlocklistSchema };
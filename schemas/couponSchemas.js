@@ -0,0 +1,15 @@
+// schemas/couponSchemas.js
+
+const { itemsSchema } = require('./orderSchemas');
+const { z, indianPhone, requiredText } = require('../utils/validation');
+
+/**
+ * POST /api/coupons/validate: the cart is checked like an order's
+ */
+const validateCouponSchema = z.object({
+  code: requiredText('Coupon code', 32),
+  items: itemsSchema,
+  phone: indianPhone.optional(),
+});
+
+module.exports = { validateCouponSchema };
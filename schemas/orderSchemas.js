@@ -0,0 +1,133 @@
+// schemas/orderSchemas.js
+
+const { ORDER_STATUSES } = require('../services/orderService');
+const { SUPPORTED_LOCALES } = require('../services/templateService');
+const {
+  z,
+  pincode,
+  indianPhone,
+  money,
+  objectId,
+  requiredText,
+  addressSchema,
+} = require('../utils/validation');
+
+const MAX_ITEMS = 50;
+const MAX_QUANTITY = 100;
+
+const paymentMethod = z.enum(['prepaid', 'cod'], { errorMap: () => ({ message: 'Must be "prepaid" or "cod"' }) });
+const locale = z.enum(SUPPORTED_LOCALES).optional();
+const couponCode = z.string().trim().min(1).max(32).optional();
+const note = z.string().trim().max(500).optional();
+const orderStatus = z.enum(ORDER_STATUSES, { errorMap: () => ({ message: `Status must be one of: ${ORDER_STATUSES.join(', ')}` }) });
+
+/**
+ * A cart line. The book may be referenced as id, bookId or _id; prices sent
+ * by the client are ignored, so only the reference and quantity are kept.
+ */
+const itemSchema = z.object({
+  id: objectId.optional(),
+  bookId: objectId.optional(),
+  _id: objectId.optional(),
+  quantity: z.number({ required_error: 'Quantity is required', invalid_type_error: 'Quantity must be a number' })
+    .int('Quantity must be a whole number')
+    .min(1, 'Quantity must be at least 1')
+    .max(MAX_QUANTITY, `Quantity cannot be more than ${MAX_QUANTITY}`),
+}).refine(item => item.id || item.bookId || item._id, { message: 'Book id is required', path: ['id'] })
+  .transform(item => ({ id: item.id || item.bookId || item._id, quantity: item.quantity }));
+
+const itemsSchema = z.array(itemSchema, { required_error: 'Items are required', invalid_type_error: 'Items must be an array' })
+  .min(1, 'Order must contain at least one item')
+  .max(MAX_ITEMS, `Order cannot contain more than ${MAX_ITEMS} lines`);
+
+/**
+ * POST /api/orders/create: a typed address, or the id of a saved one
+ */
+const createOrderSchema = z.object({
+  items: itemsSchema,
+  address: addressSchema.optional(),
+  addressId: objectId.optional(),
+  paymentMethod,
+  total: money.optional(),
+  couponCode,
+  locale,
+}).refine(body => body.address || body.addressId, { message: 'Address is required', path: ['address'] });
+
+/**
+ * POST /api/orders/quote: only the parts of the address that affect the price
+ */
+const quoteOrderSchema = z.object({
+  items: itemsSchema,
+  address: z.object({
+    zipCode: pincode,
+    state: z.string().trim().max(100).optional(),
+    phone: indianPhone.optional(),
+  }).optional(),
+  addressId: objectId.optional(),
+  paymentMethod: paymentMethod.optional(),
+  couponCode,
+}).refine(body => body.address || body.addressId, { message: 'Address is required', path: ['address'] });
+
+/**
+ * POST /api/orders/verify. The stored order is authoritative; an address
+ * sent along is checked but not used.
+ */
+const verifyPaymentSchema = z.object({
+  razorpay_order_id: requiredText('razorpay_order_id', 100),
+  razorpay_payment_id: requiredText('razorpay_payment_id', 100),
+  razorpay_signature: requiredText('razorpay_signature', 200),
+  total: money.optional(),
+  address: addressSchema.optional(),
+});
+
+/**
+ * POST /api/orders/save (legacy, owner only)
+ */
+const saveOrderSchema = z.object({
+  items: itemsSchema,
+  address: addressSchema,
+  paymentMethod,
+  total: money.optional(),
+  paymentId: z.string().trim().max(100).optional(),
+  status: orderStatus,
+  locale,
+});
+
+const updateStatusSchema = z.object({
+  status: orderStatus,
+  note,
+});
+
+const cancelOrderSchema = z.object({
+  reason: note,
+  refundAmount: money.optional(),
+});
+
+const refundOrderSchema = z.object({
+  amount: money.refine(amount => amount > 0, 'Refund amount must be more than 0').optional(),
+  reason: note,
+});
+
+const shipOrderSchema = z.object({
+  courier: requiredText('Courier', 100),
+  trackingId: requiredText('Tracking ID', 100),
+  trackingUrl: z.string().trim().url('Must be a valid URL').optional(),
+  note,
+});
+
+const deliverOrderSchema = z.object({
+  note,
+});
+
+module.exports = {
+  itemsSchema,
+  createOrderSchema,
+  quoteOrderSchema,
+  verifyPaymentSchema,
+  saveOrderSchema,
+  updateStatusSchema,
+  cancelOrderSchema,
+  refundOrderSchema,
+  shipOrderSchema,
+  deliverOrderSchema,
+};
@@ -3,44 +3,187 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const { connectToDatabase } = require('./config/db');
+const { connectToDatabase, closeDatabase } = require('./config/db');
+const healthRoutes = require('./routes/healthRoutes');
+const healthDetailRoutes = require('./routes/healthDetailRoutes');
 const orderRoutes = require('./routes/orderRoutes');
+const bookRoutes = require('./routes/bookRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const authRoutes = require('./routes/authRoutes');
+const customerRoutes = require('./routes/customerRoutes');
+const meRoutes = require('./routes/meRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const whatsappRoutes = require('./routes/whatsappRoutes');
+const recoveryRoutes = require('./routes/recoveryRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const fulfilmentRoutes = require('./routes/fulfilmentRoutes');
+const blocklistRoutes = require('./routes/blocklistRoutes');
+const { SECURITY_CONFIG } = require('./config/security');
+const { AppError, sendError } = require('./utils/errors');
+const { startReservationSweeper, stopReservationSweeper } = require('./services/inventoryService');
+const { startPendingOrderExpiry, stopPendingOrderExpiry } = require('./services/paymentService');
+const { startNotificationWorker, stopNotificationWorker } = require('./services/notificationOutbox');
+const { startCheckoutRecovery, stopCheckoutRecovery } = require('./services/checkoutRecoveryService');
+const { ensureOwnerAccount } = require('./services/authService');
+const { markReady, markShuttingDown, isShuttingDown } = require('./services/healthService');
+const whatsappService = require('./controllers/whatsappController');
 
 // Load environment variables
 dotenv.config();
 
 const app = express(); 
+app.disable('x-powered-by');
+
+// req.ip is the client, not the proxy in front of us (TRUST_PROXY)
+app.set('trust proxy', SECURITY_CONFIG.trustProxy);
+
+// Health probes answer whatever the origin
+app.use(healthRoutes);
 
 // Middleware
 app.use(cors({
   origin: (origin, callback) => {
-    const allowedOrigins = [
-      "http://localhost:5173",
-      "https://pihustore.shop"
-    ];
-    if (!origin || allowedOrigins.includes(origin)) {
+    // CORS_ORIGINS, or SECURITY_CONFIG.allowedOrigins
+    if (!origin || SECURITY_CONFIG.allowedOrigins.includes(origin)) {
       callback(null, true);
     } else {
-      callback(new Error("Not allowed by CORS"));
+      callback(new AppError('Not allowed by CORS', 403));
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed', 'Content-Disposition', 'X-Order-Count', 'Retry-After'],
   optionsSuccessStatus: 204
 }));
 
 
-app.use(express.json());
-
-// Connect to MongoDB
-connectToDatabase();
+// Keep the raw body around for webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Routes 
 app.use('/api/orders', orderRoutes);
+app.use('/api/books', bookRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/whatsapp', whatsappRoutes);
+app.use('/api/recovery', recoveryRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/fulfilment', fulfilmentRoutes);
+app.use('/api/blocklist', blocklistRoutes);
+app.use('/api/health', healthDetailRoutes);
+
+// Errors raised before a controller runs: refused origins, malformed or oversized bodies
+app.use((error, req, res, next) => {
+  if (error instanceof AppError) {
+    return sendError(res, error);
+  }
+  if (error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json({ error: error.type === 'entity.parse.failed' ? 'Request body is not valid JSON' : error.message });
+  }
+  console.error('Unhandled error:', error);
+  return res.status(500).json({ error: 'Internal server error' });
+});
 
-// Start the server
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+// Time allowed for in-flight requests and worker runs before exiting anyway
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 20 * 1000;
+// How long /readyz answers 503 before the listener closes, so the load
+// balancer stops sending traffic first. 0 closes at once (local runs).
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS ?? 10 * 1000, 10) || 0;
+
+let server;
+
+/**
+ * Connect to MongoDB first, so no request arrives before the database is
+ * there, then start the background workers and take traffic
+ */
+async function startServer() {
+  try {
+    await connectToDatabase();
+  } catch (error) {
+    console.error('❌ Could not start without MongoDB:', error.message);
+    process.exit(1);
+  }
+
+  // Create the first owner account if there is none
+  await ensureOwnerAccount().catch(error => console.error('❌ Error creating owner account:', error.message));
+
+  // Release stock held by prepaid checkouts that were never paid
+  startReservationSweeper();
+  startPendingOrderExpiry();
+
+  // Deliver queued WhatsApp/SMS messages in the background
+  startNotificationWorker();
+
+  // Remind customers who left a prepaid checkout unpaid
+  startCheckoutRecovery();
+
+  server = app.listen(PORT, () => {
+    markReady();
+    console.log(`Server running on port ${PORT}`);
+  });
+}
+
+/**
+ * Stop in dependency order: report not ready for the grace period while
+ * still serving, stop taking requests and let the ones in flight finish,
+ * stop the workers, then close WhatsApp and MongoDB, which both use
+ */
+async function shutdown(signal) {
+  if (isShuttingDown()) return;
+  markShuttingDown();
+  console.log(`\n🛑 ${signal} received, shutting down...`);
+
+  const forceExit = setTimeout(() => {
+    console.error(`❌ Shutdown took longer than ${SHUTDOWN_GRACE_MS + SHUTDOWN_TIMEOUT_MS} ms, exiting anyway`);
+    process.exit(1);
+  }, SHUTDOWN_GRACE_MS + SHUTDOWN_TIMEOUT_MS);
+  forceExit.unref();
+
+  try {
+    if (server && SHUTDOWN_GRACE_MS > 0) {
+      console.log(`⏳ Reporting not ready for ${SHUTDOWN_GRACE_MS} ms before closing the server`);
+      await new Promise(resolve => setTimeout(resolve, SHUTDOWN_GRACE_MS));
+    }
+
+    if (server) {
+      await new Promise(resolve => {
+        server.close(resolve);
+        server.closeIdleConnections();
+      });
+      console.log('🔴 HTTP server closed');
+    }
+
+    await Promise.all([
+      stopCheckoutRecovery(),
+      stopNotificationWorker(),
+      stopPendingOrderExpiry(),
+      stopReservationSweeper(),
+    ]);
+    console.log('🔴 Background workers stopped');
+
+    await whatsappService.destroy();
+    await closeDatabase();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during shutdown:', error);
+    process.exit(1);
+  }
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+startServer();
\ No newline at end of file
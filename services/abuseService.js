@@ -0,0 +1,190 @@
+// services/abuseService.js
+
+const { ObjectId } = require('mongodb');
+const { getDb } = require('../config/db');
+const { SECURITY_CONFIG } = require('../config/security');
+const { AppError } = require('../utils/errors');
+const { lastTenDigits, phoneMatchRegex } = require('../utils/phone');
+
+const BLOCKLIST_TYPES = ['phone', 'pincode'];
+// COD orders that have not reached the customer yet
+const OPEN_COD_STATUSES = ['confirmed', 'packed', 'shipped'];
+
+/**
+ * Stored form of a blocklist value: the bare 10 digits of a phone, or the
+ * digits of a pincode. A pincode entry may be a prefix, e.g. "7441".
+ */
+function normalizeBlocklistValue(type, value) {
+  if (type === 'phone') {
+    const phone = lastTenDigits(value);
+    if (!/^[6-9]\d{9}$/.test(phone)) {
+      throw new AppError('Must be a 10-digit Indian mobile number', 400);
+    }
+    return phone;
+  }
+  if (type === 'pincode') {
+    const pincode = String(value || '').replace(/\s/g, '');
+    if (!/^[1-9]\d{1,5}$/.test(pincode)) {
+      throw new AppError('Must be a pincode or a pincode prefix of at least 2 digits', 400);
+    }
+    return pincode;
+  }
+  throw new AppError(`Type must be one of: ${BLOCKLIST_TYPES.join(', ')}`, 400);
+}
+
+async function listBlocklist({ type = null } = {}) {
+  const query = type ? { type } : {};
+  return getDb().collection('blocklist').find(query).sort({ createdAt: -1 }).toArray();
+}
+
+/**
+ * Block a phone number or pincode from ordering and receiving login codes
+ */
+async function addToBlocklist({ type, value, reason = null }, by = null) {
+  const entry = {
+    type,
+    value: normalizeBlocklistValue(type, value),
+    reason: reason || null,
+    createdBy: by,
+    createdAt: new Date(),
+  };
+
+  try {
+    const result = await getDb().collection('blocklist').insertOne(entry);
+    return { _id: result.insertedId, ...entry };
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(`This ${type} is already blocked`, 409);
+    }
+    throw error;
+  }
+}
+
+async function removeFromBlocklist(id) {
+  if (!ObjectId.isValid(id) || String(id).length !== 24) {
+    throw new AppError('Invalid blocklist id', 400);
+  }
+  const entry = await getDb().collection('blocklist').findOneAndDelete({ _id: new ObjectId(id) });
+  if (!entry) {
+    throw new AppError('Blocklist entry not found', 404);
+  }
+  return entry;
+}
+
+/**
+ * The blocklist entry matching a phone number or pincode, if any
+ */
+async function findBlocked({ phone = null, pincode = null }) {
+  const conditions = [];
+  if (phone) {
+    conditions.push({ type: 'phone', value: lastTenDigits(phone) });
+  }
+  if (pincode) {
+    const digits = String(pincode).replace(/\s/g, '');
+    const prefixes = Array.from({ length: digits.length - 1 }, (_, index) => digits.slice(0, index + 2));
+    conditions.push({ type: 'pincode', value: { $in: prefixes } });
+  }
+  if (conditions.length === 0) return null;
+
+  return getDb().collection('blocklist').findOne({ $or: conditions });
+}
+
+/**
+ * Refuse a phone number that is on the blocklist
+ */
+async function assertPhoneAllowed(phone) {
+  const blocked = await findBlocked({ phone });
+  if (blocked) {
+    console.warn(`🚫 Refused blocked phone ${lastTenDigits(phone)}`);
+    throw new AppError('We cannot serve this phone number. Please contact us.', 403);
+  }
+}
+
+/**
+ * Counter for the COD orders one phone number placed on a day in shop time
+ */
+function codOrderCounterId(phone, date = new Date()) {
+  const day = date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+  return `${lastTenDigits(phone)}:${day}`;
+}
+
+/**
+ * Give back a COD order slot claimed by checkCodVelocity, when the order
+ * it was claimed for is not saved after all
+ */
+async function releaseCodOrderSlot(counterId) {
+  if (!counterId) return;
+  await getDb().collection('cod_order_counters').updateOne({ _id: counterId }, { $inc: { count: -1 } });
+}
+
+/**
+ * Cap how many cash-on-delivery orders one phone number can place.
+ * Each COD order is shipped on credit and sends WhatsApp and SMS messages.
+ *
+ * The daily cap takes a slot from a per-phone counter in one atomic update,
+ * so requests placed at the same moment cannot all pass before any order is
+ * saved. Returns the counter id to hand to releaseCodOrderSlot if the order
+ * then fails, or null when there is no daily cap.
+ */
+async function checkCodVelocity(phone) {
+  const { maxOrdersPerPhonePerDay, maxOpenOrdersPerPhone } = SECURITY_CONFIG.codVelocity;
+
+  if (maxOpenOrdersPerPhone) {
+    const open = await getDb().collection('orders').countDocuments({
+      paymentMethod: 'cod',
+      'address.phone': phoneMatchRegex(phone),
+      status: { $in: OPEN_COD_STATUSES },
+    });
+    if (open >= maxOpenOrdersPerPhone) {
+      throw new AppError('This phone number has too many cash on delivery orders on the way. Please pay online.', 429, {
+        limit: maxOpenOrdersPerPhone,
+      });
+    }
+  }
+
+  if (!maxOrdersPerPhonePerDay) return null;
+
+  const counterId = codOrderCounterId(phone);
+  const counter = await getDb().collection('cod_order_counters').findOneAndUpdate(
+    { _id: counterId },
+    // Kept a little past the day so a late release finds it
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000) } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  if (counter.count > maxOrdersPerPhonePerDay) {
+    await releaseCodOrderSlot(counterId);
+    throw new AppError('Too many cash on delivery orders for this phone number today. Please pay online or try again tomorrow.', 429, {
+      limit: maxOrdersPerPhonePerDay,
+    });
+  }
+  return counterId;
+}
+
+/**
+ * Checks before an order is priced and saved: the blocklist for every
+ * order, and the velocity limits for cash on delivery. Returns the COD
+ * order slot taken, if any, for releaseCodOrderSlot should the order fail.
+ */
+async function assertCanOrder(address, paymentMethod) {
+  const blocked = await findBlocked({ phone: address?.phone, pincode: address?.zipCode });
+  if (blocked) {
+    console.warn(`🚫 Refused order for blocked ${blocked.type} ${blocked.value}`);
+    throw new AppError('We cannot take orders for this phone number or pincode. Please contact us.', 403);
+  }
+
+  if (paymentMethod === 'cod') {
+    return checkCodVelocity(address.phone);
+  }
+  return null;
+}
+
+module.exports = {
+  BLOCKLIST_TYPES,
+  listBlocklist,
+  addToBlocklist,
+  removeFromBlocklist,
+  findBlocked,
+  assertPhoneAllowed,
+  assertCanOrder,
+  releaseCodOrderSlot,
+};
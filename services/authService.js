@@ -0,0 +1,201 @@
+// services/authService.js
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('../config/db');
+const { AppError } = require('../utils/errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ADMIN_ROLES = ['owner', 'fulfilment', 'read-only'];
+const TOKEN_TTL = process.env.ADMIN_TOKEN_TTL || '12h';
+const MIN_PASSWORD_LENGTH = 10;
+const KEY_LENGTH = 64;
+
+function getJwtSecret() {
+  if (!process.env.ADMIN_JWT_SECRET) {
+    throw new Error('ADMIN_JWT_SECRET environment variable is not defined');
+  }
+  return process.env.ADMIN_JWT_SECRET;
+}
+
+/**
+ * Hash a password as "scrypt$<salt>$<key>", both hex
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+  const [scheme, salt, keyHex] = String(passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !keyHex) return false;
+
+  const expected = Buffer.from(keyHex, 'hex');
+  if (expected.length === 0) return false;
+  const key = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * Admin user without the password hash, safe to send back
+ */
+function toPublicAdmin(admin) {
+  const { passwordHash, ...rest } = admin;
+  return rest;
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AppError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+}
+
+function validateRole(role) {
+  if (!ADMIN_ROLES.includes(role)) {
+    throw new AppError(`Role must be one of: ${ADMIN_ROLES.join(', ')}`, 400);
+  }
+}
+
+async function createAdminUser({ email, password, name, role }) {
+  if (!email || typeof email !== 'string') {
+    throw new AppError('Email is required', 400);
+  }
+  validatePassword(password);
+  validateRole(role);
+
+  const now = new Date();
+  const admin = {
+    email: email.trim().toLowerCase(),
+    name: name || email.trim(),
+    role,
+    passwordHash: await hashPassword(password),
+    active: true,
+    lastLoginAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    const result = await getDb().collection('admin_users').insertOne(admin);
+    return toPublicAdmin({ _id: result.insertedId, ...admin });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('An admin with this email already exists', 409);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Change an admin's role, name, password or active flag
+ */
+async function updateAdminUser(adminId, { name, role, password, active }) {
+  if (!ObjectId.isValid(adminId) || String(adminId).length !== 24) {
+    throw new AppError('Invalid admin id', 400);
+  }
+
+  const updates = { updatedAt: new Date() };
+  if (name !== undefined) updates.name = name;
+  if (role !== undefined) {
+    validateRole(role);
+    updates.role = role;
+  }
+  if (password !== undefined) {
+    validatePassword(password);
+    updates.passwordHash = await hashPassword(password);
+  }
+  if (active !== undefined) updates.active = !!active;
+
+  const admin = await getDb().collection('admin_users').findOneAndUpdate(
+    { _id: new ObjectId(adminId) },
+    { $set: updates },
+    { returnDocument: 'after' }
+  );
+  if (!admin) {
+    throw new AppError('Admin not found', 404);
+  }
+  return toPublicAdmin(admin);
+}
+
+async function listAdminUsers() {
+  const admins = await getDb().collection('admin_users').find({}).sort({ createdAt: 1 }).toArray();
+  return admins.map(toPublicAdmin);
+}
+
+/**
+ * Check an email and password and issue a signed token
+ */
+async function login(email, password) {
+  const admins = getDb().collection('admin_users');
+  const admin = await admins.findOne({ email: String(email || '').trim().toLowerCase() });
+
+  if (!admin || !admin.active || !(await verifyPassword(password, admin.passwordHash))) {
+    throw new AppError('Invalid email or password', 401);
+  }
+
+  await admins.updateOne({ _id: admin._id }, { $set: { lastLoginAt: new Date() } });
+
+  const token = jwt.sign({ sub: String(admin._id), role: admin.role }, getJwtSecret(), { expiresIn: TOKEN_TTL });
+  return { token, admin: toPublicAdmin(admin) };
+}
+
+/**
+ * Resolve a bearer token to the active admin it was issued to.
+ * The role is read from the database so changes apply immediately.
+ */
+async function authenticateToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    throw new AppError('Invalid or expired token', 401);
+  }
+
+  if (!ObjectId.isValid(payload.sub)) {
+    throw new AppError('Invalid or expired token', 401);
+  }
+
+  const admin = await getDb().collection('admin_users').findOne({ _id: new ObjectId(payload.sub) });
+  if (!admin || !admin.active) {
+    throw new AppError('Account is disabled', 401);
+  }
+  return toPublicAdmin(admin);
+}
+
+/**
+ * Create the first owner from ADMIN_EMAIL / ADMIN_PASSWORD when there are no admins yet
+ */
+async function ensureOwnerAccount() {
+  const count = await getDb().collection('admin_users').countDocuments({});
+  if (count > 0) return null;
+
+  if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) {
+    console.warn('⚠️  No admin users exist. Set ADMIN_EMAIL and ADMIN_PASSWORD to create the first owner.');
+    return null;
+  }
+
+  const owner = await createAdminUser({
+    email: process.env.ADMIN_EMAIL,
+    password: process.env.ADMIN_PASSWORD,
+    name: 'Owner',
+    role: 'owner',
+  });
+  console.log(`👤 Created owner account ${owner.email}`);
+  return owner;
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  hashPassword,
+  verifyPassword,
+  createAdminUser,
+  updateAdminUser,
+  listAdminUsers,
+  login,
+  authenticateToken,
+  ensureOwnerAccount,
+};
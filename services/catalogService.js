@@ -0,0 +1,84 @@
+// services/catalogService.js
+
+const { ObjectId } = require('mongodb');
+const { getDb } = require('../config/db');
+const { AppError } = require('../utils/errors');
+const { toPaise, fromPaise } = require('../utils/money');
+
+/**
+ * Resolve the book id a cart item refers to
+ */
+function getItemBookId(item) {
+  return item?.bookId || item?.id || item?._id;
+}
+
+/**
+ * Look up a book by ObjectId or ISBN
+ */
+async function findBook(idOrIsbn) {
+  const db = getDb();
+  const query = ObjectId.isValid(idOrIsbn) && String(idOrIsbn).length === 24
+    ? { _id: new ObjectId(idOrIsbn) }
+    : { isbn: String(idOrIsbn) };
+
+  return db.collection('books').findOne(query);
+}
+
+/**
+ * Price a cart against the catalog. Client-sent prices are ignored;
+ * each line is rebuilt from the stored book.
+ */
+async function priceItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('Order must contain at least one item');
+  }
+
+  const ids = items.map(getItemBookId);
+  const invalidIds = ids.filter(id => !id || !ObjectId.isValid(id));
+  if (invalidIds.length > 0) {
+    throw new AppError('Every item must reference a valid book id', 400, { invalidItems: invalidIds });
+  }
+
+  // A fractional or negative quantity would discount the line
+  const invalidQuantities = items
+    .filter(item => item.quantity != null && !(Number.isInteger(item.quantity) && item.quantity > 0))
+    .map(item => String(getItemBookId(item)));
+  if (invalidQuantities.length > 0) {
+    throw new AppError('Quantity must be a whole number of at least 1', 400, { invalidItems: invalidQuantities });
+  }
+
+  const db = getDb();
+  const books = await db.collection('books')
+    .find({ _id: { $in: ids.map(id => new ObjectId(id)) } })
+    .toArray();
+  const booksById = new Map(books.map(book => [book._id.toString(), book]));
+
+  const unavailable = [];
+  const pricedItems = items.map((item, index) => {
+    const book = booksById.get(String(ids[index]));
+    if (!book || !book.active) {
+      unavailable.push(String(ids[index]));
+      return null;
+    }
+
+    const quantity = item.quantity ?? 1;
+    return {
+      bookId: book._id,
+      name: book.title,
+      isbn: book.isbn || null,
+      category: book.category || null,
+      price: book.price,
+      quantity,
+      lineTotal: fromPaise(toPaise(book.price) * quantity),
+    };
+  });
+
+  if (unavailable.length > 0) {
+    throw new AppError('Some items are unknown or no longer available', 400, { unavailableItems: unavailable });
+  }
+
+  const total = fromPaise(pricedItems.reduce((sum, item) => sum + toPaise(item.lineTotal), 0));
+  return { items: pricedItems, total };
+}
+
+module.exports = { findBook, priceItems, getItemBookId };
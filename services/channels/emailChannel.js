@@ -0,0 +1,55 @@
+// services/channels/emailChannel.js
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+}
+
+/**
+ * Email over SMTP
+ */
+module.exports = {
+  name: 'email',
+
+  isConfigured() {
+    return !!(process.env.SMTP_HOST && process.env.SMTP_FROM);
+  },
+
+  isReady() {
+    return true;
+  },
+
+  recipientFor(address) {
+    return address?.email || null;
+  },
+
+  async send({ to, subject, message }) {
+    try {
+      const info = await getTransporter().sendMail({
+        from: process.env.SMTP_FROM,
+        to,
+        subject: subject || 'Update on your order',
+        text: message.trim(),
+      });
+
+      console.log('✅ Email sent successfully:', info.messageId);
+      return { success: true, messageId: info.messageId, provider: 'SMTP' };
+    } catch (error) {
+      console.error('❌ Error sending email:', error.message);
+      return { success: false, error: error.message, provider: 'SMTP' };
+    }
+  },
+};
@@ -0,0 +1,58 @@
+// services/channels/index.js
+
+const whatsappChannel = require('./whatsappChannel');
+const smsChannel = require('./smsChannel');
+const emailChannel = require('./emailChannel');
+const { createStubChannel } = require('./stubChannel');
+
+const realChannels = {
+  whatsapp: whatsappChannel,
+  sms: smsChannel,
+  email: emailChannel,
+};
+
+// Messages "sent" while the stub transport is active
+const stubSent = [];
+let stubChannels = null;
+
+/**
+ * Replace every channel with a recording stub (NOTIFICATION_TRANSPORT=stub does this at startup)
+ */
+function useStubTransport() {
+  stubChannels = Object.fromEntries(
+    Object.keys(realChannels).map(name => [name, createStubChannel(name, stubSent)])
+  );
+}
+
+function useRealTransport() {
+  stubChannels = null;
+}
+
+function getStubMessages() {
+  return [...stubSent];
+}
+
+function clearStubMessages() {
+  stubSent.length = 0;
+}
+
+function getChannel(name) {
+  return (stubChannels || realChannels)[name] || null;
+}
+
+function getChannelNames() {
+  return Object.keys(realChannels);
+}
+
+if (process.env.NOTIFICATION_TRANSPORT === 'stub') {
+  useStubTransport();
+}
+
+module.exports = {
+  getChannel,
+  getChannelNames,
+  useStubTransport,
+  useRealTransport,
+  getStubMessages,
+  clearStubMessages,
+};
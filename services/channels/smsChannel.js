@@ -0,0 +1,26 @@
+// services/channels/smsChannel.js
+
+const whatsappService = require('../../controllers/whatsappController');
+
+/**
+ * Text messages through Twilio
+ */
+module.exports = {
+  name: 'sms',
+
+  isConfigured() {
+    return !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_PHONE_NUMBER);
+  },
+
+  isReady() {
+    return true;
+  },
+
+  recipientFor(address) {
+    return address?.phone || null;
+  },
+
+  async send({ to, message }) {
+    return whatsappService.sendTextSMS(to, message);
+  },
+};
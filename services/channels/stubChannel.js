@@ -0,0 +1,30 @@
+// services/channels/stubChannel.js
+
+/**
+ * Channel that records messages instead of sending them, so tests can
+ * assert on what would have gone out
+ */
+function createStubChannel(name, sent) {
+  return {
+    name,
+
+    isConfigured() {
+      return true;
+    },
+
+    isReady() {
+      return true;
+    },
+
+    recipientFor(address) {
+      return name === 'email' ? address?.email || null : address?.phone || null;
+    },
+
+    async send({ to, subject, message, mediaPath }) {
+      sent.push({ channel: name, to, subject: subject || null, message, mediaPath: mediaPath || null, sentAt: new Date() });
+      return { success: true, messageId: `stub_${name}_${sent.length}`, provider: 'stub' };
+    },
+  };
+}
+
+module.exports = { createStubChannel };
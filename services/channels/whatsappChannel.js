@@ -0,0 +1,30 @@
+// services/channels/whatsappChannel.js
+
+const whatsappService = require('../../controllers/whatsappController');
+
+/**
+ * WhatsApp messages through the whatsapp-web.js client
+ */
+module.exports = {
+  name: 'whatsapp',
+
+  isConfigured() {
+    return true;
+  },
+
+  // The client can take a while to connect; the outbox waits instead of failing
+  isReady() {
+    return whatsappService.isReady;
+  },
+
+  recipientFor(address) {
+    return address?.phone || null;
+  },
+
+  async send({ to, message, mediaPath }) {
+    if (mediaPath) {
+      return whatsappService.sendMediaMessage(to, mediaPath, message);
+    }
+    return whatsappService.sendMessage(to, message);
+  },
+};
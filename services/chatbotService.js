@@ -0,0 +1,185 @@
+// services/chatbotService.js
+
+const { getDb } = require('../config/db');
+const { lastTenDigits, phoneMatchRegex } = require('../utils/phone');
+const { optOutOfReminders, optInToReminders } = require('./checkoutRecoveryService');
+const { transitionOrderStatus } = require('./orderService');
+const { notifyAdmins, sendCancellationNotifications } = require('./notificationService');
+
+const RECENT_ORDER_COUNT = 3;
+
+const STATUS_LABELS = {
+  pending_payment: '⏳ Waiting for payment',
+  expired: '⌛ Payment not received',
+  confirmed: '✅ Confirmed',
+  packed: '📦 Packed',
+  shipped: '🚚 Shipped',
+  delivered: '🏠 Delivered',
+  cancelled: '❌ Cancelled',
+  returned: '↩️ Returned',
+};
+
+const HELP_MESSAGE = `
+🤖 Hi! Reply with one of these:
+
+STATUS - status of your recent orders
+STATUS <order id> - status of one order
+TRACK - tracking details for your latest shipment
+CANCEL <order id> - cancel an order
+STOP - no more payment reminders
+HELP - show this message
+
+Anything else goes straight to our team.
+`;
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function formatOrderLine(order) {
+  return `🧾 ${order._id}\n${STATUS_LABELS[order.status] || order.status} · ₹${order.total} · ${formatDate(order.createdAt)}`;
+}
+
+/**
+ * Orders placed from this phone number, newest first
+ */
+async function findOrdersForPhone(phone, limit = 0) {
+  return getDb().collection('orders')
+    .find({ 'address.phone': phoneMatchRegex(phone) })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Find one of the sender's orders by full id or by its last few characters
+ */
+function findOrderByReference(orders, reference) {
+  const ref = reference.toLowerCase();
+  if (ref.length < 6) return null;
+  return orders.find(order => order._id.toString().endsWith(ref)) || null;
+}
+
+async function replyStatus(phone, reference) {
+  const orders = await findOrdersForPhone(phone);
+  if (orders.length === 0) {
+    return "We couldn't find any orders for this number. Reply HELP to see what I can do.";
+  }
+
+  if (reference) {
+    const order = findOrderByReference(orders, reference);
+    return order
+      ? `📋 Order status\n\n${formatOrderLine(order)}`
+      : `We couldn't find order "${reference}" for this number.`;
+  }
+
+  const recent = orders.slice(0, RECENT_ORDER_COUNT).map(formatOrderLine).join('\n\n');
+  return `📋 Your recent orders\n\n${recent}`;
+}
+
+async function replyTrack(phone) {
+  const orders = await findOrdersForPhone(phone);
+  const shipped = orders.find(order => ['shipped', 'delivered'].includes(order.status));
+
+  if (!shipped) {
+    return orders.length > 0
+      ? "None of your orders has shipped yet. We'll message you as soon as it does!"
+      : "We couldn't find any orders for this number.";
+  }
+
+  const shipment = shipped.shipment || {};
+  const lines = [`🚚 Order ${shipped._id}`, STATUS_LABELS[shipped.status]];
+  if (shipment.courier) lines.push(`Courier: ${shipment.courier}`);
+  if (shipment.trackingId) lines.push(`Tracking ID: ${shipment.trackingId}`);
+  if (shipment.trackingUrl) lines.push(`Track it here: ${shipment.trackingUrl}`);
+  return lines.join('\n');
+}
+
+/**
+ * Cancel a cash-on-delivery order straight away while nothing is packed yet;
+ * otherwise hand the request to the team
+ */
+async function replyCancel(phone, reference) {
+  if (!reference) {
+    return 'Please send CANCEL followed by your order id, e.g. CANCEL 1a2b3c.';
+  }
+
+  const orders = await findOrdersForPhone(phone);
+  const order = findOrderByReference(orders, reference);
+  if (!order) {
+    return `We couldn't find order "${reference}" for this number.`;
+  }
+
+  if (['cancelled', 'expired'].includes(order.status)) {
+    return `Order ${order._id} is already ${order.status}.`;
+  }
+
+  // An unpaid order lapses by itself. Cancelling it here would leave its
+  // checkout open, and a payment made afterwards would have to be refunded.
+  if (order.status === 'pending_payment') {
+    return `Order ${order._id} hasn't been paid, so there's nothing to cancel: it will lapse by itself. Reply STOP if you don't want payment reminders.`;
+  }
+
+  if (order.status === 'confirmed' && order.paymentMethod === 'cod') {
+    const cancelled = await transitionOrderStatus(order._id, 'cancelled', {
+      note: 'Cancelled by customer on WhatsApp',
+      by: 'customer',
+      extraFields: { cancellationReason: 'Requested by customer', cancelledAt: new Date() },
+    });
+    await sendCancellationNotifications(cancelled, null, 'Requested by customer');
+    return `✅ Order ${order._id} has been cancelled.`;
+  }
+
+  await forwardToAdmins(phone, `CANCEL request for order ${order._id} (${order.status}, ${order.paymentMethod})`);
+  return `We've passed your cancellation request for order ${order._id} to our team. They'll get back to you shortly.`;
+}
+
+async function forwardToAdmins(phone, text) {
+  const [latest] = await findOrdersForPhone(phone, 1);
+  await notifyAdmins('customer_message', {
+    phone: lastTenDigits(phone),
+    name: latest?.address?.fullName || 'Unknown',
+    message: text,
+    orderId: latest ? String(latest._id) : null,
+  }, latest?._id || null);
+}
+
+/**
+ * Work out the reply to an incoming WhatsApp message.
+ * `from` is the sender's WhatsApp id (e.g. 919876543210@c.us).
+ * Returns the reply text, or null when the message should be ignored.
+ */
+async function handleIncomingMessage({ from, body }) {
+  if (!from || !from.endsWith('@c.us') || !body || !body.trim()) {
+    return null;
+  }
+
+  const phone = from.split('@')[0];
+  const [command, ...rest] = body.trim().split(/\s+/);
+  const argument = rest.join(' ').replace(/^#/, '');
+
+  switch (command.toUpperCase()) {
+    case 'HELP':
+    case 'HI':
+    case 'HELLO':
+    case 'MENU':
+      return HELP_MESSAGE.trim();
+    case 'STATUS':
+      return replyStatus(phone, argument);
+    case 'TRACK':
+      return replyTrack(phone);
+    case 'CANCEL':
+      return replyCancel(phone, argument);
+    case 'STOP':
+      await optOutOfReminders(phone);
+      return "✅ You won't get any more payment reminders from us. Reply START to turn them back on.";
+    case 'START':
+      await optInToReminders(phone);
+      return '✅ Payment reminders are back on.';
+    default:
+      await forwardToAdmins(phone, body.trim());
+      return "Thanks for your message! Our team will get back to you shortly. Reply HELP to see what I can do.";
+  }
+}
+
+module.exports = { handleIncomingMessage };
@@ -0,0 +1,326 @@
+// services/checkoutRecoveryService.js
+
+const { getDb } = require('../config/db');
+const razorpay = require('../config/razorpay');
+const { toPaise, fromPaise } = require('../utils/money');
+const { lastTenDigits, phoneMatchRegex } = require('../utils/phone');
+const { enqueueNotification } = require('./notificationOutbox');
+const { renderTemplate, buildOrderVariables } = require('./templateService');
+
+const ABANDONED_STATUSES = ['pending_payment', 'expired'];
+const PAID_STATUSES = ['confirmed', 'packed', 'shipped', 'delivered', 'returned'];
+const RECOVERY_INTERVAL_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 20;
+// Payment links stay valid this long after a reminder
+const PAYMENT_LINK_HOURS = parseInt(process.env.PAYMENT_LINK_EXPIRY_HOURS, 10) || 48;
+
+let recoveryTimer = null;
+let recoveryRun = null;
+let running = false;
+
+/**
+ * Minutes after checkout at which each reminder goes out,
+ * from CHECKOUT_REMINDER_MINUTES, e.g. "60,1440" (1 hour, then 1 day)
+ */
+function parseReminderMinutes(value) {
+  const minutes = String(value).split(',').map(part => parseInt(part.trim(), 10));
+  if (minutes.length === 0 || minutes.some(m => !Number.isInteger(m) || m <= 0)) {
+    throw new Error('CHECKOUT_REMINDER_MINUTES must be a comma-separated list of positive minutes');
+  }
+  return minutes.sort((a, b) => a - b);
+}
+
+const REMINDER_MINUTES = parseReminderMinutes(process.env.CHECKOUT_REMINDER_MINUTES || '60,1440');
+
+/**
+ * Recovery state stored on every new prepaid order
+ */
+function newRecoveryState() {
+  return { remindersSent: 0, lastReminderAt: null, optedOut: false, paymentLinks: [], closedReason: null };
+}
+
+async function isOptedOut(phone) {
+  const optOut = await getDb().collection('reminder_opt_outs').findOne({ phone: lastTenDigits(phone) });
+  return !!optOut;
+}
+
+/**
+ * Stop checkout reminders to a number (the customer replied STOP)
+ */
+async function optOutOfReminders(phone) {
+  const normalized = lastTenDigits(phone);
+  await getDb().collection('reminder_opt_outs').updateOne(
+    { phone: normalized },
+    { $setOnInsert: { phone: normalized, createdAt: new Date() } },
+    { upsert: true }
+  );
+  await getDb().collection('orders').updateMany(
+    { status: { $in: ABANDONED_STATUSES }, 'address.phone': phoneMatchRegex(normalized), recovery: { $type: 'object' } },
+    { $set: { 'recovery.optedOut': true, updatedAt: new Date() } }
+  );
+}
+
+/**
+ * Allow checkout reminders to a number again (the customer replied START)
+ */
+async function optInToReminders(phone) {
+  await getDb().collection('reminder_opt_outs').deleteOne({ phone: lastTenDigits(phone) });
+}
+
+/**
+ * Close a cart so it gets no more reminders
+ */
+async function closeCart(order, reason) {
+  await getDb().collection('orders').updateOne(
+    { _id: order._id },
+    { $set: { 'recovery.closedReason': reason, updatedAt: new Date() } }
+  );
+}
+
+/**
+ * Cancel the links sent with earlier reminders, so only the newest one can be
+ * paid. The checkout's own Razorpay order stays payable; if the customer pays
+ * both, the webhook refunds the second payment.
+ */
+async function cancelPreviousLinks(order) {
+  for (const link of order.recovery.paymentLinks || []) {
+    if (link.status !== 'created') continue;
+    try {
+      await razorpay.paymentLink.cancel(link.id);
+    } catch (error) {
+      console.warn(`⚠️ Could not cancel payment link ${link.id}:`, error.error?.description || error.message);
+    }
+  }
+}
+
+/**
+ * Payment link for the same cart at the same price
+ */
+async function createPaymentLink(order, reminderNumber) {
+  const address = order.address || {};
+  const expireBy = Math.floor(Date.now() / 1000) + PAYMENT_LINK_HOURS * 60 * 60;
+
+  const link = await razorpay.paymentLink.create({
+    amount: order.amountPaise ?? toPaise(order.total),
+    currency: 'INR',
+    accept_partial: false,
+    reference_id: `${order._id}-${reminderNumber}`,
+    description: `Order ${order._id}`,
+    customer: { name: address.fullName, contact: `+91${lastTenDigits(address.phone)}`, email: address.email },
+    // We send the link on WhatsApp ourselves
+    notify: { sms: false, email: false },
+    reminder_enable: false,
+    expire_by: expireBy,
+    notes: { orderId: String(order._id) },
+    ...(process.env.CHECKOUT_CALLBACK_URL
+      ? { callback_url: process.env.CHECKOUT_CALLBACK_URL, callback_method: 'get' }
+      : {}),
+  });
+
+  return {
+    id: link.id,
+    shortUrl: link.short_url,
+    reminder: reminderNumber,
+    status: 'created',
+    expiresAt: new Date(expireBy * 1000),
+    createdAt: new Date(),
+  };
+}
+
+/**
+ * Send the next reminder for one cart. The reminder count is claimed first,
+ * so two workers never remind the same cart twice.
+ */
+async function sendReminder(order) {
+  const orders = getDb().collection('orders');
+  const sent = order.recovery.remindersSent;
+
+  if (await isOptedOut(order.address?.phone)) {
+    await orders.updateOne({ _id: order._id }, { $set: { 'recovery.optedOut': true } });
+    return 'opted_out';
+  }
+
+  // The customer bought again since, so this cart is not lost
+  const reordered = await orders.findOne({
+    _id: { $ne: order._id },
+    'address.phone': phoneMatchRegex(order.address?.phone),
+    status: { $in: PAID_STATUSES },
+    createdAt: { $gt: order.createdAt },
+  });
+  if (reordered) {
+    await closeCart(order, 'ordered_again');
+    return 'closed';
+  }
+
+  const claimed = await orders.findOneAndUpdate(
+    { _id: order._id, status: { $in: ABANDONED_STATUSES }, 'recovery.remindersSent': sent },
+    { $set: { 'recovery.remindersSent': sent + 1, 'recovery.lastReminderAt': new Date() } },
+    { returnDocument: 'after' }
+  );
+  if (!claimed) return 'skipped';
+
+  let link;
+  try {
+    await cancelPreviousLinks(claimed);
+    link = await createPaymentLink(claimed, sent + 1);
+  } catch (error) {
+    // Give the reminder back so the next run tries again
+    await orders.updateOne(
+      { _id: order._id, 'recovery.remindersSent': sent + 1 },
+      { $set: { 'recovery.remindersSent': sent, 'recovery.lastReminderAt': order.recovery.lastReminderAt } }
+    );
+    throw new Error(`Payment link failed: ${error.error?.description || error.message}`);
+  }
+
+  const paymentLinks = claimed.recovery.paymentLinks.map(previous => (
+    previous.status === 'created' ? { ...previous, status: 'cancelled' } : previous
+  ));
+  await orders.updateOne(
+    { _id: order._id },
+    { $set: { 'recovery.paymentLinks': [...paymentLinks, link], updatedAt: new Date() } }
+  );
+
+  const { message } = await renderTemplate('checkout_reminder_customer', {
+    channel: 'whatsapp',
+    locale: order.locale,
+    variables: buildOrderVariables(order, {
+      paymentLink: link.shortUrl,
+      linkHours: PAYMENT_LINK_HOURS,
+      isLastReminder: sent + 1 === REMINDER_MINUTES.length,
+    }),
+  });
+  await enqueueNotification({ channel: 'whatsapp', to: order.address.phone, message, event: 'checkout_reminder', orderId: order._id });
+  return 'sent';
+}
+
+/**
+ * Remind customers whose prepaid checkout stopped before payment
+ */
+async function sendCheckoutReminders() {
+  if (running) return 0;
+  running = true;
+
+  let sent = 0;
+  try {
+    const now = Date.now();
+    const carts = await getDb().collection('orders')
+      .find({
+        paymentMethod: 'prepaid',
+        status: { $in: ABANDONED_STATUSES },
+        'recovery.optedOut': false,
+        'recovery.closedReason': null,
+        'recovery.remindersSent': { $lt: REMINDER_MINUTES.length },
+        createdAt: { $lte: new Date(now - REMINDER_MINUTES[0] * 60 * 1000) },
+      })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    const due = carts.filter(order => (
+      order.createdAt.getTime() + REMINDER_MINUTES[order.recovery.remindersSent] * 60 * 1000 <= now
+    ));
+
+    for (const order of due.slice(0, BATCH_SIZE)) {
+      try {
+        if (await sendReminder(order) === 'sent') sent++;
+      } catch (error) {
+        console.error(`❌ Error sending checkout reminder for order ${order._id}:`, error.message);
+      }
+    }
+  } finally {
+    running = false;
+  }
+
+  if (sent > 0) {
+    console.log(`🛒 Sent ${sent} checkout reminder(s)`);
+  }
+  return sent;
+}
+
+/**
+ * Recovery figures for carts created in a date range: how many prepaid
+ * checkouts were abandoned, reminded and won back
+ */
+async function getRecoveryReport({ from, to } = {}) {
+  const match = { paymentMethod: 'prepaid', recovery: { $type: 'object' } };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const isPaid = { $in: ['$status', PAID_STATUSES] };
+  const reminded = { $gt: ['$recovery.remindersSent', 0] };
+  // Whole paise, as charged through the payment link
+  const totalPaise = { $ifNull: ['$amountPaise', { $round: [{ $multiply: ['$total', 100] }, 0] }] };
+
+  const [summary] = await getDb().collection('orders').aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        checkouts: { $sum: 1 },
+        paidWithoutReminder: { $sum: { $cond: [{ $and: [isPaid, { $not: [reminded] }] }, 1, 0] } },
+        reminded: { $sum: { $cond: [reminded, 1, 0] } },
+        remindersSent: { $sum: '$recovery.remindersSent' },
+        recovered: { $sum: { $cond: [{ $and: [isPaid, reminded] }, 1, 0] } },
+        recoveredRevenuePaise: { $sum: { $cond: [{ $and: [isPaid, reminded] }, totalPaise, 0] } },
+        optedOut: { $sum: { $cond: ['$recovery.optedOut', 1, 0] } },
+      },
+    },
+  ]).toArray();
+
+  const byReminder = await getDb().collection('orders').aggregate([
+    { $match: { ...match, status: { $in: PAID_STATUSES }, 'recovery.remindersSent': { $gt: 0 } } },
+    { $group: { _id: '$recovery.remindersSent', recovered: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ]).toArray();
+
+  const totals = summary || {
+    checkouts: 0, paidWithoutReminder: 0, reminded: 0, remindersSent: 0, recovered: 0, recoveredRevenuePaise: 0, optedOut: 0,
+  };
+  const abandoned = totals.checkouts - totals.paidWithoutReminder;
+
+  return {
+    checkouts: totals.checkouts,
+    abandoned,
+    reminded: totals.reminded,
+    remindersSent: totals.remindersSent,
+    recovered: totals.recovered,
+    optedOut: totals.optedOut,
+    recoveryRate: totals.reminded > 0 ? Math.round((totals.recovered / totals.reminded) * 1000) / 10 : 0,
+    abandonmentRate: totals.checkouts > 0 ? Math.round((abandoned / totals.checkouts) * 1000) / 10 : 0,
+    recoveredRevenue: fromPaise(totals.recoveredRevenuePaise),
+    recoveredByReminder: byReminder.map(row => ({ reminder: row._id, recovered: row.recovered })),
+    reminderMinutes: REMINDER_MINUTES,
+  };
+}
+
+function startCheckoutRecovery() {
+  if (recoveryTimer) return;
+  recoveryTimer = setInterval(() => {
+    recoveryRun = sendCheckoutReminders().catch(error => {
+      console.error('❌ Error sending checkout reminders:', error.message);
+    });
+  }, RECOVERY_INTERVAL_MS);
+  recoveryTimer.unref();
+}
+
+/**
+ * Stop the timer. Reminders already being sent finish first.
+ */
+async function stopCheckoutRecovery() {
+  clearInterval(recoveryTimer);
+  recoveryTimer = null;
+  await recoveryRun;
+}
+
+module.exports = {
+  REMINDER_MINUTES,
+  newRecoveryState,
+  optOutOfReminders,
+  optInToReminders,
+  sendCheckoutReminders,
+  getRecoveryReport,
+  startCheckoutRecovery,
+  stopCheckoutRecovery,
+};
@@ -0,0 +1,257 @@
+// services/couponService.js
+
+const { getDb } = require('../config/db');
+const { AppError } = require('../utils/errors');
+const { toPaise, fromPaise, roundRupees, isWholePaise } = require('../utils/money');
+const { phoneMatchRegex } = require('../utils/phone');
+
+const COUPON_TYPES = ['percentage', 'flat'];
+// Orders in these states no longer count towards a customer's coupon uses
+const RELEASED_STATUSES = ['cancelled', 'expired'];
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Validate coupon fields from an admin request. `partial` allows updates
+ * that leave some fields out.
+ */
+function parseCouponFields(body, { partial = false } = {}) {
+  const fields = {};
+  const numberFields = ['value', 'maxDiscount', 'minCartValue'];
+  const integerFields = ['usageLimit', 'perCustomerLimit'];
+
+  if (!partial || body.type !== undefined) {
+    if (!COUPON_TYPES.includes(body.type)) {
+      throw new AppError(`Field "type" must be one of: ${COUPON_TYPES.join(', ')}`, 400);
+    }
+    fields.type = body.type;
+  }
+
+  for (const key of numberFields) {
+    if (body[key] === undefined || body[key] === null) {
+      if (key === 'value' && !partial) throw new AppError('Field "value" is required', 400);
+      if (body[key] === null) fields[key] = null;
+      continue;
+    }
+    if (typeof body[key] !== 'number' || !isWholePaise(body[key]) || body[key] < 0) {
+      throw new AppError(`Field "${key}" must be a non-negative amount in whole paise`, 400);
+    }
+    fields[key] = body[key];
+  }
+
+  for (const key of integerFields) {
+    if (body[key] === undefined) continue;
+    if (body[key] !== null && (!Number.isInteger(body[key]) || body[key] < 1)) {
+      throw new AppError(`Field "${key}" must be a positive integer or null`, 400);
+    }
+    fields[key] = body[key];
+  }
+
+  for (const key of ['startsAt', 'expiresAt']) {
+    if (body[key] === undefined) continue;
+    const date = body[key] === null ? null : new Date(body[key]);
+    if (date && isNaN(date.getTime())) {
+      throw new AppError(`Field "${key}" must be a date`, 400);
+    }
+    fields[key] = date;
+  }
+
+  for (const key of ['bookIds', 'categories']) {
+    if (body[key] === undefined) continue;
+    if (!Array.isArray(body[key]) || body[key].some(value => typeof value !== 'string')) {
+      throw new AppError(`Field "${key}" must be an array of strings`, 400);
+    }
+    fields[key] = body[key];
+  }
+
+  if (body.description !== undefined) fields.description = body.description;
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      throw new AppError('Field "active" must be a boolean', 400);
+    }
+    fields.active = body.active;
+  }
+
+  return fields;
+}
+
+function checkPercentage(coupon) {
+  if (coupon.type === 'percentage' && coupon.value > 100) {
+    throw new AppError('A percentage discount cannot be more than 100', 400);
+  }
+}
+
+async function createCoupon(body) {
+  const code = normalizeCode(body.code);
+  if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+    throw new AppError('Code must be 3-32 letters, digits, "-" or "_"', 400);
+  }
+
+  const now = new Date();
+  const coupon = {
+    code,
+    maxDiscount: null,
+    minCartValue: 0,
+    usageLimit: null,
+    perCustomerLimit: null,
+    startsAt: null,
+    expiresAt: null,
+    bookIds: [],
+    categories: [],
+    description: null,
+    active: true,
+    ...parseCouponFields(body),
+    usedCount: 0,
+    createdAt: now,
+    updatedAt: now,
+  };
+  checkPercentage(coupon);
+
+  try {
+    const result = await getDb().collection('coupons').insertOne(coupon);
+    return { _id: result.insertedId, ...coupon };
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError(`Coupon "${code}" already exists`, 409);
+    }
+    throw error;
+  }
+}
+
+async function updateCoupon(code, body) {
+  const coupons = getDb().collection('coupons');
+  const existing = await coupons.findOne({ code: normalizeCode(code) });
+  if (!existing) {
+    throw new AppError('Coupon not found', 404);
+  }
+
+  const fields = parseCouponFields(body, { partial: true });
+  checkPercentage({ ...existing, ...fields });
+
+  return coupons.findOneAndUpdate(
+    { _id: existing._id },
+    { $set: { ...fields, updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+}
+
+/**
+ * Cart lines a coupon applies to: all of them unless it is limited
+ * to some books or categories
+ */
+function getEligibleItems(coupon, items) {
+  const restricted = coupon.bookIds.length > 0 || coupon.categories.length > 0;
+  if (!restricted) return items;
+
+  return items.filter(item =>
+    coupon.bookIds.includes(String(item.bookId)) ||
+    (item.category && coupon.categories.includes(item.category))
+  );
+}
+
+/**
+ * Check a coupon against a priced cart and work out the discount.
+ * `customerId` (logged in) or `phone` (guest) identify the customer
+ * for the per-customer limit.
+ */
+async function applyCoupon(code, { items, subtotal, customerId = null, phone = null }) {
+  const coupon = await getDb().collection('coupons').findOne({ code: normalizeCode(code) });
+  const now = new Date();
+
+  if (!coupon || !coupon.active) {
+    throw new AppError('This coupon code is not valid', 400, { couponCode: normalizeCode(code) });
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new AppError('This coupon is not active yet', 400, { couponCode: coupon.code });
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw new AppError('This coupon has expired', 400, { couponCode: coupon.code });
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    throw new AppError('This coupon has been fully used', 400, { couponCode: coupon.code });
+  }
+  if (subtotal < coupon.minCartValue) {
+    throw new AppError(`This coupon needs a cart value of at least ₹${coupon.minCartValue}`, 400, {
+      couponCode: coupon.code,
+      minCartValue: coupon.minCartValue,
+    });
+  }
+
+  if (coupon.perCustomerLimit !== null && (customerId || phone)) {
+    const customerMatch = [];
+    if (customerId) customerMatch.push({ customerId });
+    if (phone) customerMatch.push({ 'address.phone': phoneMatchRegex(phone) });
+
+    const used = await getDb().collection('orders').countDocuments({
+      'discount.code': coupon.code,
+      status: { $nin: RELEASED_STATUSES },
+      $or: customerMatch,
+    });
+    if (used >= coupon.perCustomerLimit) {
+      throw new AppError('You have already used this coupon', 400, { couponCode: coupon.code });
+    }
+  }
+
+  const eligibleSubtotal = fromPaise(
+    getEligibleItems(coupon, items).reduce((sum, item) => sum + toPaise(item.lineTotal), 0)
+  );
+  if (eligibleSubtotal === 0) {
+    throw new AppError('This coupon does not apply to any book in your cart', 400, { couponCode: coupon.code });
+  }
+
+  let amount = coupon.type === 'percentage'
+    ? roundRupees(eligibleSubtotal * coupon.value / 100)
+    : coupon.value;
+  if (coupon.maxDiscount !== null) amount = Math.min(amount, coupon.maxDiscount);
+  amount = Math.min(amount, eligibleSubtotal);
+
+  return {
+    code: coupon.code,
+    type: coupon.type,
+    value: coupon.value,
+    amount,
+  };
+}
+
+/**
+ * Count one use of a coupon. Fails when the last use was taken in the meantime,
+ * unless `ignoreLimit` is set for an order that has already been paid.
+ */
+async function redeemCoupon(code, { ignoreLimit = false } = {}) {
+  const filter = { code: normalizeCode(code) };
+  if (!ignoreLimit) {
+    filter.$or = [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }];
+  }
+
+  const redeemed = await getDb().collection('coupons').findOneAndUpdate(
+    filter,
+    { $inc: { usedCount: 1 }, $set: { updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  if (!redeemed) {
+    throw new AppError('This coupon has been fully used', 409, { couponCode: normalizeCode(code) });
+  }
+  return redeemed;
+}
+
+/**
+ * Give a use back when its order is cancelled or never paid
+ */
+async function releaseCoupon(code) {
+  await getDb().collection('coupons').updateOne(
+    { code: normalizeCode(code), usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 }, $set: { updatedAt: new Date() } }
+  );
+}
+
+module.exports = {
+  COUPON_TYPES,
+  normalizeCode,
+  createCoupon,
+  updateCoupon,
+  applyCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
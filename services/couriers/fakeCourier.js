@@ -0,0 +1,35 @@
+// services/couriers/fakeCourier.js
+
+// Tracking histories keyed by tracking id
+const shipments = new Map();
+
+/**
+ * In-memory courier for local runs and tests. Feed it checkpoints with
+ * addTrackingEvent(); until then every shipment reads as in transit.
+ */
+module.exports = {
+  name: 'fake',
+
+  trackingUrlFor(trackingId) {
+    return `https://tracking.example.com/${encodeURIComponent(trackingId)}`;
+  },
+
+  async fetchTracking(trackingId) {
+    const events = shipments.get(trackingId) || [];
+    const latest = events[events.length - 1];
+    return {
+      status: latest ? latest.status : 'in_transit',
+      events: [...events],
+    };
+  },
+
+  addTrackingEvent(trackingId, { status, description = null, location = null, at = new Date() }) {
+    const events = shipments.get(trackingId) || [];
+    events.push({ status, description, location, at });
+    shipments.set(trackingId, events);
+  },
+
+  reset() {
+    shipments.clear();
+  },
+};
@@ -0,0 +1,40 @@
+// services/couriers/index.js
+
+const fakeCourier = require('./fakeCourier');
+
+// Statuses an adapter may report for a shipment
+const TRACKING_STATUSES = ['in_transit', 'out_for_delivery', 'delivered', 'failed_delivery', 'returned'];
+
+/**
+ * A courier adapter looks like:
+ * {
+ *   name,
+ *   trackingUrlFor(trackingId) -> public tracking page, or null,
+ *   fetchTracking(trackingId) -> { status, events: [{ status, description, location, at }] },
+ * }
+ * Adapters are keyed by courier name, case-insensitively.
+ */
+const adapters = {
+  fake: fakeCourier,
+};
+
+function registerCourier(adapter) {
+  adapters[adapter.name.toLowerCase()] = adapter;
+}
+
+/**
+ * Adapter for a courier, or null when there is none.
+ * COURIER_TRACKING=fake sends every courier to the fake adapter.
+ */
+function getCourier(name) {
+  if (process.env.COURIER_TRACKING === 'fake') {
+    return fakeCourier;
+  }
+  return adapters[String(name || '').toLowerCase()] || null;
+}
+
+module.exports = {
+  TRACKING_STATUSES,
+  registerCourier,
+  getCourier,
+};
@@ -0,0 +1,165 @@
+// services/couriers/manifests.js
+
+const { SHIPPING_CONFIG } = require('../../config/shipping');
+const { INVOICE_CONFIG } = require('../../config/invoice');
+const { lastTenDigits } = require('../../utils/phone');
+
+function itemCount(order) {
+  return (order.items || []).reduce((sum, item) => sum + (item.quantity || 1), 0);
+}
+
+function parcelWeightKg(order) {
+  const { weightPerBookKg, packagingKg } = SHIPPING_CONFIG.parcel;
+  return Math.round((itemCount(order) * weightPerBookKg + packagingKg) * 100) / 100;
+}
+
+function codAmount(order) {
+  return order.paymentMethod === 'cod' ? order.total : 0;
+}
+
+function orderDate(order) {
+  // sv-SE writes dates as YYYY-MM-DD HH:mm
+  return new Date(order.createdAt).toLocaleString('sv-SE', {
+    timeZone: 'Asia/Kolkata', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+  });
+}
+
+function itemSummary(order) {
+  return (order.items || []).map(item => `${item.name} x${item.quantity || 1}`).join('; ');
+}
+
+// Courier uploads take the address on one line
+function oneLine(text) {
+  return String(text || '').replace(/\s*[\r\n]+\s*/g, ', ').trim();
+}
+
+function splitName(fullName) {
+  const [first, ...rest] = String(fullName || '').trim().split(/\s+/);
+  return { first, last: rest.join(' ') };
+}
+
+/**
+ * Bulk upload layouts, keyed by the `format` query value. Each has its
+ * header row and turns an order into one or more rows keyed by header.
+ * Courier sheets change now and then; keep the headers in step with the
+ * sample file the courier panel offers for download.
+ */
+const MANIFEST_FORMATS = {
+  // Our own layout, for couriers without a bulk upload or for the packing desk
+  standard: {
+    columns: [
+      'Order ID', 'Order Date', 'Name', 'Phone', 'Email', 'Address', 'City', 'State', 'Pincode',
+      'Payment Method', 'COD Amount', 'Order Total', 'Items', 'Quantity', 'Weight (kg)', 'Status',
+    ],
+    rowsFor: order => {
+      const address = order.address || {};
+      return [{
+        'Order ID': String(order._id),
+        'Order Date': orderDate(order),
+        Name: address.fullName,
+        Phone: lastTenDigits(address.phone),
+        Email: address.email,
+        Address: oneLine(address.street),
+        City: address.city,
+        State: address.state,
+        Pincode: address.zipCode,
+        'Payment Method': order.paymentMethod === 'cod' ? 'COD' : 'Prepaid',
+        'COD Amount': codAmount(order),
+        'Order Total': order.total,
+        Items: itemSummary(order),
+        Quantity: itemCount(order),
+        'Weight (kg)': parcelWeightKg(order),
+        Status: order.status,
+      }];
+    },
+  },
+
+  // Shiprocket bulk order import: one row per item, order fields repeated
+  shiprocket: {
+    columns: [
+      'Order Id', 'Order Date', 'Channel', 'Payment Method', 'Customer First Name', 'Customer Last Name',
+      'Email', 'Customer Mobile', 'Shipping Address Line 1', 'Shipping Address Country', 'Shipping Address State',
+      'Shipping Address City', 'Shipping Address Postcode', 'Master SKU', 'Product Name', 'Product Quantity',
+      'Selling Price(Per Unit Item, Inclusive of Tax)', 'Shipping Charges(Per Order)', 'COD Charges(Per Order)',
+      'Order Discount', 'Length (cm)', 'Breadth (cm)', 'Height (cm)', 'Weight Of Shipment(kg)', 'Pickup Location',
+    ],
+    rowsFor: order => {
+      const address = order.address || {};
+      const name = splitName(address.fullName);
+      const { lengthCm, breadthCm, heightCm } = SHIPPING_CONFIG.parcel;
+      return (order.items || []).map(item => ({
+        'Order Id': String(order._id),
+        'Order Date': orderDate(order),
+        Channel: 'CUSTOM',
+        'Payment Method': order.paymentMethod === 'cod' ? 'COD' : 'Prepaid',
+        'Customer First Name': name.first,
+        'Customer Last Name': name.last,
+        Email: address.email,
+        'Customer Mobile': lastTenDigits(address.phone),
+        'Shipping Address Line 1': oneLine(address.street),
+        'Shipping Address Country': 'India',
+        'Shipping Address State': address.state,
+        'Shipping Address City': address.city,
+        'Shipping Address Postcode': address.zipCode,
+        'Master SKU': item.isbn || String(item.bookId || ''),
+        'Product Name': item.name,
+        'Product Quantity': item.quantity || 1,
+        'Selling Price(Per Unit Item, Inclusive of Tax)': item.price,
+        'Shipping Charges(Per Order)': order.shippingFee || 0,
+        'COD Charges(Per Order)': order.codFee || 0,
+        'Order Discount': order.discount ? order.discount.amount : 0,
+        'Length (cm)': lengthCm,
+        'Breadth (cm)': breadthCm,
+        'Height (cm)': heightCm,
+        'Weight Of Shipment(kg)': parcelWeightKg(order),
+        'Pickup Location': SHIPPING_CONFIG.pickupLocation,
+      }));
+    },
+  },
+
+  // Delhivery bulk manifest: one row per parcel, waybills assigned on upload
+  delhivery: {
+    columns: [
+      'Waybill', 'Reference No', 'Consignee Name', 'Address', 'City', 'State', 'Pincode', 'Mobile', 'Email',
+      'Payment Mode', 'Package Amount', 'Cod Amount', 'Product to be Shipped', 'Quantity', 'Weight (gm)',
+      'Length (cm)', 'Breadth (cm)', 'Height (cm)', 'Seller Name', 'Seller Address', 'Seller GST TIN',
+      'Invoice No', 'Pickup Location',
+    ],
+    rowsFor: order => {
+      const address = order.address || {};
+      const { lengthCm, breadthCm, heightCm } = SHIPPING_CONFIG.parcel;
+      return [{
+        Waybill: '',
+        'Reference No': String(order._id),
+        'Consignee Name': address.fullName,
+        Address: oneLine(address.street),
+        City: address.city,
+        State: address.state,
+        Pincode: address.zipCode,
+        Mobile: lastTenDigits(address.phone),
+        Email: address.email,
+        'Payment Mode': order.paymentMethod === 'cod' ? 'COD' : 'Pre-paid',
+        'Package Amount': order.total,
+        'Cod Amount': codAmount(order),
+        'Product to be Shipped': itemSummary(order),
+        Quantity: itemCount(order),
+        'Weight (gm)': Math.round(parcelWeightKg(order) * 1000),
+        'Length (cm)': lengthCm,
+        'Breadth (cm)': breadthCm,
+        'Height (cm)': heightCm,
+        'Seller Name': INVOICE_CONFIG.seller.name,
+        'Seller Address': INVOICE_CONFIG.seller.address,
+        'Seller GST TIN': INVOICE_CONFIG.seller.gstin || '',
+        'Invoice No': order.invoiceNumber || '',
+        'Pickup Location': SHIPPING_CONFIG.pickupLocation,
+      }];
+    },
+  },
+};
+
+module.exports = {
+  MANIFEST_FORMATS,
+  itemCount,
+  parcelWeightKg,
+  codAmount,
+};
@@ -0,0 +1,355 @@
+// services/customerService.js
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('../config/db');
+const { AppError } = require('../utils/errors');
+const { lastTenDigits, phoneMatchRegex } = require('../utils/phone');
+const { addressSchema, parseOrThrow } = require('../utils/validation');
+const { assertPhoneAllowed } = require('./abuseService');
+const { hashPassword, verifyPassword } = require('./authService');
+const { enqueueNotification } = require('./notificationOutbox');
+const { renderTemplate } = require('./templateService');
+
+const TOKEN_TTL = process.env.CUSTOMER_TOKEN_TTL || '30d';
+const OTP_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+// Minimum gap between two codes for the same number
+const OTP_RESEND_SECONDS = 60;
+const MIN_PASSWORD_LENGTH = 8;
+const ADDRESS_FIELDS = ['fullName', 'street', 'city', 'state', 'zipCode', 'email', 'phone'];
+const MAX_ADDRESSES = 10;
+
+function getJwtSecret() {
+  if (!process.env.CUSTOMER_JWT_SECRET) {
+    throw new Error('CUSTOMER_JWT_SECRET environment variable is not defined');
+  }
+  return process.env.CUSTOMER_JWT_SECRET;
+}
+
+function normalizePhone(phone) {
+  const digits = lastTenDigits(phone);
+  if (digits.length !== 10) {
+    throw new AppError('A valid 10-digit phone number is required', 400);
+  }
+  return digits;
+}
+
+function hashOtp(phone, code) {
+  return crypto.createHash('sha256').update(`${phone}:${code}`).digest('hex');
+}
+
+/**
+ * Customer without the password hash, safe to send back
+ */
+function toPublicCustomer(customer) {
+  const { passwordHash, ...rest } = customer;
+  return { ...rest, hasPassword: !!passwordHash };
+}
+
+function issueToken(customer) {
+  return jwt.sign({ sub: String(customer._id) }, getJwtSecret(), { expiresIn: TOKEN_TTL, audience: 'customer' });
+}
+
+/**
+ * Send a one-time login code to a phone number on WhatsApp
+ */
+async function requestOtp(phone, locale) {
+  const normalized = normalizePhone(phone);
+  await assertPhoneAllowed(normalized);
+  const otps = getDb().collection('customer_otps');
+  const now = new Date();
+
+  const existing = await otps.findOne({ phone: normalized });
+  if (existing && now - existing.createdAt < OTP_RESEND_SECONDS * 1000) {
+    throw new AppError('Please wait a minute before requesting another code', 429);
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(now.getTime() + OTP_MINUTES * 60 * 1000);
+  await otps.updateOne(
+    { phone: normalized },
+    {
+      $set: {
+        codeHash: hashOtp(normalized, code),
+        attempts: 0,
+        expiresAt,
+        createdAt: now,
+      },
+    },
+    { upsert: true }
+  );
+
+  const { message } = await renderTemplate('login_otp_customer', {
+    channel: 'whatsapp',
+    locale,
+    variables: { code, minutes: OTP_MINUTES },
+  });
+  // A code that arrives after it expires is no use to anyone
+  await enqueueNotification({ channel: 'whatsapp', to: normalized, message, event: 'login_otp', expiresAt });
+
+  return { phone: normalized, expiresInMinutes: OTP_MINUTES };
+}
+
+/**
+ * Check a login code; each code works once and allows a few wrong guesses
+ */
+async function consumeOtp(phone, code) {
+  const normalized = normalizePhone(phone);
+  const otps = getDb().collection('customer_otps');
+
+  const otp = await otps.findOne({ phone: normalized });
+  if (!otp || otp.expiresAt < new Date() || otp.attempts >= OTP_MAX_ATTEMPTS) {
+    throw new AppError('Code has expired, please request a new one', 401);
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashOtp(normalized, String(code || '').trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    await otps.updateOne({ _id: otp._id }, { $inc: { attempts: 1 } });
+    throw new AppError('Incorrect code', 401);
+  }
+
+  await otps.deleteOne({ _id: otp._id });
+  return normalized;
+}
+
+/**
+ * Attach earlier guest orders placed with this (now verified) number
+ */
+async function linkGuestOrders(customer) {
+  const result = await getDb().collection('orders').updateMany(
+    { customerId: null, 'address.phone': phoneMatchRegex(customer.phone) },
+    { $set: { customerId: customer._id, updatedAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+async function insertCustomer({ phone, name = null, email = null, password = null }) {
+  if (password !== null) validatePassword(password);
+
+  const now = new Date();
+  const customer = {
+    phone,
+    name,
+    email: email ? email.trim().toLowerCase() : null,
+    passwordHash: password !== null ? await hashPassword(password) : null,
+    addresses: [],
+    lastLoginAt: now,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    const result = await getDb().collection('customers').insertOne(customer);
+    return { _id: result.insertedId, ...customer };
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('An account with this phone number or email already exists', 409);
+    }
+    throw error;
+  }
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AppError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400);
+  }
+}
+
+/**
+ * Create an account. The phone number is proven with a code from requestOtp.
+ */
+async function registerCustomer({ phone, code, name, email, password }) {
+  if (!name || typeof name !== 'string') {
+    throw new AppError('Name is required', 400);
+  }
+  if (password !== undefined && password !== null) validatePassword(password);
+
+  const normalized = await consumeOtp(phone, code);
+  const customer = await insertCustomer({ phone: normalized, name: name.trim(), email, password: password ?? null });
+  const linkedOrders = await linkGuestOrders(customer);
+
+  return { token: issueToken(customer), customer: toPublicCustomer(customer), linkedOrders };
+}
+
+/**
+ * Log in with a WhatsApp code, creating the account on first use
+ */
+async function loginWithOtp({ phone, code }) {
+  const normalized = await consumeOtp(phone, code);
+  const customers = getDb().collection('customers');
+
+  let customer = await customers.findOneAndUpdate(
+    { phone: normalized },
+    { $set: { lastLoginAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  const created = !customer;
+  if (created) {
+    customer = await insertCustomer({ phone: normalized });
+  }
+  const linkedOrders = await linkGuestOrders(customer);
+
+  return { token: issueToken(customer), customer: toPublicCustomer(customer), created, linkedOrders };
+}
+
+/**
+ * Log in with a phone number or email and a password
+ */
+async function loginWithPassword({ phone, email, password }) {
+  const query = email
+    ? { email: String(email).trim().toLowerCase() }
+    : { phone: lastTenDigits(phone) };
+  const customers = getDb().collection('customers');
+  const customer = await customers.findOne(query);
+
+  if (!customer || !(await verifyPassword(password, customer.passwordHash))) {
+    throw new AppError('Invalid login details', 401);
+  }
+
+  await customers.updateOne({ _id: customer._id }, { $set: { lastLoginAt: new Date() } });
+  return { token: issueToken(customer), customer: toPublicCustomer(customer) };
+}
+
+/**
+ * Resolve a bearer token to the customer it was issued to
+ */
+async function authenticateCustomerToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret(), { audience: 'customer' });
+  } catch (error) {
+    throw new AppError('Invalid or expired session', 401);
+  }
+
+  const customer = ObjectId.isValid(payload.sub)
+    ? await getDb().collection('customers').findOne({ _id: new ObjectId(payload.sub) })
+    : null;
+  if (!customer) {
+    throw new AppError('Invalid or expired session', 401);
+  }
+  return toPublicCustomer(customer);
+}
+
+async function updateProfile(customerId, { name, email, password }) {
+  const updates = { updatedAt: new Date() };
+  if (name !== undefined) updates.name = name;
+  if (email !== undefined) updates.email = email ? String(email).trim().toLowerCase() : null;
+  if (password !== undefined) {
+    validatePassword(password);
+    updates.passwordHash = await hashPassword(password);
+  }
+
+  try {
+    const customer = await getDb().collection('customers').findOneAndUpdate(
+      { _id: customerId },
+      { $set: updates },
+      { returnDocument: 'after' }
+    );
+    return toPublicCustomer(customer);
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('An account with this email already exists', 409);
+    }
+    throw error;
+  }
+}
+
+function validateAddress(address) {
+  return parseOrThrow(addressSchema, Object.fromEntries(ADDRESS_FIELDS.map(field => [field, address?.[field]])));
+}
+
+function parseAddressId(addressId) {
+  if (!ObjectId.isValid(addressId) || String(addressId).length !== 24) {
+    throw new AppError('Invalid address id', 400);
+  }
+  return new ObjectId(addressId);
+}
+
+/**
+ * Write the address book back, keeping exactly one default address
+ */
+async function saveAddresses(customerId, addresses, defaultId) {
+  const fallbackId = addresses[0]?._id;
+  const targetId = addresses.some(a => a._id.equals(defaultId)) ? defaultId : fallbackId;
+  const normalized = addresses.map(a => ({ ...a, isDefault: !!targetId && a._id.equals(targetId) }));
+
+  await getDb().collection('customers').updateOne(
+    { _id: customerId },
+    { $set: { addresses: normalized, updatedAt: new Date() } }
+  );
+  return normalized;
+}
+
+async function addAddress(customer, { label, isDefault, ...fields }) {
+  if (customer.addresses.length >= MAX_ADDRESSES) {
+    throw new AppError(`You can save up to ${MAX_ADDRESSES} addresses`, 400);
+  }
+
+  const address = { _id: new ObjectId(), label: label || null, ...validateAddress(fields) };
+  const currentDefault = customer.addresses.find(a => a.isDefault)?._id;
+  const addresses = await saveAddresses(
+    customer._id,
+    [...customer.addresses, address],
+    isDefault || !currentDefault ? address._id : currentDefault
+  );
+  return addresses.find(a => a._id.equals(address._id));
+}
+
+async function updateAddress(customer, addressId, { label, isDefault, ...fields }) {
+  const id = parseAddressId(addressId);
+  const existing = customer.addresses.find(a => a._id.equals(id));
+  if (!existing) {
+    throw new AppError('Address not found', 404);
+  }
+
+  const updated = {
+    ...existing,
+    label: label !== undefined ? label : existing.label,
+    ...validateAddress({ ...existing, ...fields }),
+  };
+  const currentDefault = customer.addresses.find(a => a.isDefault)?._id;
+  const addresses = await saveAddresses(
+    customer._id,
+    customer.addresses.map(a => (a._id.equals(id) ? updated : a)),
+    isDefault ? id : currentDefault
+  );
+  return addresses.find(a => a._id.equals(id));
+}
+
+async function deleteAddress(customer, addressId) {
+  const id = parseAddressId(addressId);
+  if (!customer.addresses.some(a => a._id.equals(id))) {
+    throw new AppError('Address not found', 404);
+  }
+
+  const currentDefault = customer.addresses.find(a => a.isDefault)?._id;
+  return saveAddresses(customer._id, customer.addresses.filter(a => !a._id.equals(id)), currentDefault);
+}
+
+/**
+ * A saved address in the shape orders store it
+ */
+function getSavedAddress(customer, addressId) {
+  const id = parseAddressId(addressId);
+  const address = customer.addresses.find(a => a._id.equals(id));
+  if (!address) {
+    throw new AppError('Address not found', 404);
+  }
+  return Object.fromEntries(ADDRESS_FIELDS.map(field => [field, address[field]]));
+}
+
+module.exports = {
+  requestOtp,
+  registerCustomer,
+  loginWithOtp,
+  loginWithPassword,
+  authenticateCustomerToken,
+  updateProfile,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+  getSavedAddress,
+};
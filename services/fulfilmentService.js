@@ -0,0 +1,172 @@
+// services/fulfilmentService.js
+
+const { ObjectId } = require('mongodb');
+const { getDb } = require('../config/db');
+const { AppError } = require('../utils/errors');
+const { toCsv, parseCsv } = require('../utils/csv');
+const { MANIFEST_FORMATS } = require('./couriers/manifests');
+const { findOrderById, transitionOrderStatus } = require('./orderService');
+const { markOrderShipped } = require('./shipmentService');
+
+// Confirmed orders that have not left yet
+const TO_SHIP_STATUSES = ['confirmed', 'packed'];
+const MAX_EXPORT_ORDERS = 500;
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Header names couriers use for each column we read back, compared
+ * lower-case with spaces and punctuation removed
+ */
+const TRACKING_COLUMNS = {
+  orderId: ['orderid', 'order', 'referenceno', 'reference', 'referencenumber', 'channelorderid'],
+  trackingId: ['trackingid', 'trackingnumber', 'awb', 'awbno', 'awbnumber', 'awbcode', 'waybill'],
+  courier: ['courier', 'couriername', 'couriercompany'],
+  trackingUrl: ['trackingurl', 'trackinglink'],
+};
+
+/**
+ * Orders waiting to be shipped, oldest first. `orderIds` picks specific
+ * orders; otherwise `from`/`to` limit by order date.
+ */
+async function findOrdersToShip({ orderIds = null, from = null, to = null, paymentMethod = null } = {}) {
+  const query = { status: { $in: TO_SHIP_STATUSES } };
+  if (orderIds) {
+    const invalid = orderIds.filter(id => !ObjectId.isValid(id) || String(id).length !== 24);
+    if (invalid.length > 0) {
+      throw new AppError('Invalid order id', 400, { invalidIds: invalid });
+    }
+    query._id = { $in: orderIds.map(id => new ObjectId(id)) };
+  }
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+  if (paymentMethod) query.paymentMethod = paymentMethod;
+
+  return getDb().collection('orders')
+    .find(query)
+    .sort({ createdAt: 1 })
+    .limit(MAX_EXPORT_ORDERS)
+    .toArray();
+}
+
+/**
+ * Bulk upload CSV for a courier, in one of MANIFEST_FORMATS
+ */
+function buildManifest(orders, format) {
+  const layout = MANIFEST_FORMATS[format];
+  if (!layout) {
+    throw new AppError(`Format must be one of: ${Object.keys(MANIFEST_FORMATS).join(', ')}`, 400);
+  }
+  return toCsv(orders.flatMap(layout.rowsFor), layout.columns);
+}
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Index of each known column in the header row, or -1
+ */
+function findTrackingColumns(header) {
+  const normalized = header.map(normalizeHeader);
+  return Object.fromEntries(Object.entries(TRACKING_COLUMNS).map(([field, names]) => (
+    [field, normalized.findIndex(name => names.includes(name))]
+  )));
+}
+
+/**
+ * Ship one order from an import row. Confirmed orders are packed on the way.
+ */
+async function shipFromImport({ orderId, trackingId, courier, trackingUrl }, by) {
+  const order = await findOrderById(orderId);
+  if (order.shipment && order.shipment.trackingId === trackingId) {
+    return { skipped: `Already shipped with ${trackingId}` };
+  }
+  if (order.status === 'confirmed') {
+    await transitionOrderStatus(order._id, 'packed', { note: 'Packed for bulk shipment', by });
+  }
+  await markOrderShipped(order._id, {
+    courier,
+    trackingId,
+    trackingUrl: trackingUrl || undefined,
+    note: `Shipped with ${courier} (${trackingId}), bulk import`,
+    by,
+  });
+  return { shipped: true };
+}
+
+/**
+ * Attach tracking ids from a courier's CSV to the orders and mark them
+ * shipped. Rows are handled one by one; a bad row is reported and does not
+ * stop the rest. `courier` is used for rows without a courier column.
+ */
+async function importTracking(csvText, { courier: defaultCourier = null, by = null } = {}) {
+  const [header, ...rows] = parseCsv(csvText);
+  if (!header || rows.length === 0) {
+    throw new AppError('The CSV has no rows', 400);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(`Import at most ${MAX_IMPORT_ROWS} rows at a time`, 400);
+  }
+
+  const columns = findTrackingColumns(header);
+  if (columns.orderId === -1 || columns.trackingId === -1) {
+    throw new AppError('The CSV needs an order id column and a tracking id column', 400, {
+      orderIdColumns: TRACKING_COLUMNS.orderId,
+      trackingIdColumns: TRACKING_COLUMNS.trackingId,
+    });
+  }
+  if (columns.courier === -1 && !defaultCourier) {
+    throw new AppError('The CSV has no courier column; pass the courier name', 400);
+  }
+
+  const cell = (row, field) => (columns[field] === -1 ? '' : String(row[columns[field]] || '').trim());
+  const result = { shipped: [], skipped: [], failed: [] };
+  // Item-level sheets repeat the order on several rows
+  const seen = new Map();
+
+  for (const [index, row] of rows.entries()) {
+    const line = index + 2;
+    const entry = {
+      orderId: cell(row, 'orderId'),
+      trackingId: cell(row, 'trackingId'),
+      courier: cell(row, 'courier') || defaultCourier,
+      trackingUrl: cell(row, 'trackingUrl'),
+    };
+
+    if (!entry.orderId || !entry.trackingId) {
+      result.skipped.push({ row: line, orderId: entry.orderId || null, reason: 'No order id or tracking id' });
+      continue;
+    }
+    if (seen.has(entry.orderId)) {
+      if (seen.get(entry.orderId) !== entry.trackingId) {
+        result.failed.push({ row: line, orderId: entry.orderId, error: 'The order has another tracking id on an earlier row' });
+      }
+      continue;
+    }
+    seen.set(entry.orderId, entry.trackingId);
+
+    try {
+      const outcome = await shipFromImport(entry, by);
+      if (outcome.skipped) {
+        result.skipped.push({ row: line, orderId: entry.orderId, reason: outcome.skipped });
+      } else {
+        result.shipped.push({ row: line, orderId: entry.orderId, courier: entry.courier, trackingId: entry.trackingId });
+      }
+    } catch (error) {
+      result.failed.push({ row: line, orderId: entry.orderId, error: error.message });
+    }
+  }
+
+  console.log(`📦 Tracking import: ${result.shipped.length} shipped, ${result.skipped.length} skipped, ${result.failed.length} failed`);
+  return result;
+}
+
+module.exports = {
+  TO_SHIP_STATUSES,
+  findOrdersToShip,
+  buildManifest,
+  importTracking,
+};
@@ -0,0 +1,110 @@
+// services/healthService.js
+
+const { pingDatabase } = require('../config/db');
+const whatsappService = require('../controllers/whatsappController');
+const { getChannel, getChannelNames } = require('./channels');
+
+const DB_CHECK_TIMEOUT_MS = 2000;
+
+// Set once the database is connected, cleared when shutdown begins
+let acceptingTraffic = false;
+let shuttingDown = false;
+
+function markReady() {
+  acceptingTraffic = true;
+}
+
+function markShuttingDown() {
+  shuttingDown = true;
+  acceptingTraffic = false;
+}
+
+function isShuttingDown() {
+  return shuttingDown;
+}
+
+async function checkDatabase() {
+  const started = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      pingDatabase(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer in ${DB_CHECK_TIMEOUT_MS} ms`)), DB_CHECK_TIMEOUT_MS);
+      }),
+    ]);
+    return { status: 'up', latencyMs: Date.now() - started };
+  } catch (error) {
+    return { status: 'down', error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * WhatsApp session state from getStatus, without the linked account details
+ */
+async function checkWhatsApp() {
+  const { isReady, state, qrAvailable, disconnectedSince, reconnectAttempts, nextReconnectAt } = await whatsappService.getStatus();
+  return {
+    status: isReady ? 'up' : 'down',
+    state,
+    qrAvailable,
+    disconnectedSince,
+    reconnectAttempts,
+    nextReconnectAt,
+  };
+}
+
+/**
+ * Which integrations have their credentials set. Values are never shown.
+ */
+function checkConfiguration() {
+  const channels = Object.fromEntries(getChannelNames().map(name => {
+    const channel = getChannel(name);
+    return [name, { configured: channel.isConfigured(), ready: channel.isConfigured() && channel.isReady() }];
+  }));
+
+  // Razorpay keys need no check: config/razorpay refuses to load without them
+  return {
+    razorpay: {
+      webhookSecret: !!process.env.RAZORPAY_WEBHOOK_SECRET,
+    },
+    twilio: {
+      configured: !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_PHONE_NUMBER),
+    },
+    channels,
+  };
+}
+
+/**
+ * Full report, for admins only: it shows session state and which secrets are
+ * set. The server is ready while it takes traffic and MongoDB answers;
+ * WhatsApp being down only degrades it, as the outbox retries.
+ */
+async function getHealthReport() {
+  const [database, whatsapp] = await Promise.all([checkDatabase(), checkWhatsApp()]);
+  const configuration = checkConfiguration();
+
+  const ready = acceptingTraffic && database.status === 'up';
+  const degraded = whatsapp.status !== 'up' || !configuration.razorpay.webhookSecret || !configuration.twilio.configured;
+
+  let status = 'ok';
+  if (shuttingDown) status = 'shutting_down';
+  else if (!ready) status = 'unavailable';
+  else if (degraded) status = 'degraded';
+
+  return {
+    status,
+    ready,
+    uptimeSeconds: Math.round(process.uptime()),
+    checks: { database, whatsapp, configuration },
+  };
+}
+
+module.exports = {
+  markReady,
+  markShuttingDown,
+  isShuttingDown,
+  getHealthReport,
+};
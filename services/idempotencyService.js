@@ -0,0 +1,86 @@
+// services/idempotencyService.js
+
+const crypto = require('crypto');
+const { getDb } = require('../config/db');
+const { AppError } = require('../utils/errors');
+
+// How long a key and its stored response are kept
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+// A key still "processing" after this long belongs to a request that died
+const LOCK_SECONDS = 60;
+const MAX_KEY_LENGTH = 255;
+
+function hashRequest(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body ?? null)).digest('hex');
+}
+
+/**
+ * Claim an idempotency key for a request. Returns `{ replay }` with the
+ * stored response when the key was already used for the same request, or
+ * `{ replay: null }` when the caller should go ahead and handle it.
+ */
+async function beginRequest(scope, key, body) {
+  if (typeof key !== 'string' || !key.trim() || key.length > MAX_KEY_LENGTH) {
+    throw new AppError(`Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`, 400);
+  }
+
+  const keys = getDb().collection('idempotency_keys');
+  const requestHash = hashRequest(body);
+  const now = new Date();
+
+  try {
+    await keys.insertOne({
+      scope,
+      key,
+      requestHash,
+      status: 'processing',
+      lockedAt: now,
+      expiresAt: new Date(now.getTime() + KEY_TTL_HOURS * 60 * 60 * 1000),
+      createdAt: now,
+    });
+    return { replay: null };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await keys.findOne({ scope, key });
+  if (!existing) {
+    // Expired between the insert and the lookup; treat as a fresh key
+    return beginRequest(scope, key, body);
+  }
+  if (existing.requestHash !== requestHash) {
+    throw new AppError('Idempotency-Key was already used with a different request', 422);
+  }
+  if (existing.status === 'completed') {
+    return { replay: existing.response };
+  }
+
+  // Take over a key whose first request never finished
+  const taken = await keys.findOneAndUpdate(
+    { _id: existing._id, status: 'processing', lockedAt: { $lt: new Date(now.getTime() - LOCK_SECONDS * 1000) } },
+    { $set: { lockedAt: now } }
+  );
+  if (!taken) {
+    throw new AppError('A request with this Idempotency-Key is still being processed', 409);
+  }
+  return { replay: null };
+}
+
+/**
+ * Store the response so later requests with the same key get it back
+ */
+async function completeRequest(scope, key, response) {
+  await getDb().collection('idempotency_keys').updateOne(
+    { scope, key },
+    { $set: { status: 'completed', response, completedAt: new Date() } }
+  );
+}
+
+/**
+ * Forget a key whose request failed, so the client can retry with it
+ */
+async function releaseRequest(scope, key) {
+  await getDb().collection('idempotency_keys').deleteOne({ scope, key, status: 'processing' });
+}
+
+module.exports = { beginRequest, completeRequest, releaseRequest };
@@ -0,0 +1,209 @@
+// services/inventoryService.js
+
+const { getDb } = require('../config/db');
+const { AppError } = require('../utils/errors');
+const { sendLowStockNotifications } = require('./notificationService');
+
+// How long a prepaid checkout may hold stock before it is released
+const RESERVATION_MINUTES = parseInt(process.env.STOCK_RESERVATION_MINUTES, 10) || 30;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD, 10) || 5;
+
+let sweepTimer = null;
+let sweepRun = null;
+
+/**
+ * Atomically take stock for every line, rolling back on the first shortage.
+ * Throws a 409 AppError listing every line that cannot be filled.
+ */
+async function decrementStock(items) {
+  const db = getDb();
+  const books = db.collection('books');
+  const taken = [];
+  let failed = false;
+
+  const updatedBooks = [];
+
+  for (const item of items) {
+    const book = await books.findOneAndUpdate(
+      { _id: item.bookId, active: true, stock: { $gte: item.quantity } },
+      { $inc: { stock: -item.quantity }, $set: { updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (book) {
+      taken.push(item);
+      updatedBooks.push({ book, taken: item.quantity });
+    } else {
+      failed = true;
+      break;
+    }
+  }
+
+  if (!failed) {
+    await alertLowStock(updatedBooks);
+    return;
+  }
+
+  await incrementStock(taken);
+
+  // Report every short line, not just the first one we hit
+  const stored = await books
+    .find({ _id: { $in: items.map(item => item.bookId) } })
+    .project({ stock: 1 })
+    .toArray();
+  const stockById = new Map(stored.map(book => [book._id.toString(), book.stock || 0]));
+
+  const outOfStock = items
+    .filter(item => (stockById.get(item.bookId.toString()) || 0) < item.quantity)
+    .map(item => ({
+      bookId: item.bookId,
+      name: item.name,
+      requested: item.quantity,
+      available: stockById.get(item.bookId.toString()) || 0,
+    }));
+
+  throw new AppError('Some items are out of stock', 409, { outOfStock });
+}
+
+/**
+ * Alert admins about books whose stock just dropped to the threshold or below.
+ * Only the sale that crosses the line alerts, so later sales don't repeat it.
+ */
+async function alertLowStock(updatedBooks) {
+  for (const { book, taken } of updatedBooks) {
+    if (book.stock <= LOW_STOCK_THRESHOLD && book.stock + taken > LOW_STOCK_THRESHOLD) {
+      try {
+        await sendLowStockNotifications(book);
+      } catch (error) {
+        console.error(`❌ Could not send low stock alert for ${book.title}:`, error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Put stock back for the given lines
+ */
+async function incrementStock(items) {
+  const books = getDb().collection('books');
+  for (const item of items) {
+    await books.updateOne(
+      { _id: item.bookId },
+      { $inc: { stock: item.quantity }, $set: { updatedAt: new Date() } }
+    );
+  }
+}
+
+/**
+ * Hold stock for a prepaid checkout until payment is verified or the hold expires
+ */
+async function reserveStock(razorpayOrderId, items) {
+  await decrementStock(items);
+
+  // Without a reservation the sweeper would never give the stock back
+  const now = new Date();
+  try {
+    await getDb().collection('stock_reservations').insertOne({
+      razorpayOrderId,
+      items: items.map(({ bookId, quantity }) => ({ bookId, quantity })),
+      status: 'held',
+      expiresAt: new Date(now.getTime() + RESERVATION_MINUTES * 60 * 1000),
+      createdAt: now,
+    });
+  } catch (error) {
+    await incrementStock(items);
+    throw error;
+  }
+}
+
+/**
+ * Turn a held reservation into a sale. If the hold already lapsed, try to
+ * take the stock again. Returns the out-of-stock lines when that fails.
+ */
+async function commitReservation(razorpayOrderId, items) {
+  const reservation = await getDb().collection('stock_reservations').findOneAndUpdate(
+    { razorpayOrderId, status: 'held' },
+    { $set: { status: 'committed', committedAt: new Date() } }
+  );
+
+  if (reservation) {
+    return { committed: true };
+  }
+
+  try {
+    await decrementStock(items);
+    return { committed: true };
+  } catch (error) {
+    if (error instanceof AppError && error.status === 409) {
+      return { committed: false, outOfStock: error.details.outOfStock };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Give back stock held by a reservation that will not be paid
+ */
+async function releaseReservation(razorpayOrderId) {
+  const reservation = await getDb().collection('stock_reservations').findOneAndUpdate(
+    { razorpayOrderId, status: 'held' },
+    { $set: { status: 'released', releasedAt: new Date() } }
+  );
+
+  if (reservation) {
+    await incrementStock(reservation.items);
+  }
+  return !!reservation;
+}
+
+/**
+ * Release every reservation whose hold window has passed
+ */
+async function releaseExpiredReservations() {
+  const expired = await getDb().collection('stock_reservations')
+    .find({ status: 'held', expiresAt: { $lte: new Date() } })
+    .project({ razorpayOrderId: 1 })
+    .toArray();
+
+  let released = 0;
+  for (const { razorpayOrderId } of expired) {
+    if (await releaseReservation(razorpayOrderId)) released++;
+  }
+
+  if (released > 0) {
+    console.log(`📦 Released ${released} expired stock reservation(s)`);
+  }
+  return released;
+}
+
+function startReservationSweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    sweepRun = releaseExpiredReservations().catch(error => {
+      console.error('❌ Error releasing expired reservations:', error.message);
+    });
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+/**
+ * Stop the timer. A sweep already under way finishes first.
+ */
+async function stopReservationSweeper() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+  await sweepRun;
+}
+
+module.exports = {
+  RESERVATION_MINUTES,
+  decrementStock,
+  incrementStock,
+  reserveStock,
+  commitReservation,
+  releaseReservation,
+  releaseExpiredReservations,
+  startReservationSweeper,
+  stopReservationSweeper,
+};
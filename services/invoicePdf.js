@@ -0,0 +1,152 @@
+// services/invoicePdf.js
+
+const PDFDocument = require('pdfkit');
+
+const MARGIN = 40;
+const PAGE_WIDTH = 595.28; // A4
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+// The built-in PDF fonts have no rupee sign
+function formatAmount(amount) {
+  return `Rs. ${Number(amount || 0).toFixed(2)}`;
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' });
+}
+
+const PAYMENT_METHOD_LABELS = {
+  prepaid: 'Prepaid (online)',
+  cod: 'Cash on delivery',
+};
+
+/**
+ * Table columns; the tax columns depend on whether the sale is within the state
+ */
+function tableColumns(intraState) {
+  const taxColumns = intraState
+    ? [{ label: 'CGST', width: 44, value: line => line.cgst }, { label: 'SGST', width: 44, value: line => line.sgst }]
+    : [{ label: 'IGST', width: 88, value: line => line.igst }];
+
+  return [
+    { label: 'Item', width: 120, value: line => line.description, text: true },
+    { label: 'HSN/SAC', width: 44, value: line => line.hsn, text: true },
+    { label: 'Qty', width: 24, value: line => line.quantity, text: true },
+    { label: 'Rate', width: 50, value: line => line.unitPrice },
+    { label: 'Discount', width: 46, value: line => line.discount },
+    { label: 'Taxable', width: 52, value: line => line.taxableValue },
+    { label: 'GST %', width: 30, value: line => `${line.gstRate}%`, text: true },
+    ...taxColumns,
+    { label: 'Total', value: line => line.total },
+  ];
+}
+
+function drawRow(doc, columns, cells, y, { bold = false } = {}) {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+
+  // The last column takes whatever width is left
+  const used = columns.slice(0, -1).reduce((sum, column) => sum + column.width, 0);
+  let x = MARGIN;
+  let height = 0;
+  columns.forEach((column, index) => {
+    const width = index === columns.length - 1 ? CONTENT_WIDTH - used : column.width;
+    const options = { width: width - 4, align: index === 0 ? 'left' : 'right' };
+    doc.text(String(cells[index]), x + 2, y, options);
+    height = Math.max(height, doc.heightOfString(String(cells[index]), options));
+    x += width;
+  });
+  return y + height + 6;
+}
+
+/**
+ * Render a stored invoice as an A4 PDF
+ */
+function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: `Invoice ${invoice.number}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { seller, buyer, totals } = invoice;
+
+    // Seller
+    doc.font('Helvetica-Bold').fontSize(16).text(seller.name, MARGIN, MARGIN);
+    doc.font('Helvetica').fontSize(9);
+    if (seller.address) doc.text(seller.address);
+    doc.text(`State: ${seller.state}`);
+    doc.text(`GSTIN: ${seller.gstin}`);
+
+    doc.font('Helvetica-Bold').fontSize(14).text('TAX INVOICE', MARGIN, MARGIN, { align: 'right' });
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`Invoice no: ${invoice.number}`, { align: 'right' });
+    doc.text(`Date: ${formatDate(invoice.issuedAt)}`, { align: 'right' });
+    doc.text(`Order: ${invoice.orderId}`, { align: 'right' });
+
+    // Buyer
+    let y = 140;
+    doc.font('Helvetica-Bold').fontSize(10).text('Bill to', MARGIN, y);
+    doc.font('Helvetica').fontSize(9);
+    doc.text(buyer.name || '');
+    doc.text(buyer.address || '', { width: CONTENT_WIDTH / 2 });
+    if (buyer.phone) doc.text(`Phone: ${buyer.phone}`);
+    if (buyer.email) doc.text(`Email: ${buyer.email}`);
+    const buyerBottom = doc.y;
+
+    doc.font('Helvetica-Bold').fontSize(10).text('Place of supply', MARGIN + CONTENT_WIDTH / 2, y);
+    doc.font('Helvetica').fontSize(9);
+    doc.text(invoice.placeOfSupply || '', MARGIN + CONTENT_WIDTH / 2);
+    doc.text(`Payment: ${PAYMENT_METHOD_LABELS[invoice.paymentMethod] || invoice.paymentMethod}`, MARGIN + CONTENT_WIDTH / 2);
+    if (invoice.paymentId) doc.text(`Payment ID: ${invoice.paymentId}`, MARGIN + CONTENT_WIDTH / 2);
+    if (invoice.couponCode) doc.text(`Coupon: ${invoice.couponCode}`, MARGIN + CONTENT_WIDTH / 2);
+
+    // Lines
+    y = Math.max(buyerBottom, doc.y) + 15;
+    const columns = tableColumns(invoice.intraState);
+    doc.moveTo(MARGIN, y - 4).lineTo(MARGIN + CONTENT_WIDTH, y - 4).stroke();
+    y = drawRow(doc, columns, columns.map(column => column.label), y, { bold: true });
+    doc.moveTo(MARGIN, y - 4).lineTo(MARGIN + CONTENT_WIDTH, y - 4).stroke();
+
+    for (const line of invoice.lines) {
+      if (y > 760) {
+        doc.addPage();
+        y = MARGIN;
+      }
+      y = drawRow(doc, columns, columns.map(column => (
+        column.text ? column.value(line) : Number(column.value(line) || 0).toFixed(2)
+      )), y);
+    }
+    doc.moveTo(MARGIN, y - 4).lineTo(MARGIN + CONTENT_WIDTH, y - 4).stroke();
+
+    // Tax breakdown and total
+    const summary = [
+      ['Taxable value', totals.taxableValue],
+      ...(invoice.intraState
+        ? [['CGST', totals.cgst], ['SGST', totals.sgst]]
+        : [['IGST', totals.igst]]),
+      ...(totals.discount ? [['Discount included above', totals.discount]] : []),
+    ];
+    y += 6;
+    doc.font('Helvetica').fontSize(9);
+    for (const [label, amount] of summary) {
+      doc.text(label, MARGIN + CONTENT_WIDTH - 220, y, { width: 120 });
+      doc.text(formatAmount(amount), MARGIN + CONTENT_WIDTH - 100, y, { width: 100, align: 'right' });
+      y += 14;
+    }
+    doc.font('Helvetica-Bold').fontSize(11);
+    doc.text('Total', MARGIN + CONTENT_WIDTH - 220, y + 4, { width: 120 });
+    doc.text(formatAmount(totals.total), MARGIN + CONTENT_WIDTH - 100, y + 4, { width: 100, align: 'right' });
+
+    doc.font('Helvetica').fontSize(8).text(
+      'Prices include GST. This is a computer-generated invoice and needs no signature.',
+      MARGIN,
+      y + 40,
+      { width: CONTENT_WIDTH, align: 'center' }
+    );
+
+    doc.end();
+  });
+}
+
+module.exports = { renderInvoicePdf };
@@ -0,0 +1,252 @@
+// services/invoiceService.js
+
+const fs = require('fs');
+const path = require('path');
+const { getDb } = require('../config/db');
+const { INVOICE_CONFIG } = require('../config/invoice');
+const { AppError } = require('../utils/errors');
+const { toPaise, fromPaise } = require('../utils/money');
+const { renderInvoicePdf } = require('./invoicePdf');
+const { sendInvoiceNotification } = require('./notificationService');
+
+// Orders that have been sold, and so get a tax invoice
+const INVOICEABLE_STATUSES = ['confirmed', 'packed', 'shipped', 'delivered', 'returned'];
+// Issuing takes well under a second; a claim older than this was abandoned
+const CLAIM_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Indian financial year of a date, e.g. "2026-27" for 19 Oct 2026
+ */
+function financialYear(date) {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Next invoice number in the financial year. Numbers never repeat and run
+ * without gaps as long as issuing does not fail half way.
+ */
+async function nextInvoiceNumber(issuedAt) {
+  const year = financialYear(issuedAt);
+  const counter = await getDb().collection('counters').findOneAndUpdate(
+    { _id: `invoice:${year}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return {
+    number: `${INVOICE_CONFIG.prefix}/${year}/${String(counter.seq).padStart(5, '0')}`,
+    financialYear: year,
+    seq: counter.seq,
+  };
+}
+
+/**
+ * Split the GST inside a GST-inclusive amount (in paise). Within the seller's
+ * state it is half CGST, half SGST; across states it is all IGST.
+ */
+function splitTax(grossPaise, gstRate, intraState) {
+  const taxablePaise = Math.round((grossPaise * 100) / (100 + gstRate));
+  const taxPaise = grossPaise - taxablePaise;
+  const cgstPaise = intraState ? Math.floor(taxPaise / 2) : 0;
+  const sgstPaise = intraState ? taxPaise - cgstPaise : 0;
+  const igstPaise = intraState ? 0 : taxPaise;
+
+  return { taxablePaise, cgstPaise, sgstPaise, igstPaise };
+}
+
+function rateFor(item) {
+  return INVOICE_CONFIG.categoryRates[String(item.category || '').toLowerCase()] || INVOICE_CONFIG.goods;
+}
+
+/**
+ * Invoice lines for an order: one per book, then shipping and the COD fee.
+ * A coupon discount is spread over the books in proportion to their value.
+ */
+function buildLines(order, intraState) {
+  const items = order.items || [];
+  const discountPaise = toPaise(order.discount ? order.discount.amount : 0);
+  const goodsPaise = items.reduce((sum, item) => sum + toPaise(item.price) * item.quantity, 0);
+
+  let allocatedPaise = 0;
+  const lines = items.map((item, index) => {
+    const grossPaise = toPaise(item.price) * item.quantity;
+    const lineDiscountPaise = index === items.length - 1
+      ? discountPaise - allocatedPaise
+      : Math.round((discountPaise * grossPaise) / (goodsPaise || 1));
+    allocatedPaise += lineDiscountPaise;
+
+    const { hsn, gstRate } = rateFor(item);
+    return {
+      description: item.name,
+      hsn,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      grossPaise,
+      discountPaise: lineDiscountPaise,
+      gstRate,
+    };
+  });
+
+  const { sac, gstRate } = INVOICE_CONFIG.services;
+  const charges = [['Shipping', order.shippingFee], ['Cash on delivery fee', order.codFee]];
+  for (const [description, amount] of charges) {
+    if (amount) {
+      lines.push({ description, hsn: sac, quantity: 1, unitPrice: amount, grossPaise: toPaise(amount), discountPaise: 0, gstRate });
+    }
+  }
+
+  return lines.map(({ grossPaise, discountPaise: lineDiscountPaise, ...line }) => {
+    const netPaise = grossPaise - lineDiscountPaise;
+    const tax = splitTax(netPaise, line.gstRate, intraState);
+    return {
+      ...line,
+      discount: fromPaise(lineDiscountPaise),
+      taxableValue: fromPaise(tax.taxablePaise),
+      cgst: fromPaise(tax.cgstPaise),
+      sgst: fromPaise(tax.sgstPaise),
+      igst: fromPaise(tax.igstPaise),
+      total: fromPaise(netPaise),
+    };
+  });
+}
+
+function sumLines(lines, field) {
+  return fromPaise(lines.reduce((sum, line) => sum + toPaise(line[field]), 0));
+}
+
+/**
+ * Find the invoice for an order, if one was issued
+ */
+async function findInvoiceForOrder(orderId) {
+  return getDb().collection('invoices').findOne({ orderId });
+}
+
+/**
+ * Issue the tax invoice for a sold order, or return the one already issued
+ */
+async function issueInvoice(order) {
+  const existing = await findInvoiceForOrder(order._id);
+  if (existing) return existing;
+
+  if (!INVOICE_CONFIG.seller.gstin) {
+    throw new AppError('Invoices cannot be issued until SELLER_GSTIN is set', 503);
+  }
+  if (!INVOICEABLE_STATUSES.includes(order.status)) {
+    throw new AppError(`No invoice for an order that is ${order.status}`, 409);
+  }
+
+  // Claim the order first so two requests cannot both use up a number.
+  // A claim left behind by a process that died mid-way is taken over.
+  const orders = getDb().collection('orders');
+  const now = new Date();
+  const claim = await orders.updateOne(
+    {
+      _id: order._id,
+      $or: [
+        { invoiceNumber: { $exists: false } },
+        { invoiceNumber: null, invoiceClaimedAt: { $not: { $gt: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } } },
+      ],
+    },
+    { $set: { invoiceNumber: null, invoiceClaimedAt: now } }
+  );
+  if (claim.modifiedCount === 0) {
+    const issued = await findInvoiceForOrder(order._id);
+    if (issued) return issued;
+    throw new AppError('The invoice for this order is still being generated', 409);
+  }
+
+  try {
+    const issuedAt = new Date();
+    const { number, financialYear: year, seq } = await nextInvoiceNumber(issuedAt);
+    const address = order.address || {};
+    const intraState = String(address.state || '').trim().toLowerCase() ===
+      String(INVOICE_CONFIG.seller.state).trim().toLowerCase();
+    const lines = buildLines(order, intraState);
+
+    const invoice = {
+      orderId: order._id,
+      number,
+      financialYear: year,
+      seq,
+      issuedAt,
+      seller: INVOICE_CONFIG.seller,
+      buyer: {
+        name: address.fullName,
+        address: [address.street, address.city, `${address.state} ${address.zipCode}`].filter(Boolean).join(', '),
+        state: address.state,
+        phone: address.phone,
+        email: address.email,
+      },
+      placeOfSupply: address.state,
+      intraState,
+      lines,
+      totals: {
+        discount: sumLines(lines, 'discount'),
+        taxableValue: sumLines(lines, 'taxableValue'),
+        cgst: sumLines(lines, 'cgst'),
+        sgst: sumLines(lines, 'sgst'),
+        igst: sumLines(lines, 'igst'),
+        total: sumLines(lines, 'total'),
+      },
+      couponCode: order.discount ? order.discount.code : null,
+      paymentMethod: order.paymentMethod,
+      paymentId: order.paymentId || null,
+      createdAt: issuedAt,
+    };
+
+    const result = await getDb().collection('invoices').insertOne(invoice);
+    await orders.updateOne(
+      { _id: order._id },
+      { $set: { invoiceNumber: number, updatedAt: new Date() }, $unset: { invoiceClaimedAt: '' } }
+    );
+    console.log(`🧾 Issued invoice ${number} for order ${order._id}`);
+    return { _id: result.insertedId, ...invoice };
+  } catch (error) {
+    await orders.updateOne(
+      { _id: order._id, invoiceNumber: null, invoiceClaimedAt: now },
+      { $unset: { invoiceNumber: '', invoiceClaimedAt: '' } }
+    );
+    // A claim taken over while this one was still running finished first
+    if (error.code === 11000) {
+      const issued = await findInvoiceForOrder(order._id);
+      if (issued) return issued;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Path of the invoice PDF, rendering it the first time it is needed
+ */
+async function getInvoicePdfPath(invoice) {
+  const filePath = path.join(INVOICE_CONFIG.directory, `${invoice.number.replace(/\//g, '-')}.pdf`);
+  if (!fs.existsSync(filePath)) {
+    await fs.promises.mkdir(INVOICE_CONFIG.directory, { recursive: true });
+    await fs.promises.writeFile(filePath, await renderInvoicePdf(invoice));
+  }
+  return filePath;
+}
+
+/**
+ * Issue the invoice for a newly confirmed order and queue it for the customer
+ * on WhatsApp. Never throws: a missing invoice must not fail the order.
+ */
+async function sendInvoiceForOrder(order) {
+  try {
+    const invoice = await issueInvoice(order);
+    const filePath = await getInvoicePdfPath(invoice);
+    return await sendInvoiceNotification(order, invoice, filePath);
+  } catch (error) {
+    console.error(`❌ Error sending invoice for order ${order._id}:`, error.message);
+    return { error: error.message };
+  }
+}
+
+module.exports = {
+  INVOICEABLE_STATUSES,
+  financialYear,
+  issueInvoice,
+  findInvoiceForOrder,
+  getInvoicePdfPath,
+  sendInvoiceForOrder,
+};
@@ -0,0 +1,126 @@
+// services/labelPdf.js
+
+const PDFDocument = require('pdfkit');
+const { INVOICE_CONFIG } = require('../config/invoice');
+const { itemCount, parcelWeightKg, codAmount } = require('./couriers/manifests');
+const { lastTenDigits } = require('../utils/phone');
+
+const MARGIN = 40;
+const PAGE_WIDTH = 595.28; // A4
+const PAGE_HEIGHT = 841.89;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+// The label fills the top half of the page, the packing slip the bottom
+const CUT_Y = PAGE_HEIGHT / 2;
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' });
+}
+
+function drawLabel(doc, order) {
+  const address = order.address || {};
+  const top = MARGIN;
+  const height = CUT_Y - MARGIN * 2;
+  doc.lineWidth(1.5).rect(MARGIN, top, CONTENT_WIDTH, height).stroke();
+
+  // Payment: the courier must know whether to collect cash
+  const cod = order.paymentMethod === 'cod';
+  doc.rect(MARGIN, top, CONTENT_WIDTH, 44).fillAndStroke(cod ? '#000000' : '#ffffff', '#000000');
+  doc.fillColor(cod ? '#ffffff' : '#000000').font('Helvetica-Bold').fontSize(20)
+    .text(cod ? `COD - COLLECT Rs. ${Number(codAmount(order)).toFixed(2)}` : 'PREPAID - DO NOT COLLECT CASH',
+      MARGIN, top + 12, { width: CONTENT_WIDTH, align: 'center' });
+  doc.fillColor('#000000');
+
+  const left = MARGIN + 12;
+  doc.font('Helvetica-Bold').fontSize(10).text('SHIP TO', left, top + 58);
+  doc.font('Helvetica-Bold').fontSize(16).text(address.fullName || '', left, top + 72, { width: CONTENT_WIDTH - 24, height: 20, ellipsis: true });
+  doc.font('Helvetica').fontSize(13).text(address.street || '', { width: CONTENT_WIDTH - 24, height: 64, ellipsis: true });
+  doc.text(`${address.city || ''}, ${address.state || ''}`);
+  doc.font('Helvetica-Bold').fontSize(22).text(`PIN ${address.zipCode || ''}`);
+  doc.font('Helvetica').fontSize(13).text(`Phone: ${lastTenDigits(address.phone)}`);
+
+  const bottom = top + height;
+  doc.moveTo(MARGIN, bottom - 90).lineTo(MARGIN + CONTENT_WIDTH, bottom - 90).stroke();
+  doc.font('Helvetica').fontSize(9);
+  doc.text(`Order: ${order._id}`, left, bottom - 82);
+  doc.text(`Date: ${formatDate(order.createdAt)}`);
+  doc.text(`Items: ${itemCount(order)}   Weight: ${parcelWeightKg(order)} kg`);
+  if (order.shipment) {
+    doc.text(`${order.shipment.courier}: ${order.shipment.trackingId}`);
+  }
+
+  const right = MARGIN + CONTENT_WIDTH / 2;
+  doc.font('Helvetica-Bold').fontSize(9).text('RETURN TO', right, bottom - 82, { width: CONTENT_WIDTH / 2 - 12 });
+  doc.font('Helvetica').text(INVOICE_CONFIG.seller.name, { width: CONTENT_WIDTH / 2 - 12 });
+  if (INVOICE_CONFIG.seller.address) {
+    doc.text(INVOICE_CONFIG.seller.address, { width: CONTENT_WIDTH / 2 - 12 });
+  }
+}
+
+function drawPackingSlip(doc, order) {
+  doc.lineWidth(0.5).dash(4, { space: 4 })
+    .moveTo(0, CUT_Y).lineTo(PAGE_WIDTH, CUT_Y).stroke()
+    .undash();
+
+  let y = CUT_Y + MARGIN;
+  doc.font('Helvetica-Bold').fontSize(14).text('PACKING SLIP', MARGIN, y);
+  doc.font('Helvetica').fontSize(9);
+  doc.text(`Order ${order._id}  -  ${formatDate(order.createdAt)}`, MARGIN, y, { width: CONTENT_WIDTH, align: 'right' });
+  doc.text(order.address?.fullName || '', MARGIN, y + 14, { width: CONTENT_WIDTH, align: 'right' });
+
+  y += 40;
+  const columns = [
+    { label: 'Packed', x: MARGIN, width: 40 },
+    { label: 'Book', x: MARGIN + 40, width: 300 },
+    { label: 'ISBN', x: MARGIN + 340, width: 120 },
+    { label: 'Qty', x: MARGIN + 460, width: CONTENT_WIDTH - 460 },
+  ];
+  doc.font('Helvetica-Bold').fontSize(9);
+  columns.forEach(column => doc.text(column.label, column.x, y, { width: column.width }));
+  y += 14;
+  doc.moveTo(MARGIN, y).lineTo(MARGIN + CONTENT_WIDTH, y).stroke();
+  y += 6;
+
+  doc.font('Helvetica').fontSize(10);
+  for (const item of order.items || []) {
+    if (y > PAGE_HEIGHT - MARGIN - 40) {
+      doc.text('Continued on the invoice', MARGIN, y);
+      break;
+    }
+    doc.rect(MARGIN + 4, y, 10, 10).stroke();
+    doc.text(item.name || '', columns[1].x, y, { width: columns[1].width });
+    const rowBottom = doc.y;
+    doc.text(item.isbn || '', columns[2].x, y, { width: columns[2].width });
+    doc.text(String(item.quantity || 1), columns[3].x, y, { width: columns[3].width });
+    y = Math.max(rowBottom, y + 12) + 6;
+  }
+
+  doc.moveTo(MARGIN, y).lineTo(MARGIN + CONTENT_WIDTH, y).stroke();
+  doc.font('Helvetica-Bold').fontSize(10).text(`Total books: ${itemCount(order)}`, MARGIN, y + 6);
+  if (order.invoiceNumber) {
+    doc.font('Helvetica').fontSize(9).text(`Invoice: ${order.invoiceNumber}`, MARGIN, y + 6, { width: CONTENT_WIDTH, align: 'right' });
+  }
+}
+
+/**
+ * Render one A4 page per order: the shipping label on top, a packing slip
+ * to cut off and put in the parcel below
+ */
+function renderShippingLabels(orders) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, autoFirstPage: false, info: { Title: 'Shipping labels' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    for (const order of orders) {
+      doc.addPage();
+      drawLabel(doc, order);
+      drawPackingSlip(doc, order);
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = { renderShippingLabels };
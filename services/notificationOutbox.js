@@ -0,0 +1,261 @@
+// services/notificationOutbox.js
+
+const { ObjectId } = require('mongodb');
+const { getDb } = require('../config/db');
+const { getChannel } = require('./channels');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_SECONDS = parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS, 10) || 30;
+const POLL_INTERVAL_MS = 5 * 1000;
+const BATCH_SIZE = 10;
+// A message stuck in "sending" this long is assumed to belong to a crashed worker
+const STALE_LOCK_MS = 5 * 60 * 1000;
+// Retry delay when a channel is still connecting; does not use up an attempt
+const NOT_READY_DELAY_MS = 30 * 1000;
+// How long a message is worth sending at all. Past this it is marked dead
+// rather than sent late, e.g. in a burst when WhatsApp is relinked after a day.
+const MAX_AGE_MINUTES = parseInt(process.env.NOTIFICATION_MAX_AGE_MINUTES, 10) || 24 * 60;
+const EVENT_MAX_AGE_MINUTES = {
+  // The cart may be paid or a later reminder due by then
+  checkout_reminder: 60,
+  whatsapp_disconnected: 60,
+};
+
+function getMaxAgeMs(event) {
+  return (EVENT_MAX_AGE_MINUTES[event] || MAX_AGE_MINUTES) * 60 * 1000;
+}
+
+let workerTimer = null;
+let workerRun = null;
+let running = false;
+
+/**
+ * Write a message to the outbox for the worker to deliver.
+ * `mediaPath` attaches a file, with the message as its caption (WhatsApp only).
+ * `expiresAt` fixes when it stops being worth sending (an OTP's own expiry);
+ * otherwise that is the event's maximum age from now.
+ */
+async function enqueueNotification({ channel, to, subject = null, message, mediaPath = null, event = null, orderId = null, expiresAt = null }) {
+  if (!getChannel(channel)) {
+    throw new Error(`Unknown notification channel "${channel}"`);
+  }
+
+  const now = new Date();
+  const notification = {
+    channel,
+    to,
+    subject,
+    message,
+    mediaPath,
+    event,
+    orderId,
+    status: 'pending',
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
+    nextAttemptAt: now,
+    expiresAt: expiresAt || new Date(now.getTime() + getMaxAgeMs(event)),
+    // A fixed expiry stays put on resend; a maximum age starts again
+    fixedExpiry: !!expiresAt,
+    lastError: null,
+    deliveryAttempts: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const result = await getDb().collection('notifications').insertOne(notification);
+  return { _id: result.insertedId, ...notification };
+}
+
+/**
+ * Exponential backoff: base, 2x base, 4x base, ...
+ */
+function getRetryDelayMs(attempts) {
+  return RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+}
+
+/**
+ * Claim the next due message so no other worker picks it up
+ */
+async function claimNext() {
+  const now = new Date();
+  return getDb().collection('notifications').findOneAndUpdate(
+    {
+      $or: [
+        { status: { $in: ['pending', 'retrying'] }, nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } },
+      ],
+    },
+    { $set: { status: 'sending', lockedAt: now, updatedAt: now } },
+    { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+  );
+}
+
+/**
+ * Try to deliver one message and record the outcome
+ */
+async function deliver(notification) {
+  const notifications = getDb().collection('notifications');
+  const now = new Date();
+
+  if (notification.expiresAt && notification.expiresAt <= now) {
+    await notifications.updateOne(
+      { _id: notification._id },
+      {
+        $set: {
+          status: 'dead',
+          lastError: 'Expired before it could be delivered',
+          nextAttemptAt: null,
+          lockedAt: null,
+          updatedAt: now,
+        },
+      }
+    );
+    console.warn(`⌛ Notification ${notification._id} (${notification.channel} to ${notification.to}) expired unsent`);
+    return 'expired';
+  }
+
+  const channel = getChannel(notification.channel);
+
+  if (channel && !channel.isReady()) {
+    await notifications.updateOne(
+      { _id: notification._id },
+      {
+        $set: {
+          status: notification.attempts > 0 ? 'retrying' : 'pending',
+          nextAttemptAt: new Date(now.getTime() + NOT_READY_DELAY_MS),
+          lockedAt: null,
+          updatedAt: now,
+        },
+      }
+    );
+    return 'deferred';
+  }
+
+  let result;
+  try {
+    if (!channel) {
+      throw new Error(`Unknown notification channel "${notification.channel}"`);
+    }
+    result = await channel.send(notification);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  const attempts = notification.attempts + 1;
+  const attempt = { at: now, success: !!result.success, error: result.success ? null : result.error || 'Unknown error' };
+
+  if (result.success) {
+    await notifications.updateOne(
+      { _id: notification._id },
+      {
+        $set: {
+          status: 'sent',
+          attempts,
+          deliveredAt: now,
+          providerMessageId: result.messageId || null,
+          lastError: null,
+          lockedAt: null,
+          updatedAt: now,
+        },
+        $push: { deliveryAttempts: attempt },
+      }
+    );
+    return 'sent';
+  }
+
+  const dead = attempts >= notification.maxAttempts;
+  await notifications.updateOne(
+    { _id: notification._id },
+    {
+      $set: {
+        status: dead ? 'dead' : 'retrying',
+        attempts,
+        lastError: attempt.error,
+        nextAttemptAt: dead ? null : new Date(now.getTime() + getRetryDelayMs(attempts)),
+        lockedAt: null,
+        updatedAt: now,
+      },
+      $push: { deliveryAttempts: attempt },
+    }
+  );
+
+  if (dead) {
+    console.error(`☠️ Notification ${notification._id} (${notification.channel} to ${notification.to}) gave up after ${attempts} attempts: ${attempt.error}`);
+  }
+  return dead ? 'dead' : 'retrying';
+}
+
+/**
+ * Deliver up to one batch of due messages
+ */
+async function processOutbox() {
+  if (running) return 0;
+  running = true;
+
+  let processed = 0;
+  try {
+    while (processed < BATCH_SIZE) {
+      const notification = await claimNext();
+      if (!notification) break;
+      await deliver(notification);
+      processed++;
+    }
+  } finally {
+    running = false;
+  }
+  return processed;
+}
+
+/**
+ * Put a failed or dead message back in the queue with a fresh attempt budget
+ * and, unless its expiry is fixed, a fresh maximum age. A message whose fixed
+ * expiry has passed (an old login code) cannot be resent.
+ */
+async function resendNotification(id) {
+  if (!ObjectId.isValid(id) || String(id).length !== 24) return null;
+
+  const notifications = getDb().collection('notifications');
+  const now = new Date();
+  const notification = await notifications.findOne({
+    _id: new ObjectId(id),
+    status: { $in: ['retrying', 'dead'] },
+    $or: [{ fixedExpiry: { $ne: true } }, { expiresAt: { $gt: now } }],
+  });
+  if (!notification) return null;
+
+  const expiresAt = notification.fixedExpiry
+    ? notification.expiresAt
+    : new Date(now.getTime() + getMaxAgeMs(notification.event));
+  return notifications.findOneAndUpdate(
+    { _id: notification._id, status: notification.status },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: now, expiresAt, lockedAt: null, updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+}
+
+function startNotificationWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(() => {
+    workerRun = processOutbox().catch(error => {
+      console.error('❌ Error processing notification outbox:', error.message);
+    });
+  }, POLL_INTERVAL_MS);
+  workerTimer.unref();
+}
+
+/**
+ * Stop the timer. Messages already being delivered finish first.
+ */
+async function stopNotificationWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+  await workerRun;
+}
+
+module.exports = {
+  enqueueNotification,
+  processOutbox,
+  resendNotification,
+  startNotificationWorker,
+  stopNotificationWorker,
+};
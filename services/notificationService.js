@@ -0,0 +1,176 @@
+// services/notificationService.js
+
+const { EVENT_CHANNELS, CHANNEL_CONTACT_FIELDS, getAdminRecipients } = require('../config/notifications');
+const { getChannel } = require('./channels');
+const { enqueueNotification } = require('./notificationOutbox');
+const { DEFAULT_LOCALE, renderTemplate, buildOrderVariables } = require('./templateService');
+
+/**
+ * Queue the `<event>_admin` template for every admin subscribed to the event,
+ * on each of that admin's channels except `skipChannels`
+ */
+async function notifyAdmins(event, variables, orderId = null, { skipChannels = [] } = {}) {
+  const results = {};
+
+  for (const recipient of getAdminRecipients(event)) {
+    results[recipient.name] = {};
+
+    for (const channelName of recipient.channels) {
+      const channel = getChannel(channelName);
+      const to = recipient[CHANNEL_CONTACT_FIELDS[channelName]];
+
+      if (!channel || !channel.isConfigured() || skipChannels.includes(channelName)) {
+        results[recipient.name][channelName] = 'Skipped';
+        continue;
+      }
+
+      const { subject, message } = await renderTemplate(`${event}_admin`, {
+        channel: channelName,
+        locale: DEFAULT_LOCALE,
+        variables,
+      });
+      await enqueueNotification({ channel: channelName, to, subject, message, event, orderId });
+      results[recipient.name][channelName] = 'Queued';
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Queue notifications for an order event: subscribed admins, plus the customer
+ * on every channel configured for the event, rendered in their locale
+ */
+async function dispatch(event, order, extraVariables = {}) {
+  const variables = buildOrderVariables(order, extraVariables);
+  const orderId = order._id || null;
+  const results = { admin: await notifyAdmins(event, variables, orderId) };
+
+  const customerChannels = EVENT_CHANNELS[event]?.customer || [];
+  if (customerChannels.length === 0) {
+    return results;
+  }
+
+  results.customer = {};
+  for (const channelName of customerChannels) {
+    const channel = getChannel(channelName);
+    const to = channel?.recipientFor(order.address);
+
+    if (!channel || !channel.isConfigured() || !to) {
+      results.customer[channelName] = 'Skipped';
+      continue;
+    }
+
+    const { subject, message } = await renderTemplate(`${event}_customer`, {
+      channel: channelName,
+      locale: order.locale,
+      variables,
+    });
+    await enqueueNotification({ channel: channelName, to, subject, message, event, orderId });
+    results.customer[channelName] = 'Queued';
+  }
+
+  return results;
+}
+
+/**
+ * Queue notifications for a new order.
+ * Delivery happens in the outbox worker, outside the request.
+ */
+async function sendNotifications(order) {
+  return dispatch('order_placed', order);
+}
+
+async function sendCancellationNotifications(order, refund, reason) {
+  const extraVariables = {
+    reason: reason || null,
+    refundAmount: refund ? refund.amount : null,
+  };
+  const results = await dispatch('order_cancelled', order, extraVariables);
+
+  // The customer hears about the refund in the cancellation message
+  if (refund) {
+    results.admin = await notifyAdmins('order_refunded', buildOrderVariables(order, extraVariables), order._id);
+  }
+  return results;
+}
+
+async function sendRefundNotifications(order, refund) {
+  return dispatch('order_refunded', order, { refundAmount: refund.amount });
+}
+
+async function sendShippedNotifications(order) {
+  const shipment = order.shipment || {};
+  return dispatch('order_shipped', order, {
+    courier: shipment.courier || null,
+    trackingId: shipment.trackingId || 'N/A',
+    trackingUrl: shipment.trackingUrl || null,
+  });
+}
+
+async function sendDeliveredNotifications(order) {
+  return dispatch('order_delivered', order, { feedbackUrl: process.env.FEEDBACK_URL || null });
+}
+
+async function sendPaymentFailedNotifications(order, reason) {
+  return dispatch('payment_failed', order, { reason: reason || null });
+}
+
+/**
+ * Tell subscribed admins a payment came in for an order that could not take
+ * it, and whether it was refunded
+ */
+async function sendStrayPaymentNotifications(order, payment) {
+  return notifyAdmins('stray_payment', buildOrderVariables(order, {
+    status: order.status,
+    strayPaymentId: payment.paymentId,
+    reason: payment.reason,
+    refundAmount: payment.refundAmount,
+    refundError: payment.refundError,
+    refundSkipped: payment.refundSkipped,
+  }), order._id);
+}
+
+/**
+ * Send the customer their invoice PDF on WhatsApp, captioned in their locale
+ */
+async function sendInvoiceNotification(order, invoice, mediaPath) {
+  const channel = getChannel('whatsapp');
+  const to = channel?.recipientFor(order.address);
+  if (!channel || !channel.isConfigured() || !to) {
+    return { customer: { whatsapp: 'Skipped' } };
+  }
+
+  const { message } = await renderTemplate('invoice_issued_customer', {
+    channel: 'whatsapp',
+    locale: order.locale,
+    variables: buildOrderVariables(order, { invoiceNumber: invoice.number }),
+  });
+  await enqueueNotification({ channel: 'whatsapp', to, message, mediaPath, event: 'invoice_issued', orderId: order._id });
+  return { customer: { whatsapp: 'Queued' } };
+}
+
+/**
+ * Tell subscribed admins a book is running out
+ */
+async function sendLowStockNotifications(book) {
+  return notifyAdmins('low_stock', {
+    title: book.title,
+    isbn: book.isbn || 'N/A',
+    stock: book.stock,
+  });
+}
+
+module.exports = {
+  dispatch,
+  notifyAdmins,
+  sendNotifications,
+  sendCancellationNotifications,
+  sendRefundNotifications,
+  sendShippedNotifications,
+  sendDeliveredNotifications,
+  sendPaymentFailedNotifications,
+  sendStrayPaymentNotifications,
+  sendInvoiceNotification,
+  sendLowStockNotifications,
+};
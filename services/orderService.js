@@ -0,0 +1,134 @@
+// services/orderService.js
+
+const { ObjectId } = require('mongodb');
+const { getDb } = require('../config/db');
+const { AppError } = require('../utils/errors');
+const { redeemCoupon, releaseCoupon } = require('./couponService');
+const { incrementStock, commitReservation, releaseReservation } = require('./inventoryService');
+
+/**
+ * Allowed order status transitions
+ */
+const ORDER_TRANSITIONS = {
+  pending_payment: ['confirmed', 'cancelled', 'expired'],
+  expired: ['confirmed'],
+  confirmed: ['packed', 'cancelled'],
+  packed: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: [],
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Load an order by id, throwing a 404 AppError when it does not exist
+ */
+async function findOrderById(orderId) {
+  if (!ObjectId.isValid(orderId) || String(orderId).length !== 24) {
+    throw new AppError('Invalid order id', 400);
+  }
+
+  const order = await getDb().collection('orders').findOne({ _id: new ObjectId(orderId) });
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+  return order;
+}
+
+/**
+ * Save Order to Database
+ */
+async function saveOrderToDatabase(orderData) {
+  const db = getDb();
+
+  const now = new Date();
+  const orderToSave = {
+    ...orderData,
+    statusHistory: [{ from: null, to: orderData.status, at: now, note: 'Order placed', by: null }],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    return await db.collection("orders").insertOne(orderToSave);
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('An order already exists for this payment', 409);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Move an order to a new status and record it in the status history.
+ * `extraFields` are set on the order in the same update.
+ */
+async function transitionOrderStatus(orderId, to, { note = null, by = null, extraFields = {} } = {}) {
+  const order = await findOrderById(orderId);
+
+  if (!canTransition(order.status, to)) {
+    throw new AppError(`Cannot move order from "${order.status}" to "${to}"`, 409, {
+      currentStatus: order.status,
+      allowedStatuses: ORDER_TRANSITIONS[order.status] || [],
+    });
+  }
+
+  const now = new Date();
+  const updated = await getDb().collection('orders').findOneAndUpdate(
+    // Match on the current status so concurrent updates cannot both win
+    { _id: order._id, status: order.status },
+    {
+      $set: { ...extraFields, status: to, updatedAt: now },
+      $push: { statusHistory: { from: order.status, to, at: now, note, by } },
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (!updated) {
+    throw new AppError('Order was updated by someone else, please retry', 409);
+  }
+
+  // Cancelled orders never leave the shelf, so their stock goes back.
+  // Unpaid orders only hold a reservation, which is released instead.
+  if (to === 'cancelled' && order.status === 'pending_payment') {
+    await releaseReservation(order.razorpayOrderId);
+  } else if (to === 'cancelled') {
+    await incrementStock(order.items.filter(item => item.bookId));
+  }
+
+  // A cancelled order gives its coupon use back
+  if (to === 'cancelled' && order.discount) {
+    await releaseCoupon(order.discount.code);
+  }
+
+  // An unpaid order confirmed by hand (e.g. paid offline) sells its stock:
+  // the held reservation, or stock taken again if expiry gave it back
+  if (to === 'confirmed' && ['pending_payment', 'expired'].includes(order.status)) {
+    const stock = await commitReservation(order.razorpayOrderId, order.items);
+    if (!stock.committed) {
+      console.warn(`⚠️ Order ${order._id} confirmed by hand is short on stock:`, stock.outOfStock);
+      await getDb().collection('orders').updateOne({ _id: order._id }, { $set: { stockShortfall: stock.outOfStock } });
+      updated.stockShortfall = stock.outOfStock;
+    }
+    if (order.status === 'expired' && order.discount) {
+      await redeemCoupon(order.discount.code, { ignoreLimit: true });
+    }
+  }
+
+  return updated;
+}
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  ORDER_STATUSES,
+  canTransition,
+  findOrderById,
+  saveOrderToDatabase,
+  transitionOrderStatus,
+};
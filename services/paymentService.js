@@ -0,0 +1,360 @@
+// services/paymentService.js
+
+const crypto = require('crypto');
+const { getDb } = require('../config/db');
+const razorpay = require('../config/razorpay');
+const { AppError } = require('../utils/errors');
+const { toPaise, fromPaise } = require('../utils/money');
+const { redeemCoupon, releaseCoupon } = require('./couponService');
+const { commitReservation, releaseReservation, RESERVATION_MINUTES } = require('./inventoryService');
+const { sendStrayPaymentNotifications } = require('./notificationService');
+
+const FINAL_REFUND_STATUSES = ['processed', 'failed'];
+const CONFIRMABLE_STATUSES = ['pending_payment', 'expired'];
+
+// How long a prepaid order may wait for its payment before it is expired
+const PENDING_ORDER_MINUTES = parseInt(process.env.PENDING_ORDER_MINUTES, 10) || RESERVATION_MINUTES;
+const EXPIRY_INTERVAL_MS = 5 * 60 * 1000;
+
+let expiryTimer = null;
+let expiryRun = null;
+
+/**
+ * Constant-time comparison of a hex HMAC against the expected value
+ */
+function signatureMatches(payload, signature, secret) {
+  if (!signature || !secret) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+
+  return expectedBuffer.length === signatureBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+/**
+ * Verify the signature the checkout returns to the browser
+ */
+function verifyCheckoutSignature(razorpayOrderId, razorpayPaymentId, signature) {
+  return signatureMatches(`${razorpayOrderId}|${razorpayPaymentId}`, signature, process.env.RAZORPAY_KEY_SECRET);
+}
+
+/**
+ * Verify the X-Razorpay-Signature header of a webhook call
+ */
+function verifyWebhookSignature(rawBody, signature) {
+  return signatureMatches(rawBody, signature, process.env.RAZORPAY_WEBHOOK_SECRET);
+}
+
+/**
+ * Confirm the pending order for a Razorpay order once its payment is captured.
+ * The browser verify call and the webhook both land here; only the first one
+ * flips the order, so `created` is true exactly once per payment.
+ * An expired order is still confirmed: the customer has paid for it.
+ * Carts paid through a checkout reminder are found by `paymentLinkId` instead.
+ */
+async function confirmPrepaidOrder({ razorpayOrderId, paymentLinkId = null, paymentId, amount, source }) {
+  const orders = getDb().collection('orders');
+
+  const pending = await orders.findOne(
+    paymentLinkId ? { 'recovery.paymentLinks.id': paymentLinkId } : { razorpayOrderId }
+  );
+  if (!pending || !CONFIRMABLE_STATUSES.includes(pending.status)) {
+    return { order: pending, created: false };
+  }
+
+  const expectedAmount = pending.amountPaise ?? toPaise(pending.total);
+  if (amount !== undefined && amount !== expectedAmount) {
+    throw new AppError('Payment amount does not match the order', 400, { expectedAmount, paidAmount: amount });
+  }
+
+  const now = new Date();
+  let order;
+  try {
+    order = await orders.findOneAndUpdate(
+      { _id: pending._id, status: pending.status },
+      {
+        $set: {
+          status: 'confirmed',
+          paymentId,
+          paidAt: now,
+          confirmedVia: source,
+          ...(paymentLinkId ? { 'recovery.paidLinkId': paymentLinkId } : {}),
+          updatedAt: now,
+        },
+        $push: {
+          statusHistory: { from: pending.status, to: 'confirmed', at: now, note: `Payment captured (${source})`, by: null },
+        },
+      },
+      { returnDocument: 'after' }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('This payment has already been used for another order', 409);
+    }
+    throw error;
+  }
+
+  if (!order) {
+    return { order: await orders.findOne({ _id: pending._id }), created: false };
+  }
+
+  // Expiry gave the coupon use back; the customer has now paid with it
+  if (pending.status === 'expired' && order.discount) {
+    await redeemCoupon(order.discount.code, { ignoreLimit: true });
+  }
+
+  // The customer has paid, so the order stands even if the hold lapsed
+  // and stock ran out in the meantime; the shortfall is flagged for staff
+  const stock = await commitReservation(pending.razorpayOrderId, order.items);
+  if (!stock.committed) {
+    console.warn(`⚠️ Paid order ${pending.razorpayOrderId} is short on stock:`, stock.outOfStock);
+    await orders.updateOne({ _id: order._id }, { $set: { stockShortfall: stock.outOfStock } });
+    order.stockShortfall = stock.outOfStock;
+  }
+
+  return { order, created: true };
+}
+
+/**
+ * Note a failed payment attempt. The customer may still retry on the same
+ * Razorpay order, so the order stays pending.
+ */
+async function recordPaymentFailure({ razorpayOrderId, paymentId, reason }) {
+  // Payments made outside a checkout (QR codes, direct links) have no order
+  if (!razorpayOrderId) {
+    return null;
+  }
+
+  return getDb().collection('orders').findOneAndUpdate(
+    { razorpayOrderId },
+    {
+      $push: { paymentFailures: { paymentId, reason, at: new Date() } },
+      $set: { updatedAt: new Date() },
+    },
+    { returnDocument: 'after' }
+  );
+}
+
+/**
+ * Create or update a refund entry on the order that owns the payment
+ */
+async function recordRefund({ paymentId, refundId, amount, status, reason }) {
+  const orders = getDb().collection('orders');
+  const now = new Date();
+  const details = reason ? { 'refunds.$.reason': reason } : {};
+
+  // Webhooks can arrive out of order; never move a refund back out of a final state
+  const updated = await orders.updateOne(
+    { paymentId, refunds: { $elemMatch: { refundId, status: { $nin: FINAL_REFUND_STATUSES } } } },
+    { $set: { ...details, 'refunds.$.status': status, 'refunds.$.amount': amount, 'refunds.$.updatedAt': now, updatedAt: now } }
+  );
+  if (updated.matchedCount === 1) return true;
+
+  const inserted = await orders.updateOne(
+    { paymentId, 'refunds.refundId': { $ne: refundId } },
+    {
+      $push: { refunds: { refundId, amount, status, reason: reason || null, createdAt: now, updatedAt: now } },
+      $set: { updatedAt: now },
+    }
+  );
+  if (inserted.matchedCount === 1) return true;
+
+  // Refunds of stray payments are tracked with the payment
+  const stray = await orders.updateOne(
+    { strayPayments: { $elemMatch: { paymentId, refundStatus: { $nin: FINAL_REFUND_STATUSES } } } },
+    {
+      $set: {
+        'strayPayments.$.refundId': refundId,
+        'strayPayments.$.refundAmount': amount,
+        'strayPayments.$.refundStatus': status,
+        updatedAt: now,
+      },
+    }
+  );
+  return stray.matchedCount === 1;
+}
+
+/**
+ * Amount of a prepaid order that has not been refunded yet
+ */
+function getRefundableAmount(order) {
+  const refundedPaise = (order.refunds || [])
+    .filter(refund => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + toPaise(refund.amount), 0);
+  return fromPaise(Math.max(toPaise(order.total) - refundedPaise, 0));
+}
+
+/**
+ * Refund all or part of a prepaid order through Razorpay.
+ * Defaults to whatever is still refundable.
+ */
+async function refundOrderPayment(order, { amount, reason } = {}) {
+  if (order.paymentMethod !== 'prepaid' || !order.paymentId) {
+    throw new AppError('Only paid prepaid orders can be refunded');
+  }
+
+  const refundable = getRefundableAmount(order);
+  const refundAmount = amount === undefined || amount === null ? refundable : Number(amount);
+
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+    throw new AppError('Refund amount must be a positive number');
+  }
+  if (refundAmount > refundable) {
+    throw new AppError('Refund amount exceeds what is left to refund', 400, { refundable });
+  }
+
+  let refund;
+  try {
+    refund = await razorpay.payments.refund(order.paymentId, {
+      amount: toPaise(refundAmount),
+      notes: { orderId: order._id.toString(), reason: reason || '' },
+    });
+  } catch (error) {
+    const message = error.error?.description || error.message;
+    throw new AppError(`Razorpay refund failed: ${message}`, 502);
+  }
+
+  const entry = {
+    paymentId: order.paymentId,
+    refundId: refund.id,
+    amount: fromPaise(refund.amount),
+    status: refund.status,
+    reason: reason || null,
+  };
+  await recordRefund(entry);
+  return entry;
+}
+
+/**
+ * Refund a captured payment the order will not take: the order was cancelled
+ * before the customer paid, it was already paid with another payment, or the
+ * amount is wrong (pass `reason`). With `skipRefund` set to why, the payment
+ * is only reported and left for staff to check.
+ * The payment is kept on the order under `strayPayments` and admins are told,
+ * including when Razorpay refuses the refund and it has to be done by hand.
+ * Verify and the webhook can both report the same payment; only the first
+ * one refunds it.
+ */
+async function refundStrayPayment(order, { paymentId, source, reason: givenReason = null, skipRefund = null }) {
+  const orders = getDb().collection('orders');
+  const reason = givenReason || (order.paymentId
+    ? `Order was already paid with ${order.paymentId}`
+    : `Order was ${order.status} before the payment arrived`);
+
+  const now = new Date();
+  const claimed = await orders.updateOne(
+    { _id: order._id, 'strayPayments.paymentId': { $ne: paymentId } },
+    {
+      $push: { strayPayments: { paymentId, reason, source, receivedAt: now, refundId: null, refundStatus: null } },
+      $set: { updatedAt: now },
+    }
+  );
+  if (claimed.modifiedCount === 0) {
+    const current = await orders.findOne({ _id: order._id });
+    return (current.strayPayments || []).find(payment => payment.paymentId === paymentId);
+  }
+
+  const entry = {
+    paymentId, reason, source, refundId: null, refundAmount: null, refundStatus: null, refundError: null, refundSkipped: skipRefund,
+  };
+  if (skipRefund) {
+    console.warn(`⚠️ Payment ${paymentId} for order ${order._id} not refunded: ${skipRefund}`);
+  } else {
+    try {
+      const refund = await razorpay.payments.refund(paymentId, {
+        notes: { orderId: order._id.toString(), reason },
+      });
+      Object.assign(entry, { refundId: refund.id, refundAmount: fromPaise(refund.amount), refundStatus: refund.status });
+      console.warn(`⚠️ Refunded payment ${paymentId} for order ${order._id}: ${reason}`);
+    } catch (error) {
+      entry.refundError = error.error?.description || error.message;
+      console.error(`❌ Could not refund payment ${paymentId} for order ${order._id}:`, entry.refundError);
+    }
+  }
+
+  await orders.updateOne(
+    { _id: order._id, 'strayPayments.paymentId': paymentId },
+    {
+      $set: {
+        'strayPayments.$.refundId': entry.refundId,
+        'strayPayments.$.refundAmount': entry.refundAmount,
+        'strayPayments.$.refundStatus': entry.refundStatus,
+        'strayPayments.$.refundError': entry.refundError,
+        'strayPayments.$.refundSkipped': entry.refundSkipped,
+      },
+    }
+  );
+  await sendStrayPaymentNotifications(order, entry);
+  return entry;
+}
+
+/**
+ * Expire prepaid orders that have waited too long for payment and release their stock
+ */
+async function expireStalePendingOrders() {
+  const orders = getDb().collection('orders');
+  const cutoff = new Date(Date.now() - PENDING_ORDER_MINUTES * 60 * 1000);
+
+  const stale = await orders
+    .find({ status: 'pending_payment', createdAt: { $lte: cutoff } })
+    .project({ razorpayOrderId: 1, discount: 1 })
+    .toArray();
+
+  let expired = 0;
+  for (const { _id, razorpayOrderId, discount } of stale) {
+    const now = new Date();
+    const updated = await orders.updateOne(
+      { _id, status: 'pending_payment' },
+      {
+        $set: { status: 'expired', updatedAt: now },
+        $push: { statusHistory: { from: 'pending_payment', to: 'expired', at: now, note: 'Payment not received', by: null } },
+      }
+    );
+
+    if (updated.modifiedCount === 1) {
+      await releaseReservation(razorpayOrderId);
+      if (discount) await releaseCoupon(discount.code);
+      expired++;
+    }
+  }
+
+  if (expired > 0) {
+    console.log(`⌛ Expired ${expired} unpaid order(s)`);
+  }
+  return expired;
+}
+
+function startPendingOrderExpiry() {
+  if (expiryTimer) return;
+  expiryTimer = setInterval(() => {
+    expiryRun = expireStalePendingOrders().catch(error => {
+      console.error('❌ Error expiring pending orders:', error.message);
+    });
+  }, EXPIRY_INTERVAL_MS);
+  expiryTimer.unref();
+}
+
+/**
+ * Stop the timer. An expiry run already under way finishes first.
+ */
+async function stopPendingOrderExpiry() {
+  clearInterval(expiryTimer);
+  expiryTimer = null;
+  await expiryRun;
+}
+
+module.exports = {
+  verifyCheckoutSignature,
+  verifyWebhookSignature,
+  confirmPrepaidOrder,
+  recordPaymentFailure,
+  recordRefund,
+  getRefundableAmount,
+  refundOrderPayment,
+  refundStrayPayment,
+  expireStalePendingOrders,
+  startPendingOrderExpiry,
+  stopPendingOrderExpiry,
+};
@@ -0,0 +1,82 @@
+// services/pricingService.js
+
+const { SHIPPING_CONFIG } = require('../config/shipping');
+const { AppError } = require('../utils/errors');
+const { toPaise, fromPaise } = require('../utils/money');
+const { priceItems } = require('./catalogService');
+const { applyCoupon } = require('./couponService');
+
+function normalizePincode(zipCode) {
+  return String(zipCode || '').replace(/\D/g, '');
+}
+
+/**
+ * Shipping zone for an address: longest matching pincode prefix,
+ * then state, then the fallback zone
+ */
+function findShippingZone(address) {
+  const pincode = normalizePincode(address?.zipCode);
+  const state = String(address?.state || '').trim().toLowerCase();
+
+  let best = null;
+  let bestLength = 0;
+  for (const zone of SHIPPING_CONFIG.zones) {
+    for (const prefix of zone.pincodePrefixes) {
+      if (pincode.startsWith(prefix) && prefix.length > bestLength) {
+        best = zone;
+        bestLength = prefix.length;
+      }
+    }
+  }
+  if (best) return best;
+
+  return SHIPPING_CONFIG.zones.find(zone => state && zone.states.includes(state)) ||
+    SHIPPING_CONFIG.zones.find(zone => zone.pincodePrefixes.length === 0 && zone.states.length === 0);
+}
+
+function isCodAvailable(address) {
+  const pincode = normalizePincode(address?.zipCode);
+  return !SHIPPING_CONFIG.codBlockedPincodes.some(blocked => pincode.startsWith(blocked));
+}
+
+/**
+ * Full price breakdown for a cart: catalog prices, coupon, shipping by zone
+ * and the COD surcharge. createOrder stores these figures and the quote
+ * endpoint shows them before checkout.
+ */
+async function priceOrder({ items, address, paymentMethod, couponCode = null, customerId = null }) {
+  const { items: pricedItems, total: subtotal } = await priceItems(items);
+  const discount = couponCode
+    ? await applyCoupon(couponCode, { items: pricedItems, subtotal, customerId, phone: address?.phone || null })
+    : null;
+  const goodsTotal = fromPaise(toPaise(subtotal) - toPaise(discount ? discount.amount : 0));
+
+  const zone = findShippingZone(address);
+  const freeShipping = SHIPPING_CONFIG.freeShippingThreshold !== null &&
+    goodsTotal >= SHIPPING_CONFIG.freeShippingThreshold;
+  const shippingFee = freeShipping ? 0 : zone.fee;
+
+  const codAvailable = isCodAvailable(address);
+  if (paymentMethod === 'cod' && !codAvailable) {
+    throw new AppError('Cash on delivery is not available for this pincode', 400, { codAvailable: false });
+  }
+  const codFee = paymentMethod === 'cod' ? SHIPPING_CONFIG.codFee : 0;
+
+  return {
+    items: pricedItems,
+    subtotal,
+    discount,
+    shippingZone: zone.name,
+    shippingFee,
+    codFee,
+    total: fromPaise(toPaise(goodsTotal) + toPaise(shippingFee) + toPaise(codFee)),
+    codAvailable,
+    freeShippingThreshold: SHIPPING_CONFIG.freeShippingThreshold,
+  };
+}
+
+module.exports = {
+  findShippingZone,
+  isCodAvailable,
+  priceOrder,
+};
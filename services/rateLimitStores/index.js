@@ -0,0 +1,38 @@
+// services/rateLimitStores/index.js
+
+const mongoStore = require('./mongoStore');
+const memoryStore = require('./memoryStore');
+
+/**
+ * A rate limit store looks like:
+ * {
+ *   name,
+ *   hit(key, windowMs) -> { count, resetAt }: count this request in the
+ *     current fixed window and return the total so far,
+ * }
+ */
+const stores = {
+  mongo: mongoStore,
+  memory: memoryStore,
+};
+
+let activeStore = stores[process.env.RATE_LIMIT_STORE || 'mongo'];
+if (!activeStore) {
+  throw new Error(`Unknown RATE_LIMIT_STORE "${process.env.RATE_LIMIT_STORE}"; use mongo or memory`);
+}
+
+function getRateLimitStore() {
+  return activeStore;
+}
+
+/**
+ * Swap the store, e.g. for a Redis-backed one
+ */
+function useRateLimitStore(store) {
+  activeStore = store;
+}
+
+module.exports = {
+  getRateLimitStore,
+  useRateLimitStore,
+};
@@ -0,0 +1,38 @@
+// services/rateLimitStores/memoryStore.js
+
+// Counters keyed by limit key and window start
+const counters = new Map();
+const SWEEP_INTERVAL_MS = 60 * 1000;
+let lastSweep = 0;
+
+/**
+ * Counters in this process only, for local runs and tests.
+ * With more than one server each keeps its own count.
+ */
+module.exports = {
+  name: 'memory',
+
+  async hit(key, windowMs) {
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const resetAt = new Date(windowStart + windowMs);
+
+    // Drop windows that have passed so the map does not grow forever
+    if (now - lastSweep > SWEEP_INTERVAL_MS) {
+      lastSweep = now;
+      for (const [counterKey, counter] of counters) {
+        if (counter.resetAt.getTime() <= now) counters.delete(counterKey);
+      }
+    }
+
+    const counterKey = `${key}:${windowStart}`;
+    const counter = counters.get(counterKey) || { count: 0, resetAt };
+    counter.count += 1;
+    counters.set(counterKey, counter);
+    return { count: counter.count, resetAt };
+  },
+
+  reset() {
+    counters.clear();
+  },
+};
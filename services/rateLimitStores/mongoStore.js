@@ -0,0 +1,24 @@
+// services/rateLimitStores/mongoStore.js
+
+const { getDb } = require('../../config/db');
+
+/**
+ * Counters in the `rate_limits` collection, shared by every server.
+ * A TTL index removes each window once it has passed.
+ */
+module.exports = {
+  name: 'mongo',
+
+  async hit(key, windowMs) {
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const resetAt = new Date(windowStart + windowMs);
+
+    const counter = await getDb().collection('rate_limits').findOneAndUpdate(
+      { _id: `${key}:${windowStart}` },
+      { $inc: { count: 1 }, $setOnInsert: { key, expiresAt: resetAt } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return { count: counter.count, resetAt };
+  },
+};
@@ -0,0 +1,230 @@
+// services/reportService.js
+
+const { getDb } = require('../config/db');
+const { fromPaise } = require('../utils/money');
+
+// Orders that count as sales; cancelled and returned orders brought no revenue
+const SOLD_STATUSES = ['confirmed', 'packed', 'shipped', 'delivered'];
+// Days, weeks and months are counted in shop time
+const REPORT_TIMEZONE = 'Asia/Kolkata';
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+};
+const INTERVALS = Object.keys(INTERVAL_FORMATS);
+
+function createdBetween({ from, to }) {
+  if (!from && !to) return {};
+  const createdAt = {};
+  if (from) createdAt.$gte = from;
+  if (to) createdAt.$lte = to;
+  return { createdAt };
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+// Order totals in whole paise, so sums of rupee fractions add up exactly:
+// the stored amountPaise, or the rupee total rounded to paise (COD orders)
+const totalPaise = { $ifNull: ['$amountPaise', { $round: [{ $multiply: ['$total', 100] }, 0] }] };
+
+function moneyFromPaise(paise) {
+  return fromPaise(Math.round(paise || 0));
+}
+
+/**
+ * Revenue, order count and average order value per day, ISO week or month
+ */
+async function getSalesReport({ from, to, interval = 'day' }) {
+  const rows = await getDb().collection('orders').aggregate([
+    { $match: { ...createdBetween({ from, to }), status: { $in: SOLD_STATUSES } } },
+    {
+      $group: {
+        _id: { $dateToString: { date: '$createdAt', format: INTERVAL_FORMATS[interval], timezone: REPORT_TIMEZONE } },
+        orders: { $sum: 1 },
+        revenuePaise: { $sum: totalPaise },
+        prepaidOrders: { $sum: { $cond: [{ $eq: ['$paymentMethod', 'prepaid'] }, 1, 0] } },
+        codOrders: { $sum: { $cond: [{ $eq: ['$paymentMethod', 'cod'] }, 1, 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]).toArray();
+
+  const periods = rows.map(row => ({
+    period: row._id,
+    orders: row.orders,
+    revenue: moneyFromPaise(row.revenuePaise),
+    averageOrderValue: moneyFromPaise(row.revenuePaise / row.orders),
+    prepaidOrders: row.prepaidOrders,
+    codOrders: row.codOrders,
+  }));
+
+  const orders = rows.reduce((sum, row) => sum + row.orders, 0);
+  const revenuePaise = rows.reduce((sum, row) => sum + row.revenuePaise, 0);
+
+  return {
+    interval,
+    rows: periods,
+    totals: {
+      orders,
+      revenue: moneyFromPaise(revenuePaise),
+      averageOrderValue: orders > 0 ? moneyFromPaise(revenuePaise / orders) : 0,
+    },
+  };
+}
+
+/**
+ * Sold orders and revenue split between prepaid and cash on delivery
+ */
+async function getPaymentMethodReport({ from, to }) {
+  const rows = await getDb().collection('orders').aggregate([
+    { $match: { ...createdBetween({ from, to }), status: { $in: SOLD_STATUSES } } },
+    { $group: { _id: '$paymentMethod', orders: { $sum: 1 }, revenuePaise: { $sum: totalPaise } } },
+    { $sort: { _id: 1 } },
+  ]).toArray();
+
+  const orders = rows.reduce((sum, row) => sum + row.orders, 0);
+  const revenuePaise = rows.reduce((sum, row) => sum + row.revenuePaise, 0);
+
+  return {
+    rows: rows.map(row => ({
+      paymentMethod: row._id,
+      orders: row.orders,
+      orderShare: percent(row.orders, orders),
+      revenue: moneyFromPaise(row.revenuePaise),
+      revenueShare: percent(row.revenuePaise, revenuePaise),
+      averageOrderValue: moneyFromPaise(row.revenuePaise / row.orders),
+    })),
+    totals: { orders, revenue: moneyFromPaise(revenuePaise) },
+  };
+}
+
+/**
+ * Best-selling books by copies sold
+ */
+async function getTopBooksReport({ from, to, limit = 10 }) {
+  const rows = await getDb().collection('orders').aggregate([
+    { $match: { ...createdBetween({ from, to }), status: { $in: SOLD_STATUSES } } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: { $ifNull: ['$items.bookId', '$items.name'] },
+        name: { $last: '$items.name' },
+        quantity: { $sum: '$items.quantity' },
+        orders: { $sum: 1 },
+        revenuePaise: { $sum: { $round: [{ $multiply: ['$items.price', '$items.quantity', 100] }, 0] } },
+      },
+    },
+    { $sort: { quantity: -1, revenuePaise: -1 } },
+    { $limit: limit },
+  ]).toArray();
+
+  return {
+    rows: rows.map((row, index) => ({
+      rank: index + 1,
+      bookId: row._id === row.name ? null : String(row._id),
+      name: row.name,
+      quantity: row.quantity,
+      orders: row.orders,
+      revenue: moneyFromPaise(row.revenuePaise),
+    })),
+  };
+}
+
+/**
+ * How cash-on-delivery orders ended up. Returned orders were refused at the
+ * door or sent back; cancelled ones never left.
+ */
+async function getCodOutcomeReport({ from, to }) {
+  const rows = await getDb().collection('orders').aggregate([
+    { $match: { ...createdBetween({ from, to }), paymentMethod: 'cod' } },
+    { $group: { _id: '$status', orders: { $sum: 1 }, valuePaise: { $sum: totalPaise } } },
+    { $sort: { orders: -1 } },
+  ]).toArray();
+
+  const count = status => rows.find(row => row._id === status)?.orders || 0;
+  const delivered = count('delivered');
+  const returned = count('returned');
+  const cancelled = count('cancelled');
+  const closed = delivered + returned + cancelled;
+  const orders = rows.reduce((sum, row) => sum + row.orders, 0);
+
+  return {
+    rows: rows.map(row => ({
+      status: row._id,
+      orders: row.orders,
+      share: percent(row.orders, orders),
+      value: moneyFromPaise(row.valuePaise),
+    })),
+    totals: {
+      orders,
+      delivered,
+      returned,
+      cancelled,
+      inProgress: orders - closed,
+      // Of the orders that reached the customer, the share sent back
+      returnRate: percent(returned, delivered + returned),
+      // Of the orders that are finished, the share that never turned into a sale
+      failureRate: percent(returned + cancelled, closed),
+    },
+  };
+}
+
+/**
+ * Delivery success of queued notifications per channel and event.
+ * Messages still pending or retrying count as neither delivered nor failed.
+ */
+async function getNotificationReport({ from, to }) {
+  const rows = await getDb().collection('notifications').aggregate([
+    { $match: createdBetween({ from, to }) },
+    {
+      $group: {
+        _id: { channel: '$channel', event: '$event' },
+        total: { $sum: 1 },
+        sent: { $sum: { $cond: [{ $eq: ['$status', 'sent'] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ['$status', 'dead'] }, 1, 0] } },
+        attempts: { $sum: '$attempts' },
+      },
+    },
+    { $sort: { '_id.channel': 1, '_id.event': 1 } },
+  ]).toArray();
+
+  const byChannel = {};
+  for (const row of rows) {
+    const channel = byChannel[row._id.channel] || { channel: row._id.channel, total: 0, sent: 0, failed: 0 };
+    channel.total += row.total;
+    channel.sent += row.sent;
+    channel.failed += row.failed;
+    byChannel[row._id.channel] = channel;
+  }
+
+  return {
+    rows: rows.map(row => ({
+      channel: row._id.channel,
+      event: row._id.event || null,
+      total: row.total,
+      sent: row.sent,
+      failed: row.failed,
+      inQueue: row.total - row.sent - row.failed,
+      successRate: percent(row.sent, row.sent + row.failed),
+      averageAttempts: row.total > 0 ? Math.round((row.attempts / row.total) * 10) / 10 : 0,
+    })),
+    totals: Object.values(byChannel).map(channel => ({
+      ...channel,
+      inQueue: channel.total - channel.sent - channel.failed,
+      successRate: percent(channel.sent, channel.sent + channel.failed),
+    })),
+  };
+}
+
+module.exports = {
+  INTERVALS,
+  SOLD_STATUSES,
+  getSalesReport,
+  getPaymentMethodReport,
+  getTopBooksReport,
+  getCodOutcomeReport,
+  getNotificationReport,
+};
@@ -0,0 +1,93 @@
+// services/shipmentService.js
+
+const { getDb } = require('../config/db');
+const { AppError } = require('../utils/errors');
+const { getCourier } = require('./couriers');
+const { findOrderById, transitionOrderStatus } = require('./orderService');
+const { sendShippedNotifications, sendDeliveredNotifications } = require('./notificationService');
+
+/**
+ * Attach courier details to an order, move it to shipped and tell the customer
+ */
+async function markOrderShipped(orderId, { courier, trackingId, trackingUrl, note = null, by = null }) {
+  if (!courier || typeof courier !== 'string' || !trackingId || typeof trackingId !== 'string') {
+    throw new AppError('courier and trackingId are required', 400);
+  }
+
+  const adapter = getCourier(courier);
+  const now = new Date();
+  const shipment = {
+    courier: courier.trim(),
+    trackingId: trackingId.trim(),
+    trackingUrl: trackingUrl || adapter?.trackingUrlFor(trackingId.trim()) || null,
+    shippedAt: now,
+    deliveredAt: null,
+    trackingStatus: 'in_transit',
+    trackingEvents: [],
+    lastCheckedAt: null,
+  };
+
+  const order = await transitionOrderStatus(orderId, 'shipped', {
+    note: note || `Shipped with ${shipment.courier} (${shipment.trackingId})`,
+    by,
+    extraFields: { shipment },
+  });
+
+  const notifications = await sendShippedNotifications(order);
+  return { order, notifications };
+}
+
+/**
+ * Move a shipped order to delivered and ask the customer for feedback
+ */
+async function markOrderDelivered(orderId, { note = null, by = null } = {}) {
+  const order = await transitionOrderStatus(orderId, 'delivered', {
+    note,
+    by,
+    extraFields: { 'shipment.deliveredAt': new Date() },
+  });
+
+  const notifications = await sendDeliveredNotifications(order);
+  return { order, notifications };
+}
+
+/**
+ * Pull the latest checkpoints from the courier and store them on the order.
+ * A shipment the courier reports as delivered moves the order to delivered.
+ */
+async function refreshTracking(orderId) {
+  const order = await findOrderById(orderId);
+  if (!order.shipment) {
+    throw new AppError('Order has not been shipped', 409);
+  }
+
+  const adapter = getCourier(order.shipment.courier);
+  if (!adapter) {
+    throw new AppError(`No tracking adapter for courier "${order.shipment.courier}"`, 422);
+  }
+
+  const tracking = await adapter.fetchTracking(order.shipment.trackingId);
+  const updated = await getDb().collection('orders').findOneAndUpdate(
+    { _id: order._id },
+    {
+      $set: {
+        'shipment.trackingStatus': tracking.status,
+        'shipment.trackingEvents': tracking.events,
+        'shipment.lastCheckedAt': new Date(),
+        updatedAt: new Date(),
+      },
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (tracking.status === 'delivered' && updated.status === 'shipped') {
+    return markOrderDelivered(order._id, { note: `Delivered according to ${adapter.name} tracking`, by: 'courier' });
+  }
+  return { order: updated, notifications: null };
+}
+
+module.exports = {
+  markOrderShipped,
+  markOrderDelivered,
+  refreshTracking,
+};
@@ -0,0 +1,173 @@
+// services/templateService.js
+
+const fs = require('fs');
+const path = require('path');
+const Mustache = require('mustache');
+const { getDb } = require('../config/db');
+const { AppError } = require('../utils/errors');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'messages');
+const SUPPORTED_LOCALES = ['en', 'hi'];
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'en';
+// A template file is named <name>.<part>.txt, where part is a channel or "subject"
+const TEMPLATE_PARTS = ['whatsapp', 'sms', 'email', 'subject'];
+
+let diskTemplates = null;
+
+/**
+ * Read every template file once: { [locale]: { [name]: { [part]: body } } }
+ */
+function loadDiskTemplates() {
+  if (diskTemplates) return diskTemplates;
+
+  diskTemplates = {};
+  for (const locale of SUPPORTED_LOCALES) {
+    diskTemplates[locale] = {};
+    const dir = path.join(TEMPLATES_DIR, locale);
+    if (!fs.existsSync(dir)) continue;
+
+    for (const file of fs.readdirSync(dir)) {
+      const match = file.match(/^([a-z0-9_]+)\.([a-z]+)\.txt$/);
+      if (!match || !TEMPLATE_PARTS.includes(match[2])) continue;
+
+      const [, name, part] = match;
+      diskTemplates[locale][name] = diskTemplates[locale][name] || {};
+      diskTemplates[locale][name][part] = fs.readFileSync(path.join(dir, file), 'utf8');
+    }
+  }
+  return diskTemplates;
+}
+
+function normalizeLocale(locale) {
+  return SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+}
+
+/**
+ * Find the source for one part of a template. MongoDB overrides win over files;
+ * a missing locale falls back to the default one, and email falls back to the
+ * rich WhatsApp form.
+ */
+async function resolveTemplatePart(name, locale, part) {
+  const overrides = await getDb().collection('message_templates').find({ name }).toArray();
+  const disk = loadDiskTemplates();
+  const parts = part === 'email' ? ['email', 'whatsapp'] : [part];
+  const locales = [...new Set([normalizeLocale(locale), DEFAULT_LOCALE])];
+
+  for (const candidateLocale of locales) {
+    for (const candidatePart of parts) {
+      const override = overrides.find(t => t.locale === candidateLocale && t.part === candidatePart);
+      if (override) {
+        return { body: override.body, locale: candidateLocale, part: candidatePart, source: 'database' };
+      }
+
+      const body = disk[candidateLocale]?.[name]?.[candidatePart];
+      if (body !== undefined) {
+        return { body, locale: candidateLocale, part: candidatePart, source: 'file' };
+      }
+    }
+  }
+  return null;
+}
+
+function renderString(template, variables) {
+  return Mustache.render(template, variables, {}, { escape: value => String(value) })
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Render a named template for one channel in the given locale
+ */
+async function renderTemplate(name, { channel, locale, variables }) {
+  const body = await resolveTemplatePart(name, locale, channel);
+  if (!body) {
+    throw new AppError(`No "${channel}" template named "${name}"`, 404);
+  }
+
+  const subject = channel === 'email' ? await resolveTemplatePart(name, locale, 'subject') : null;
+
+  return {
+    subject: subject ? renderString(subject.body, variables) : null,
+    message: renderString(body.body, variables),
+    locale: body.locale,
+  };
+}
+
+/**
+ * Check that a template body parses before it is saved
+ */
+function validateTemplate(body) {
+  try {
+    Mustache.parse(body);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Every template name with the parts available per locale and where each comes from
+ */
+async function listTemplates() {
+  const disk = loadDiskTemplates();
+  const overrides = await getDb().collection('message_templates').find({}).toArray();
+  const templates = {};
+
+  const add = (name, locale, part, source) => {
+    templates[name] = templates[name] || {};
+    templates[name][locale] = templates[name][locale] || {};
+    templates[name][locale][part] = source;
+  };
+
+  for (const [locale, names] of Object.entries(disk)) {
+    for (const [name, parts] of Object.entries(names)) {
+      for (const part of Object.keys(parts)) add(name, locale, part, 'file');
+    }
+  }
+  for (const override of overrides) {
+    add(override.name, override.locale, override.part, 'database');
+  }
+
+  return templates;
+}
+
+/**
+ * Template variables for an order. `extra` adds event-specific ones
+ * such as refundAmount or trackingId.
+ */
+function buildOrderVariables(order, extra = {}) {
+  const address = order.address || {};
+  return {
+    orderId: order._id ? String(order._id) : '',
+    name: address.fullName,
+    phone: address.phone,
+    email: address.email,
+    street: address.street,
+    city: address.city,
+    state: address.state,
+    zipCode: address.zipCode,
+    items: (order.items || []).map(item => `- ${item.name} x ${item.quantity}`).join('\n'),
+    subtotal: order.subtotal ?? order.total,
+    discountAmount: order.discount ? order.discount.amount : null,
+    couponCode: order.discount ? order.discount.code : null,
+    shippingFee: order.shippingFee || null,
+    codFee: order.codFee || null,
+    total: order.total,
+    isPrepaid: order.paymentMethod === 'prepaid',
+    paymentMethod: order.paymentMethod,
+    paymentId: order.paymentId || 'N/A',
+    razorpayOrderId: order.razorpayOrderId || 'N/A',
+    ...extra,
+  };
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  TEMPLATE_PARTS,
+  normalizeLocale,
+  renderTemplate,
+  validateTemplate,
+  listTemplates,
+  buildOrderVariables,
+};
@@ -0,0 +1,64 @@
+const { resetDatabase, addBook, createResponse } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SECURITY_CONFIG } = require('../config/security');
+const { addToBlocklist } = require('../services/abuseService');
+const { createOrder } = require('../controllers/orderController');
+
+const { maxOrdersPerPhonePerDay } = SECURITY_CONFIG.codVelocity;
+let db;
+
+beforeEach(async () => {
+  db = await resetDatabase();
+});
+
+async function placeCodOrder(book, { phone = '9876543210', quantity = 1 } = {}) {
+  const res = createResponse();
+  await createOrder({
+    body: {
+      items: [{ bookId: String(book._id), quantity }],
+      paymentMethod: 'cod',
+      address: { name: 'Asha', phone, street: '12 MG Road', city: 'Indore', state: 'MP', zipCode: '452001' },
+    },
+  }, res);
+  return res;
+}
+
+test('COD orders sent at the same moment cannot pass the daily cap together', async () => {
+  const book = await addBook({ stock: 100 });
+
+  const responses = await Promise.all(
+    Array.from({ length: maxOrdersPerPhonePerDay + 2 }, () => placeCodOrder(book))
+  );
+
+  const statuses = responses.map(res => res.statusCode).sort();
+  assert.deepEqual(statuses, [
+    ...Array(maxOrdersPerPhonePerDay).fill(200),
+    429,
+    429,
+  ]);
+  assert.equal(await db.collection('orders').countDocuments({ paymentMethod: 'cod' }), maxOrdersPerPhonePerDay);
+  // Another number is not held back
+  assert.equal((await placeCodOrder(book, { phone: '9123456789' })).statusCode, 200);
+});
+
+test('a COD order that fails gives its slot back', async () => {
+  const book = await addBook({ stock: 1 });
+
+  for (let i = 0; i < maxOrdersPerPhonePerDay; i++) {
+    assert.equal((await placeCodOrder(book, { quantity: 5 })).statusCode, 409);
+  }
+
+  const res = await placeCodOrder(book);
+  assert.equal(res.statusCode, 200);
+});
+
+test('a blocked phone number cannot order', async () => {
+  const book = await addBook();
+  await addToBlocklist({ type: 'phone', value: '+91 98765 43210', reason: 'Refused deliveries' });
+
+  const res = await placeCodOrder(book);
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(await db.collection('orders').countDocuments({}), 0);
+});
@@ -0,0 +1,114 @@
+const { resetDatabase, createResponse } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const { createAdminUser, updateAdminUser, login } = require('../services/authService');
+const { requireAdmin } = require('../middleware/auth');
+
+let db;
+
+beforeEach(async () => {
+  db = await resetDatabase();
+});
+
+async function addAdmin(role, email = `${role}@example.com`) {
+  return createAdminUser({ email, password: 'correct horse', name: role, role });
+}
+
+/**
+ * Run requireAdmin once; `passed` is whether it called next()
+ */
+async function call(middleware, token) {
+  const req = { headers: token ? { authorization: `Bearer ${token}` } : {} };
+  const res = createResponse();
+  let passed = false;
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  return { passed, req, res };
+}
+
+test('logging in with the right password gives a token and records the login', async () => {
+  const admin = await addAdmin('owner');
+
+  const { token, admin: loggedIn } = await login(' Owner@Example.com ', 'correct horse');
+
+  assert.equal(jwt.decode(token).role, 'owner');
+  assert.equal(loggedIn.passwordHash, undefined);
+  const stored = await db.collection('admin_users').findOne({ _id: admin._id });
+  assert.ok(stored.lastLoginAt instanceof Date);
+  assert.match(stored.passwordHash, /^scrypt\$/);
+});
+
+test('a wrong password, an unknown email and a disabled account all get the same 401', async () => {
+  const admin = await addAdmin('owner');
+  await addAdmin('fulfilment');
+  await updateAdminUser(String(admin._id), { active: false });
+
+  for (const [email, password] of [
+    ['fulfilment@example.com', 'wrong password'],
+    ['nobody@example.com', 'correct horse'],
+    ['owner@example.com', 'correct horse'],
+  ]) {
+    await assert.rejects(login(email, password), { status: 401, message: 'Invalid email or password' });
+  }
+});
+
+test('admin accounts need a long enough password, a known role and a new email', async () => {
+  await assert.rejects(createAdminUser({ email: 'a@example.com', password: 'short', role: 'owner' }), { status: 400 });
+  await assert.rejects(createAdminUser({ email: 'a@example.com', password: 'long enough', role: 'boss' }), { status: 400 });
+  await addAdmin('owner', 'a@example.com');
+  await assert.rejects(addAdmin('read-only', 'A@example.com'), { status: 409 });
+});
+
+test('requireAdmin refuses a missing, forged or expired token', async () => {
+  const admin = await addAdmin('owner');
+  const middleware = requireAdmin();
+
+  const forged = jwt.sign({ sub: String(admin._id), role: 'owner' }, 'another secret');
+  const expired = jwt.sign({ sub: String(admin._id), role: 'owner' }, process.env.ADMIN_JWT_SECRET, { expiresIn: -10 });
+  const unknown = jwt.sign({ sub: String(new ObjectId()), role: 'owner' }, process.env.ADMIN_JWT_SECRET);
+
+  for (const token of [null, 'not-a-token', forged, expired, unknown]) {
+    const { passed, res } = await call(middleware, token);
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 401);
+  }
+});
+
+test('requireAdmin with roles lets in only those roles', async () => {
+  await addAdmin('owner');
+  await addAdmin('fulfilment');
+  await addAdmin('read-only');
+  const ownerOnly = requireAdmin('owner');
+  const anyRole = requireAdmin();
+
+  const tokens = {};
+  for (const role of ['owner', 'fulfilment', 'read-only']) {
+    tokens[role] = (await login(`${role}@example.com`, 'correct horse')).token;
+  }
+
+  const owner = await call(ownerOnly, tokens.owner);
+  assert.equal(owner.passed, true);
+  assert.equal(owner.req.admin.role, 'owner');
+  for (const role of ['fulfilment', 'read-only']) {
+    const { passed, res } = await call(ownerOnly, tokens[role]);
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal((await call(anyRole, tokens[role])).passed, true);
+  }
+});
+
+test('a role change or a disabled account applies to tokens already issued', async () => {
+  const admin = await addAdmin('owner');
+  const { token } = await login('owner@example.com', 'correct horse');
+
+  await updateAdminUser(String(admin._id), { role: 'read-only' });
+  assert.equal((await call(requireAdmin('owner'), token)).res.statusCode, 403);
+
+  await updateAdminUser(String(admin._id), { active: false });
+  const { res } = await call(requireAdmin(), token);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, 'Account is disabled');
+});
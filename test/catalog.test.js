@@ -0,0 +1,56 @@
+const { resetDatabase, addBook } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { priceItems } = require('../services/catalogService');
+
+beforeEach(resetDatabase);
+
+test('priceItems uses catalog prices, not the ones the client sends', async () => {
+  const book = await addBook({ price: 199.5 });
+
+  const { items, total } = await priceItems([{ bookId: String(book._id), quantity: 2, price: 1 }]);
+
+  assert.equal(items[0].price, 199.5);
+  assert.equal(items[0].lineTotal, 399);
+  assert.equal(total, 399);
+});
+
+test('priceItems defaults a missing quantity to one', async () => {
+  const book = await addBook();
+
+  const { items } = await priceItems([{ id: String(book._id) }]);
+
+  assert.equal(items[0].quantity, 1);
+});
+
+test('priceItems rejects quantities that are not whole and positive', async () => {
+  const book = await addBook();
+
+  for (const quantity of [0, -1, 1.5, '2']) {
+    await assert.rejects(priceItems([{ bookId: String(book._id), quantity }]), error => {
+      assert.equal(error.status, 400);
+      assert.deepEqual(error.details.invalidItems, [String(book._id)]);
+      return true;
+    });
+  }
+});
+
+test('priceItems rejects unknown and inactive books', async () => {
+  const inactive = await addBook({ active: false });
+  const missing = new ObjectId();
+
+  await assert.rejects(
+    priceItems([{ bookId: String(inactive._id) }, { bookId: String(missing) }]),
+    error => {
+      assert.equal(error.status, 400);
+      assert.deepEqual(error.details.unavailableItems, [String(inactive._id), String(missing)]);
+      return true;
+    }
+  );
+});
+
+test('priceItems rejects an empty cart and malformed ids', async () => {
+  await assert.rejects(priceItems([]), { status: 400 });
+  await assert.rejects(priceItems([{ bookId: 'not-an-id' }]), { status: 400 });
+});
@@ -0,0 +1,154 @@
+const { resetDatabase, addBook } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { handleIncomingMessage } = require('../services/chatbotService');
+
+const FROM = '919876543210@c.us';
+let db;
+let book;
+
+beforeEach(async () => {
+  db = await resetDatabase();
+  book = await addBook({ stock: 5 });
+});
+
+async function addOrder(fields = {}) {
+  const { insertedId } = await db.collection('orders').insertOne({
+    items: [{ bookId: book._id, name: book.title, price: book.price, quantity: 1 }],
+    total: 250,
+    paymentMethod: 'cod',
+    status: 'confirmed',
+    address: { fullName: 'Asha', phone: '+91 98765 43210' },
+    statusHistory: [],
+    createdAt: new Date(),
+    ...fields,
+  });
+  return insertedId;
+}
+
+async function findOrder(orderId) {
+  return db.collection('orders').findOne({ _id: orderId });
+}
+
+async function adminMessages() {
+  return db.collection('notifications').find({ event: 'customer_message', channel: 'whatsapp' }).toArray();
+}
+
+function send(body, from = FROM) {
+  return handleIncomingMessage({ from, body });
+}
+
+test('group messages, status updates and empty messages get no reply', async () => {
+  assert.equal(await send('HELP', '120363025@g.us'), null);
+  assert.equal(await send('HELP', 'status@broadcast'), null);
+  assert.equal(await send('   '), null);
+});
+
+test('HELP and greetings list the commands', async () => {
+  for (const body of ['help', 'Hi', 'MENU']) {
+    assert.match(await send(body), /^🤖 Hi! Reply with one of these/);
+  }
+});
+
+test('STATUS lists the sender\'s three latest orders', async () => {
+  for (let daysAgo = 4; daysAgo >= 1; daysAgo--) {
+    await addOrder({ total: daysAgo * 100, createdAt: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000) });
+  }
+  await addOrder({ total: 999, address: { phone: '9123456789' } });
+
+  const reply = await send('status');
+
+  assert.match(reply, /^📋 Your recent orders/);
+  assert.deepEqual(reply.match(/₹\d+/g), ['₹100', '₹200', '₹300']);
+});
+
+test('STATUS with an order id finds it by its last characters', async () => {
+  const orderId = await addOrder({ status: 'shipped' });
+  const ref = String(orderId).slice(-6);
+
+  assert.match(await send(`STATUS #${ref}`), /🚚 Shipped/);
+  // Too short to tell orders apart
+  assert.match(await send(`STATUS ${ref.slice(-4)}`), /couldn't find order/);
+});
+
+test('TRACK gives the courier and tracking link of the latest shipment', async () => {
+  await addOrder({
+    status: 'shipped',
+    shipment: { courier: 'Delhivery', trackingId: 'DLV123', trackingUrl: 'https://track.example/DLV123' },
+  });
+
+  const reply = await send('track');
+
+  assert.match(reply, /Courier: Delhivery/);
+  assert.match(reply, /Track it here: https:\/\/track\.example\/DLV123/);
+});
+
+test('CANCEL cancels a confirmed COD order and puts the stock back', async () => {
+  const orderId = await addOrder();
+
+  const reply = await send(`CANCEL ${String(orderId).slice(-6)}`);
+
+  assert.match(reply, /has been cancelled/);
+  const order = await findOrder(orderId);
+  assert.equal(order.status, 'cancelled');
+  assert.equal(order.cancellationReason, 'Requested by customer');
+  assert.equal(order.statusHistory.at(-1).by, 'customer');
+  assert.equal((await db.collection('books').findOne({ _id: book._id })).stock, 6);
+});
+
+test('CANCEL leaves an unpaid checkout to lapse by itself', async () => {
+  const orderId = await addOrder({ paymentMethod: 'prepaid', status: 'pending_payment' });
+
+  const reply = await send(`CANCEL ${orderId}`);
+
+  assert.match(reply, /hasn't been paid/);
+  assert.equal((await findOrder(orderId)).status, 'pending_payment');
+  assert.equal((await adminMessages()).length, 0);
+});
+
+test('CANCEL of a paid or packed order is passed to the team', async () => {
+  const prepaid = await addOrder({ paymentMethod: 'prepaid' });
+  const packed = await addOrder({ status: 'packed' });
+
+  for (const orderId of [prepaid, packed]) {
+    assert.match(await send(`CANCEL ${orderId}`), /passed your cancellation request/);
+    assert.notEqual((await findOrder(orderId)).status, 'cancelled');
+  }
+
+  const messages = await adminMessages();
+  assert.equal(messages.length, 2);
+  assert.match(messages[0].message, /CANCEL request for order \w+ \(confirmed, prepaid\)/);
+});
+
+test('CANCEL cannot touch another number\'s order', async () => {
+  const orderId = await addOrder({ address: { phone: '9123456789' } });
+
+  assert.match(await send(`CANCEL ${orderId}`), /couldn't find order/);
+  assert.equal((await findOrder(orderId)).status, 'confirmed');
+});
+
+test('STOP and START turn checkout reminders off and on', async () => {
+  const orderId = await addOrder({
+    paymentMethod: 'prepaid',
+    status: 'pending_payment',
+    recovery: { remindersSent: 0, optedOut: false, paymentLinks: [] },
+  });
+
+  assert.match(await send('STOP'), /won't get any more payment reminders/);
+  assert.equal((await findOrder(orderId)).recovery.optedOut, true);
+  assert.equal(await db.collection('reminder_opt_outs').countDocuments({ phone: '9876543210' }), 1);
+
+  assert.match(await send('start'), /reminders are back on/);
+  assert.equal(await db.collection('reminder_opt_outs').countDocuments({}), 0);
+});
+
+test('anything else is forwarded to the team with the latest order', async () => {
+  const orderId = await addOrder();
+
+  const reply = await send('Can I change my address?');
+
+  assert.match(reply, /^Thanks for your message/);
+  const [message] = await adminMessages();
+  assert.match(message.message, /📝 Can I change my address\?/);
+  assert.match(message.message, new RegExp(`Latest Order: ${orderId}`));
+});
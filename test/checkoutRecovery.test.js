@@ -0,0 +1,156 @@
+const { resetDatabase, addBook, placePrepaidOrder } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const razorpay = require('../config/razorpay');
+const { confirmPrepaidOrder } = require('../services/paymentService');
+const {
+  REMINDER_MINUTES,
+  newRecoveryState,
+  optOutOfReminders,
+  optInToReminders,
+  sendCheckoutReminders,
+  getRecoveryReport,
+} = require('../services/checkoutRecoveryService');
+
+let db;
+let links;
+let cancelled;
+
+beforeEach(async () => {
+  db = await resetDatabase();
+  links = [];
+  cancelled = [];
+  razorpay.paymentLink.create = async options => {
+    links.push(options);
+    return { id: `plink_${links.length}`, short_url: `https://rzp.io/i/link${links.length}` };
+  };
+  razorpay.paymentLink.cancel = async id => {
+    cancelled.push(id);
+  };
+});
+
+/**
+ * An unpaid prepaid checkout started `minutesAgo` minutes ago
+ */
+async function abandonCart(minutesAgo, fields = {}) {
+  const book = await addBook({ price: 199.9 });
+  const orderId = await placePrepaidOrder(book, {
+    razorpayOrderId: `order_${Math.random().toString(36).slice(2)}`,
+    recovery: newRecoveryState(),
+    ...fields,
+  });
+  await db.collection('orders').updateOne(
+    { _id: orderId },
+    { $set: { createdAt: new Date(Date.now() - minutesAgo * 60 * 1000) } }
+  );
+  return orderId;
+}
+
+async function findOrder(orderId) {
+  return db.collection('orders').findOne({ _id: orderId });
+}
+
+async function reminders() {
+  return db.collection('notifications').find({ event: 'checkout_reminder' }).toArray();
+}
+
+test('a cart past the first reminder time gets one reminder with a payment link', async () => {
+  const orderId = await abandonCart(REMINDER_MINUTES[0] + 5);
+  await abandonCart(5);
+
+  assert.equal(await sendCheckoutReminders(), 1);
+  // The second reminder is not due yet
+  assert.equal(await sendCheckoutReminders(), 0);
+
+  const order = await findOrder(orderId);
+  assert.equal(order.recovery.remindersSent, 1);
+  assert.deepEqual(order.recovery.paymentLinks.map(link => [link.id, link.status]), [['plink_1', 'created']]);
+  assert.equal(links[0].amount, 19990);
+  const [reminder] = await reminders();
+  assert.equal(reminder.to, '9876543210');
+  assert.match(reminder.message, /https:\/\/rzp\.io\/i\/link1/);
+});
+
+test('a later reminder cancels the link sent before it', async () => {
+  const orderId = await abandonCart(REMINDER_MINUTES[1] + 5);
+
+  await sendCheckoutReminders();
+  await sendCheckoutReminders();
+
+  const order = await findOrder(orderId);
+  assert.equal(order.recovery.remindersSent, 2);
+  assert.deepEqual(cancelled, ['plink_1']);
+  assert.deepEqual(order.recovery.paymentLinks.map(link => link.status), ['cancelled', 'created']);
+  assert.match((await reminders())[1].message, /last reminder/);
+});
+
+test('a customer who replied STOP gets no reminders until they reply START', async () => {
+  const orderId = await abandonCart(REMINDER_MINUTES[0] + 5);
+
+  await optOutOfReminders('+91 98765 43210');
+  assert.equal(await sendCheckoutReminders(), 0);
+  assert.equal((await findOrder(orderId)).recovery.optedOut, true);
+
+  await optInToReminders('9876543210');
+  const later = await abandonCart(REMINDER_MINUTES[0] + 5);
+  assert.equal(await sendCheckoutReminders(), 1);
+  assert.equal((await findOrder(later)).recovery.remindersSent, 1);
+});
+
+test('a cart is closed when the customer has ordered again since', async () => {
+  const orderId = await abandonCart(REMINDER_MINUTES[0] + 5);
+  await abandonCart(10, { status: 'confirmed', recovery: null });
+
+  assert.equal(await sendCheckoutReminders(), 0);
+
+  assert.equal((await findOrder(orderId)).recovery.closedReason, 'ordered_again');
+  assert.equal(links.length, 0);
+});
+
+test('a reminder whose payment link fails is tried again on the next run', async () => {
+  const orderId = await abandonCart(REMINDER_MINUTES[0] + 5);
+  razorpay.paymentLink.create = async () => {
+    throw { error: { description: 'Gateway timeout' } };
+  };
+
+  assert.equal(await sendCheckoutReminders(), 0);
+  assert.equal((await findOrder(orderId)).recovery.remindersSent, 0);
+  assert.equal((await reminders()).length, 0);
+});
+
+test('paying the reminder link confirms the cart', async () => {
+  const orderId = await abandonCart(REMINDER_MINUTES[0] + 5);
+  await sendCheckoutReminders();
+
+  const { order, created } = await confirmPrepaidOrder({
+    paymentLinkId: 'plink_1', paymentId: 'pay_link', amount: 19990, source: 'payment_link',
+  });
+
+  assert.equal(created, true);
+  assert.equal(String(order._id), String(orderId));
+  assert.equal(order.status, 'confirmed');
+  assert.equal(order.recovery.paidLinkId, 'plink_1');
+});
+
+test('the recovery report counts reminded carts won back and their revenue in paise', async () => {
+  const recovered = [await abandonCart(REMINDER_MINUTES[0] + 5), await abandonCart(REMINDER_MINUTES[0] + 5)];
+  await abandonCart(REMINDER_MINUTES[0] + 5);
+  await sendCheckoutReminders();
+  for (const [index, orderId] of recovered.entries()) {
+    await db.collection('orders').updateOne(
+      { _id: orderId },
+      { $set: { status: 'confirmed', total: 0.1 * (index + 1), amountPaise: 10 * (index + 1) } }
+    );
+  }
+  await abandonCart(10, { status: 'confirmed' });
+
+  const report = await getRecoveryReport();
+
+  assert.equal(report.checkouts, 4);
+  assert.equal(report.abandoned, 3);
+  assert.equal(report.reminded, 3);
+  assert.equal(report.recovered, 2);
+  assert.equal(report.recoveryRate, 66.7);
+  assert.equal(report.recoveredRevenue, 0.3);
+  assert.deepEqual(report.recoveredByReminder, [{ reminder: 1, recovered: 2 }]);
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { csvCell, toCsv, parseCsv } = require('../utils/csv');
+
+test('csvCell quotes only when needed', () => {
+  assert.equal(csvCell('plain'), 'plain');
+  assert.equal(csvCell('a,b'), '"a,b"');
+  assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(csvCell(null), '');
+  assert.equal(csvCell(undefined), '');
+  assert.equal(csvCell(12.5), '12.5');
+  assert.equal(csvCell(new Date('2026-01-02T03:04:05Z')), '2026-01-02T03:04:05.000Z');
+});
+
+test('csvCell stops text from running as a spreadsheet formula', () => {
+  assert.equal(csvCell('=SUM(A1:A2)'), "'=SUM(A1:A2)");
+  assert.equal(csvCell('+91 98765'), "'+91 98765");
+  assert.equal(csvCell('@cmd'), "'@cmd");
+  assert.equal(csvCell('-2+3,x'), `"'-2+3,x"`);
+  // Numbers are data, not formulas
+  assert.equal(csvCell(-5), '-5');
+});
+
+test('toCsv writes a header and one CRLF line per row', () => {
+  const rows = [
+    { period: '2026-03-01', orders: 2, revenue: 300.3 },
+    { period: '2026-03-02', orders: 1, revenue: null },
+  ];
+
+  assert.equal(toCsv(rows), 'period,orders,revenue\r\n2026-03-01,2,300.3\r\n2026-03-02,1,\r\n');
+  assert.equal(toCsv(rows, ['orders']), 'orders\r\n2\r\n1\r\n');
+  assert.equal(toCsv([]), '\r\n');
+});
+
+test('parseCsv reads quoted cells with commas, doubled quotes and line breaks', () => {
+  const rows = parseCsv('title,notes\n"Gita, annotated","He said ""read""\nevery day"\n');
+
+  assert.deepEqual(rows, [
+    ['title', 'notes'],
+    ['Gita, annotated', 'He said "read"\nevery day'],
+  ]);
+});
+
+test('parseCsv handles CRLF endings, a leading BOM and blank lines', () => {
+  const rows = parseCsv('\uFEFFisbn,stock\r\n9780140449136,4\r\n\r\n,\r\n9780143039433,0');
+
+  assert.deepEqual(rows, [
+    ['isbn', 'stock'],
+    ['9780140449136', '4'],
+    ['9780143039433', '0'],
+  ]);
+});
+
+test('parseCsv keeps empty cells inside a row', () => {
+  assert.deepEqual(parseCsv('a,,c\n'), [['a', '', 'c']]);
+});
+
+test('toCsv output parses back to the same cells', () => {
+  const rows = [
+    { title: 'Gita, annotated', price: 250, notes: 'line one\nline two' },
+    { title: 'Upanishads', price: 199.5, notes: null },
+  ];
+
+  assert.deepEqual(parseCsv(toCsv(rows)), [
+    ['title', 'price', 'notes'],
+    ['Gita, annotated', '250', 'line one\nline two'],
+    ['Upanishads', '199.5', ''],
+  ]);
+});
@@ -0,0 +1,152 @@
+const { resetDatabase, addBook, placePrepaidOrder, createResponse } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const {
+  requestOtp,
+  registerCustomer,
+  loginWithOtp,
+  loginWithPassword,
+  authenticateCustomerToken,
+  addAddress,
+  deleteAddress,
+} = require('../services/customerService');
+const { addToBlocklist } = require('../services/abuseService');
+const { listMyOrders } = require('../controllers/customerController');
+
+let db;
+
+beforeEach(async () => {
+  db = await resetDatabase();
+});
+
+/**
+ * Ask for a login code and read it from the queued WhatsApp message
+ */
+async function getCode(phone = '9876543210') {
+  await requestOtp(phone, 'en');
+  const [message] = await db.collection('notifications').find({ event: 'login_otp' }).sort({ createdAt: -1 }).limit(1).toArray();
+  return message.message.match(/\*(\d{6})\*/)[1];
+}
+
+const ADDRESS = {
+  fullName: 'Asha Verma',
+  street: '12 MG Road',
+  city: 'Indore',
+  state: 'Madhya Pradesh',
+  zipCode: '452001',
+  email: 'asha@example.com',
+  phone: '9876543210',
+};
+
+test('a login code is sent on WhatsApp and expires with the code', async () => {
+  const { phone, expiresInMinutes } = await requestOtp('+91 98765 43210', 'en');
+
+  assert.equal(phone, '9876543210');
+  const otp = await db.collection('customer_otps').findOne({ phone });
+  const message = await db.collection('notifications').findOne({ event: 'login_otp' });
+  assert.equal(message.to, '9876543210');
+  assert.equal(message.expiresAt.getTime(), otp.expiresAt.getTime());
+  assert.equal(Math.round((otp.expiresAt - otp.createdAt) / 60000), expiresInMinutes);
+  // Only the hash of the code is kept
+  assert.equal(otp.code, undefined);
+});
+
+test('a second code within a minute is refused', async () => {
+  await requestOtp('9876543210', 'en');
+
+  await assert.rejects(requestOtp('9876543210', 'en'), { status: 429 });
+});
+
+test('a blocked number gets no code', async () => {
+  await addToBlocklist({ type: 'phone', value: '9876543210' });
+
+  await assert.rejects(requestOtp('9876543210', 'en'), { status: 403 });
+  assert.equal(await db.collection('notifications').countDocuments({}), 0);
+});
+
+test('the first login with a code creates the account and links earlier guest orders', async () => {
+  const book = await addBook();
+  await placePrepaidOrder(book, { razorpayOrderId: 'order_guest', customerId: null, address: { ...ADDRESS, phone: '+91 98765 43210' } });
+  await placePrepaidOrder(book, { razorpayOrderId: 'order_other', customerId: null, address: { ...ADDRESS, phone: '9123456789' } });
+
+  const { token, customer, created, linkedOrders } = await loginWithOtp({ phone: '9876543210', code: await getCode() });
+
+  assert.equal(created, true);
+  assert.equal(linkedOrders, 1);
+  assert.equal(customer.hasPassword, false);
+  assert.equal(String((await authenticateCustomerToken(token))._id), String(customer._id));
+
+  const res = createResponse();
+  await listMyOrders({ customer, query: {} }, res);
+  assert.equal(res.body.total, 1);
+  assert.equal(res.body.orders[0].razorpayOrderId, 'order_guest');
+  assert.equal(res.body.orders[0].amountPaise, undefined);
+});
+
+test('a code works once', async () => {
+  const code = await getCode();
+  await loginWithOtp({ phone: '9876543210', code });
+
+  await assert.rejects(loginWithOtp({ phone: '9876543210', code }), { status: 401, message: 'Code has expired, please request a new one' });
+});
+
+test('wrong guesses are limited, after which even the right code fails', async () => {
+  const code = await getCode();
+  const wrong = code === '000000' ? '111111' : '000000';
+
+  for (let i = 0; i < 5; i++) {
+    await assert.rejects(loginWithOtp({ phone: '9876543210', code: wrong }), { message: 'Incorrect code' });
+  }
+
+  await assert.rejects(loginWithOtp({ phone: '9876543210', code }), { message: 'Code has expired, please request a new one' });
+});
+
+test('an expired code is refused', async () => {
+  const code = await getCode();
+  await db.collection('customer_otps').updateOne({ phone: '9876543210' }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+  await assert.rejects(loginWithOtp({ phone: '9876543210', code }), { status: 401 });
+});
+
+test('an account registered with a password can log in by phone or email', async () => {
+  await registerCustomer({ phone: '9876543210', code: await getCode(), name: 'Asha', email: 'Asha@Example.com', password: 'long password' });
+
+  const byPhone = await loginWithPassword({ phone: '+919876543210', password: 'long password' });
+  const byEmail = await loginWithPassword({ email: 'asha@example.com', password: 'long password' });
+
+  assert.equal(byPhone.customer.hasPassword, true);
+  assert.equal(byPhone.customer.passwordHash, undefined);
+  assert.equal(String(byEmail.customer._id), String(byPhone.customer._id));
+  await assert.rejects(loginWithPassword({ phone: '9876543210', password: 'wrong password' }), { status: 401 });
+});
+
+test('a second account for the same phone number is refused', async () => {
+  await registerCustomer({ phone: '9876543210', code: await getCode(), name: 'Asha' });
+  await db.collection('customer_otps').deleteMany({});
+
+  await assert.rejects(registerCustomer({ phone: '9876543210', code: await getCode(), name: 'Asha' }), { status: 409 });
+});
+
+test('a token signed without the customer audience is refused', async () => {
+  const { customer } = await loginWithOtp({ phone: '9876543210', code: await getCode() });
+
+  const withoutAudience = jwt.sign({ sub: String(customer._id) }, process.env.CUSTOMER_JWT_SECRET);
+  await assert.rejects(authenticateCustomerToken(withoutAudience), { status: 401 });
+});
+
+test('the address book keeps exactly one default', async () => {
+  const { customer } = await loginWithOtp({ phone: '9876543210', code: await getCode() });
+  const load = async () => db.collection('customers').findOne({ _id: customer._id });
+
+  const home = await addAddress(await load(), { label: 'Home', ...ADDRESS });
+  const work = await addAddress(await load(), { label: 'Work', ...ADDRESS, isDefault: true });
+  let { addresses } = await load();
+  assert.deepEqual(addresses.map(address => [address.label, address.isDefault]), [['Home', false], ['Work', true]]);
+
+  await deleteAddress(await load(), String(work._id));
+  ({ addresses } = await load());
+  assert.deepEqual(addresses.map(address => [String(address._id), address.isDefault]), [[String(home._id), true]]);
+
+  await assert.rejects(addAddress(await load(), { ...ADDRESS, zipCode: '12' }), { status: 400 });
+});
@@ -0,0 +1,119 @@
+const { resetDatabase } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('../utils/csv');
+const { findOrdersToShip, buildManifest, importTracking } = require('../services/fulfilmentService');
+
+let db;
+
+beforeEach(async () => {
+  db = await resetDatabase();
+});
+
+async function addOrder(fields = {}) {
+  const { insertedId } = await db.collection('orders').insertOne({
+    items: [{ name: 'Bhagavad Gita', price: 250, quantity: 2 }],
+    total: 500,
+    paymentMethod: 'cod',
+    status: 'confirmed',
+    address: {
+      fullName: 'Asha Verma',
+      phone: '+91 98765 43210',
+      street: '12 MG Road\nNear the temple',
+      city: 'Indore',
+      state: 'Madhya Pradesh',
+      zipCode: '452001',
+    },
+    statusHistory: [],
+    createdAt: new Date('2026-03-01T10:00:00Z'),
+    ...fields,
+  });
+  return insertedId;
+}
+
+async function findOrder(orderId) {
+  return db.collection('orders').findOne({ _id: orderId });
+}
+
+test('orders to ship are the confirmed and packed ones, oldest first', async () => {
+  const newer = await addOrder({ status: 'packed', createdAt: new Date('2026-03-02T10:00:00Z') });
+  const older = await addOrder();
+  await addOrder({ status: 'shipped' });
+  await addOrder({ status: 'pending_payment' });
+
+  const orders = await findOrdersToShip();
+
+  assert.deepEqual(orders.map(order => String(order._id)), [String(older), String(newer)]);
+  await assert.rejects(findOrdersToShip({ orderIds: ['nope'] }), { status: 400 });
+});
+
+test('the standard manifest has one row per order with the COD amount to collect', async () => {
+  await addOrder();
+  await addOrder({ paymentMethod: 'prepaid' });
+
+  const [header, cod, prepaid] = parseCsv(buildManifest(await findOrdersToShip(), 'standard'));
+  const row = values => Object.fromEntries(header.map((name, index) => [name, values[index]]));
+
+  assert.equal(row(cod).Phone, '9876543210');
+  assert.equal(row(cod).Address, '12 MG Road, Near the temple');
+  assert.equal(row(cod)['Order Date'], '2026-03-01 15:30');
+  assert.equal(row(cod)['COD Amount'], '500');
+  assert.equal(row(prepaid)['COD Amount'], '0');
+  assert.throws(() => buildManifest([], 'pigeon'), { status: 400 });
+});
+
+test('a tracking import ships each order, packing confirmed ones on the way', async () => {
+  const confirmed = await addOrder();
+  const packed = await addOrder({ status: 'packed' });
+  const csv = `AWB No,Reference No,Courier Name\n111,${confirmed},Delhivery\n222,${packed},Blue Dart\n`;
+
+  const result = await importTracking(csv, { by: 'owner@example.com' });
+
+  assert.deepEqual(result.shipped.map(row => [row.row, row.trackingId, row.courier]), [[2, '111', 'Delhivery'], [3, '222', 'Blue Dart']]);
+  const order = await findOrder(confirmed);
+  assert.equal(order.status, 'shipped');
+  assert.deepEqual(order.statusHistory.map(entry => entry.to), ['packed', 'shipped']);
+  assert.equal(order.shipment.trackingId, '111');
+  assert.equal(order.statusHistory.at(-1).by, 'owner@example.com');
+  // Shipped messages go to the customer
+  assert.ok(await db.collection('notifications').countDocuments({ event: 'order_shipped', orderId: confirmed }) > 0);
+});
+
+test('bad rows are reported and do not stop the rest', async () => {
+  const good = await addOrder();
+  const cancelled = await addOrder({ status: 'cancelled' });
+  const csv = [
+    'Order ID,Tracking Number',
+    `${good},111`,
+    `${cancelled},222`,
+    'not-an-id,333',
+    `${good},`,
+  ].join('\n');
+
+  const result = await importTracking(csv, { courier: 'India Post' });
+
+  assert.deepEqual(result.shipped.map(row => row.orderId), [String(good)]);
+  assert.deepEqual(result.failed.map(row => row.row), [3, 4]);
+  assert.deepEqual(result.skipped, [{ row: 5, orderId: String(good), reason: 'No order id or tracking id' }]);
+  assert.equal((await findOrder(cancelled)).status, 'cancelled');
+});
+
+test('an item-level sheet ships the order once, and a second import skips it', async () => {
+  const orderId = await addOrder();
+  const csv = `order_id,awb\n${orderId},111\n${orderId},111\n${orderId},999\n`;
+
+  const result = await importTracking(csv, { courier: 'Delhivery' });
+
+  assert.equal(result.shipped.length, 1);
+  assert.deepEqual(result.failed, [{ row: 4, orderId: String(orderId), error: 'The order has another tracking id on an earlier row' }]);
+
+  const again = await importTracking(csv, { courier: 'Delhivery' });
+  assert.equal(again.shipped.length, 0);
+  assert.equal(again.skipped[0].reason, 'Already shipped with 111');
+});
+
+test('a sheet without the needed columns is refused as a whole', async () => {
+  await assert.rejects(importTracking('', { courier: 'Delhivery' }), { message: 'The CSV has no rows' });
+  await assert.rejects(importTracking('name,awb\nAsha,111', { courier: 'Delhivery' }), { status: 400, message: /order id column/ });
+  await assert.rejects(importTracking('order id,awb\nx,111'), { status: 400, message: /no courier column/ });
+});
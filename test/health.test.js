@@ -0,0 +1,70 @@
+const { createResponse } = require('./helpers/setup');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const healthRoutes = require('../routes/healthRoutes');
+const healthDetailRoutes = require('../routes/healthDetailRoutes');
+const { getHealthDetails } = require('../controllers/healthController');
+const { markReady, markShuttingDown } = require('../services/healthService');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(healthRoutes);
+  app.use('/api/health', healthDetailRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+async function get(path, headers = {}) {
+  const response = await fetch(`${baseUrl}${path}`, { headers });
+  return { status: response.status, body: await response.json() };
+}
+
+// One process, so these run in lifecycle order: starting, ready, shutting down
+test('readyz answers 503 until the server takes traffic', async () => {
+  const { status, body } = await get('/readyz');
+
+  assert.equal(status, 503);
+  assert.deepEqual(body, { status: 'unavailable', ready: false });
+});
+
+test('the public probes say only whether the server is up and ready', async () => {
+  markReady();
+
+  const ready = await get('/readyz');
+  const health = await get('/healthz');
+
+  assert.equal(ready.status, 200);
+  assert.equal(ready.body.ready, true);
+  assert.deepEqual(Object.keys(health.body).sort(), ['ready', 'status']);
+  // WhatsApp is not linked in tests
+  assert.equal(health.body.status, 'degraded');
+});
+
+test('the detailed report needs an admin', async () => {
+  const { status } = await get('/api/health');
+  assert.equal(status, 401);
+
+  const res = createResponse();
+  await getHealthDetails({}, res);
+  assert.equal(res.body.checks.database.status, 'up');
+  assert.equal(res.body.checks.whatsapp.state, 'stopped');
+  assert.deepEqual(res.body.checks.configuration.razorpay, { webhookSecret: true });
+});
+
+test('readyz turns 503 as soon as shutdown starts, while still serving', async () => {
+  markShuttingDown();
+
+  const { status, body } = await get('/readyz');
+
+  assert.equal(status, 503);
+  assert.deepEqual(body, { status: 'shutting_down', ready: false });
+});
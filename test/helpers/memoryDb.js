@@ -0,0 +1,266 @@
+// test/helpers/memoryDb.js
+
+const { Query, Aggregator, update: applyUpdate } = require('mingo');
+require('mingo/init/system');
+const { ObjectId } = require('mongodb');
+
+const MINGO_OPTIONS = { useStrictMode: false };
+
+function clone(value) {
+  if (value instanceof ObjectId) return new ObjectId(value.toHexString());
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, clone(field)]));
+  }
+  return value;
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, part) => value?.[part], doc);
+}
+
+function setPath(doc, path, value) {
+  const parts = path.split('.');
+  let target = doc;
+  for (const part of parts.slice(0, -1)) {
+    if (target[part] == null) target[part] = {};
+    target = target[part];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+function duplicateKeyError(collection, keys) {
+  const error = new Error(`E11000 duplicate key error collection: ${collection} index: ${keys.join('_')}`);
+  error.code = 11000;
+  return error;
+}
+
+/**
+ * Index of the array element the positional `$` refers to: the first one
+ * matching the filter's conditions on that array
+ */
+function positionalIndex(doc, filter, arrayField) {
+  const conditions = {};
+  for (const [key, value] of Object.entries(filter || {})) {
+    if (key === arrayField && value?.$elemMatch) Object.assign(conditions, value.$elemMatch);
+    else if (key.startsWith(`${arrayField}.`)) conditions[key.slice(arrayField.length + 1)] = value;
+  }
+  const query = new Query(conditions, MINGO_OPTIONS);
+  return (doc[arrayField] || []).findIndex(element => query.test(element));
+}
+
+/**
+ * A small stand-in for a MongoDB collection, enough for the queries this
+ * app runs. Unique indexes are enforced; other indexes are ignored.
+ */
+class MemoryCollection {
+  constructor(name) {
+    this.name = name;
+    this.docs = [];
+    this.uniqueIndexes = [];
+  }
+
+  match(filter) {
+    const query = new Query(filter || {}, MINGO_OPTIONS);
+    return this.docs.filter(doc => query.test(doc));
+  }
+
+  checkUnique(doc) {
+    for (const { keys, sparse, partialFilterExpression } of this.uniqueIndexes) {
+      const covers = candidate => {
+        if (sparse && keys.every(key => getPath(candidate, key) == null)) return false;
+        return !partialFilterExpression || new Query(partialFilterExpression, MINGO_OPTIONS).test(candidate);
+      };
+      if (!covers(doc)) continue;
+
+      const value = JSON.stringify(keys.map(key => String(getPath(doc, key))));
+      const clash = this.docs.some(other => other !== doc && covers(other) &&
+        JSON.stringify(keys.map(key => String(getPath(other, key)))) === value);
+      if (clash) throw duplicateKeyError(this.name, keys);
+    }
+  }
+
+  applyUpdate(doc, update, filter) {
+    const before = clone(doc);
+    for (const [operator, fields] of Object.entries(update)) {
+      if (operator === '$setOnInsert') continue;
+      for (const [path, value] of Object.entries(fields)) {
+        const [, arrayField, rest] = path.match(/^([^.]+)\.\$\.(.+)$/) || [];
+        const resolved = arrayField ? `${arrayField}.${positionalIndex(doc, filter, arrayField)}.${rest}` : path;
+        if (operator === '$set') setPath(doc, resolved, clone(value));
+        else applyUpdate(doc, { [operator]: { [resolved]: value } }, [], undefined, { cloneMode: 'deep' });
+      }
+    }
+    try {
+      this.checkUnique(doc);
+    } catch (error) {
+      Object.keys(doc).forEach(key => delete doc[key]);
+      Object.assign(doc, before);
+      throw error;
+    }
+  }
+
+  upsert(filter, update) {
+    const doc = { _id: new ObjectId() };
+    for (const [key, value] of Object.entries(filter || {})) {
+      if (!key.startsWith('$') && (typeof value !== 'object' || value === null || value instanceof ObjectId || value instanceof Date)) {
+        setPath(doc, key, clone(value));
+      }
+    }
+    Object.assign(doc, clone(update.$setOnInsert || {}));
+    this.applyUpdate(doc, update, filter);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  async createIndex(spec, options = {}) {
+    if (options.unique) {
+      this.uniqueIndexes.push({ keys: Object.keys(spec), sparse: options.sparse, partialFilterExpression: options.partialFilterExpression });
+    }
+    return Object.entries(spec).map(([key, direction]) => `${key}_${direction}`).join('_');
+  }
+
+  async indexes() {
+    return [];
+  }
+
+  async dropIndex() {}
+
+  async insertOne(doc) {
+    if (!doc._id) doc._id = new ObjectId();
+    const stored = clone(doc);
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    for (const doc of docs) await this.insertOne(doc);
+    return { acknowledged: true, insertedCount: docs.length };
+  }
+
+  async findOne(filter, options = {}) {
+    let docs = this.match(filter);
+    if (options.sort) docs = new Aggregator([{ $sort: options.sort }], MINGO_OPTIONS).run(docs);
+    return docs[0] ? clone(docs[0]) : null;
+  }
+
+  find(filter, options = {}) {
+    const cursor = new MemoryCursor(this.match(filter));
+    if (options.sort) cursor.sort(options.sort);
+    if (options.limit) cursor.limit(options.limit);
+    if (options.projection) cursor.project(options.projection);
+    return cursor;
+  }
+
+  async countDocuments(filter) {
+    return this.match(filter).length;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [doc] = this.match(filter);
+    if (!doc) {
+      if (!options.upsert) return { matchedCount: 0, modifiedCount: 0 };
+      const inserted = this.upsert(filter, update);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+    }
+    this.applyUpdate(doc, update, filter);
+    return { matchedCount: 1, modifiedCount: 1 };
+  }
+
+  async updateMany(filter, update) {
+    const docs = this.match(filter);
+    docs.forEach(doc => this.applyUpdate(doc, update, filter));
+    return { matchedCount: docs.length, modifiedCount: docs.length };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    let docs = this.match(filter);
+    if (options.sort) docs = new Aggregator([{ $sort: options.sort }], MINGO_OPTIONS).run(docs);
+    const [doc] = docs;
+    if (!doc) {
+      if (!options.upsert) return null;
+      const inserted = this.upsert(filter, update);
+      return options.returnDocument === 'after' ? clone(inserted) : null;
+    }
+    const before = clone(doc);
+    this.applyUpdate(doc, update, filter);
+    return options.returnDocument === 'after' ? clone(doc) : before;
+  }
+
+  async findOneAndDelete(filter) {
+    const [doc] = this.match(filter);
+    if (!doc) return null;
+    this.docs = this.docs.filter(other => other !== doc);
+    return clone(doc);
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.match(filter);
+    this.docs = this.docs.filter(other => other !== doc);
+    return { deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const docs = this.match(filter);
+    this.docs = this.docs.filter(doc => !docs.includes(doc));
+    return { deletedCount: docs.length };
+  }
+
+  aggregate(pipeline) {
+    return new MemoryCursor(new Aggregator(pipeline, MINGO_OPTIONS).run(this.docs.map(clone)));
+  }
+}
+
+class MemoryCursor {
+  constructor(docs) {
+    this.docs = docs;
+  }
+
+  sort(spec) {
+    this.docs = new Aggregator([{ $sort: spec }], MINGO_OPTIONS).run(this.docs);
+    return this;
+  }
+
+  skip(count) {
+    this.docs = this.docs.slice(count);
+    return this;
+  }
+
+  limit(count) {
+    if (count) this.docs = this.docs.slice(0, count);
+    return this;
+  }
+
+  project(spec) {
+    this.docs = new Aggregator([{ $project: spec }], MINGO_OPTIONS).run(this.docs);
+    return this;
+  }
+
+  async toArray() {
+    return this.docs.map(clone);
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for (const doc of this.docs) yield clone(doc);
+  }
+}
+
+/**
+ * An empty in-memory database
+ */
+function createMemoryDb() {
+  const collections = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, new MemoryCollection(name));
+      return collections.get(name);
+    },
+    async command() {
+      return { ok: 1 };
+    },
+  };
+}
+
+module.exports = { createMemoryDb };
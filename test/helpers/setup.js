@@ -0,0 +1,145 @@
+// test/helpers/setup.js
+//
+// Required first by every test file, before any app module: fixed settings,
+// an in-memory database in place of MongoDB, recording notification channels,
+// invoices written to a temp directory and a WhatsApp service that never
+// starts a browser.
+
+const Module = require('module');
+const os = require('os');
+const path = require('path');
+
+// Empty values keep .env from filling these in, so the defaults apply
+Object.assign(process.env, {
+  ADMIN_RECIPIENTS: JSON.stringify([{
+    name: 'Owner',
+    phone: '919800000000',
+    email: 'owner@example.com',
+    channels: ['whatsapp', 'email'],
+    events: ['order_placed', 'payment_failed', 'stray_payment', 'order_refunded', 'low_stock', 'customer_message'],
+  }]),
+  ADMIN_JWT_SECRET: 'admin_jwt_test_secret',
+  CUSTOMER_JWT_SECRET: 'customer_jwt_test_secret',
+  RAZORPAY_KEY_ID: 'rzp_test_key',
+  RAZORPAY_KEY_SECRET: 'rzp_test_secret',
+  RAZORPAY_WEBHOOK_SECRET: 'whsec_test',
+  NOTIFICATION_TRANSPORT: 'stub',
+  NOTIFICATION_CHANNELS: '',
+  RATE_LIMIT_STORE: 'memory',
+  SECURITY_CONFIG: '',
+  SHIPPING_CONFIG: '',
+  SELLER_GSTIN: '',
+  INVOICE_DIR: path.join(os.tmpdir(), `bookstore-test-invoices-${process.pid}`),
+});
+
+const whatsappPath = require.resolve('../../controllers/whatsappController');
+const whatsapp = new Module(whatsappPath);
+whatsapp.filename = whatsappPath;
+whatsapp.loaded = true;
+whatsapp.exports = {
+  isReady: false,
+  async sendMessage() {
+    return { success: false, error: 'WhatsApp is not linked in tests' };
+  },
+  async sendMediaMessage() {
+    return { success: false, error: 'WhatsApp is not linked in tests' };
+  },
+  async sendTextSMS() {
+    return { success: false, error: 'SMS is not configured in tests' };
+  },
+  async getStatus() {
+    return { isReady: false, state: 'stopped' };
+  },
+  async destroy() {},
+};
+require.cache[whatsappPath] = whatsapp;
+
+const { createMemoryDb } = require('./memoryDb');
+const dbModule = require('../../config/db');
+const { ensureIndexes } = require('../../config/indexes');
+
+let memoryDb = createMemoryDb();
+dbModule.getDb = () => memoryDb;
+dbModule.pingDatabase = () => memoryDb.command({ ping: 1 });
+
+// Services read getDb when they load, so only after the swap above
+const { reserveStock } = require('../../services/inventoryService');
+const { saveOrderToDatabase } = require('../../services/orderService');
+
+/**
+ * Start each test on an empty database with the app's indexes
+ */
+async function resetDatabase() {
+  memoryDb = createMemoryDb();
+  await ensureIndexes(memoryDb);
+  return memoryDb;
+}
+
+/**
+ * Add an active book to the catalog and return it
+ */
+async function addBook(fields = {}) {
+  const book = {
+    title: 'Bhagavad Gita',
+    price: 250,
+    stock: 10,
+    active: true,
+    createdAt: new Date(),
+    ...fields,
+  };
+  const result = await memoryDb.collection('books').insertOne(book);
+  return { ...book, _id: result.insertedId };
+}
+
+/**
+ * An unpaid prepaid order holding stock, as createOrder leaves it.
+ * Returns the order id.
+ */
+async function placePrepaidOrder(book, { quantity = 1, razorpayOrderId = 'order_test_1', ...fields } = {}) {
+  const items = [{ bookId: book._id, name: book.title, price: book.price, quantity }];
+  await reserveStock(razorpayOrderId, items);
+  const { insertedId } = await saveOrderToDatabase({
+    items,
+    subtotal: book.price * quantity,
+    shippingFee: 0,
+    total: book.price * quantity,
+    amountPaise: book.price * quantity * 100,
+    paymentMethod: 'prepaid',
+    status: 'pending_payment',
+    razorpayOrderId,
+    discount: null,
+    address: { name: 'Asha', phone: '9876543210', email: 'asha@example.com', zipCode: '452001' },
+    ...fields,
+  });
+  return insertedId;
+}
+
+/**
+ * Just enough of an Express response for calling handlers directly
+ */
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+module.exports = {
+  resetDatabase,
+  addBook,
+  placePrepaidOrder,
+  createResponse,
+};
@@ -0,0 +1,122 @@
+const { resetDatabase } = require('./helpers/setup');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { idempotent } = require('../middleware/idempotency');
+const { beginRequest } = require('../services/idempotencyService');
+
+let db;
+let server;
+let baseUrl;
+let handled;
+// Set by a test to hold the handler until it is resolved
+let holdHandler;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/orders', idempotent('orders.create'), async (req, res) => {
+    handled++;
+    if (holdHandler) await holdHandler;
+    if (req.body.fail) {
+      return res.status(400).json({ error: 'Out of stock' });
+    }
+    return res.status(200).json({ orderId: `order_${handled}` });
+  });
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(async () => {
+  db = await resetDatabase();
+  handled = 0;
+  holdHandler = null;
+});
+
+async function post(body, key) {
+  const response = await fetch(`${baseUrl}/orders`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(key !== undefined ? { 'Idempotency-Key': key } : {}) },
+    body: JSON.stringify(body),
+  });
+  return {
+    status: response.status,
+    replayed: response.headers.get('idempotent-replayed'),
+    body: await response.json(),
+  };
+}
+
+test('a retry with the same key gets the first response back without running again', async () => {
+  const first = await post({ items: [1] }, 'key-1');
+  const retry = await post({ items: [1] }, 'key-1');
+
+  assert.equal(handled, 1);
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(retry.status, 200);
+  assert.equal(first.replayed, null);
+  assert.equal(retry.replayed, 'true');
+});
+
+test('requests without a key are handled every time', async () => {
+  await post({ items: [1] });
+  await post({ items: [1] });
+
+  assert.equal(handled, 2);
+});
+
+test('reusing a key for a different request is refused', async () => {
+  await post({ items: [1] }, 'key-1');
+  const other = await post({ items: [2] }, 'key-1');
+
+  assert.equal(other.status, 422);
+  assert.equal(handled, 1);
+});
+
+test('a failed request frees its key so the retry runs', async () => {
+  const failed = await post({ fail: true }, 'key-1');
+  assert.equal(failed.status, 400);
+  assert.equal(await db.collection('idempotency_keys').countDocuments({}), 0);
+
+  // Same body, so the same key may be used again
+  const retry = await post({ fail: true }, 'key-1');
+  assert.equal(retry.replayed, null);
+  assert.equal(handled, 2);
+});
+
+test('a retry while the first request is still running gets a 409', async () => {
+  let release;
+  holdHandler = new Promise(resolve => {
+    release = resolve;
+  });
+
+  const first = post({ items: [1] }, 'key-1');
+  while (handled === 0) await new Promise(resolve => setTimeout(resolve, 5));
+  const retry = await post({ items: [1] }, 'key-1');
+  release();
+
+  assert.equal(retry.status, 409);
+  assert.equal((await first).status, 200);
+  assert.equal(handled, 1);
+});
+
+test('a key left processing by a request that died is taken over', async () => {
+  await beginRequest('orders.create', 'key-1', { items: [1] });
+  await db.collection('idempotency_keys').updateOne({ key: 'key-1' }, { $set: { lockedAt: new Date(Date.now() - 2 * 60 * 1000) } });
+
+  const retry = await post({ items: [1] }, 'key-1');
+
+  assert.equal(retry.status, 200);
+  assert.equal(retry.replayed, null);
+  assert.equal((await db.collection('idempotency_keys').findOne({ key: 'key-1' })).status, 'completed');
+});
+
+test('an empty or overlong key is refused', async () => {
+  assert.equal((await post({}, ' ')).status, 400);
+  assert.equal((await post({}, 'k'.repeat(256))).status, 400);
+  assert.equal(handled, 0);
+});
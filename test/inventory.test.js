@@ -0,0 +1,157 @@
+const { resetDatabase, addBook, placePrepaidOrder } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { transitionOrderStatus } = require('../services/orderService');
+const {
+  decrementStock,
+  reserveStock,
+  commitReservation,
+  releaseReservation,
+  releaseExpiredReservations,
+} = require('../services/inventoryService');
+
+let db;
+
+beforeEach(async () => {
+  db = await resetDatabase();
+});
+
+async function stockOf(book) {
+  return (await db.collection('books').findOne({ _id: book._id })).stock;
+}
+
+async function reservationFor(razorpayOrderId) {
+  return db.collection('stock_reservations').findOne({ razorpayOrderId });
+}
+
+test('decrementStock takes nothing when any line is short and lists every short line', async () => {
+  const plenty = await addBook({ title: 'Plenty', stock: 10 });
+  const few = await addBook({ title: 'Few', stock: 1 });
+  const none = await addBook({ title: 'None', stock: 0 });
+
+  await assert.rejects(
+    decrementStock([
+      { bookId: plenty._id, name: 'Plenty', quantity: 3 },
+      { bookId: few._id, name: 'Few', quantity: 2 },
+      { bookId: none._id, name: 'None', quantity: 1 },
+    ]),
+    error => {
+      assert.equal(error.status, 409);
+      assert.deepEqual(error.details.outOfStock.map(line => [line.name, line.available]), [['Few', 1], ['None', 0]]);
+      return true;
+    }
+  );
+
+  assert.equal(await stockOf(plenty), 10);
+  assert.equal(await stockOf(few), 1);
+});
+
+test('a reservation holds stock until it is committed', async () => {
+  const book = await addBook({ stock: 10 });
+  const items = [{ bookId: book._id, quantity: 2 }];
+
+  await reserveStock('order_a', items);
+  assert.equal(await stockOf(book), 8);
+  assert.equal((await reservationFor('order_a')).status, 'held');
+
+  assert.deepEqual(await commitReservation('order_a', items), { committed: true });
+  assert.equal(await stockOf(book), 8);
+  assert.equal((await reservationFor('order_a')).status, 'committed');
+
+  // Committed stock is sold; releasing afterwards gives nothing back
+  assert.equal(await releaseReservation('order_a'), false);
+  assert.equal(await stockOf(book), 8);
+});
+
+test('releasing a reservation gives the stock back once', async () => {
+  const book = await addBook({ stock: 10 });
+
+  await reserveStock('order_a', [{ bookId: book._id, quantity: 4 }]);
+
+  assert.equal(await releaseReservation('order_a'), true);
+  assert.equal(await releaseReservation('order_a'), false);
+  assert.equal(await stockOf(book), 10);
+});
+
+test('the sweeper releases only reservations past their hold window', async () => {
+  const book = await addBook({ stock: 10 });
+  await reserveStock('order_old', [{ bookId: book._id, quantity: 1 }]);
+  await reserveStock('order_new', [{ bookId: book._id, quantity: 2 }]);
+  await db.collection('stock_reservations').updateOne(
+    { razorpayOrderId: 'order_old' },
+    { $set: { expiresAt: new Date(Date.now() - 1000) } }
+  );
+
+  assert.equal(await releaseExpiredReservations(), 1);
+  assert.equal(await stockOf(book), 8);
+  assert.equal((await reservationFor('order_new')).status, 'held');
+});
+
+test('committing a lapsed reservation takes the stock again, or reports the shortfall', async () => {
+  const book = await addBook({ stock: 3 });
+  const items = [{ bookId: book._id, name: book.title, quantity: 2 }];
+  await reserveStock('order_a', items);
+  await releaseReservation('order_a');
+
+  assert.deepEqual(await commitReservation('order_a', items), { committed: true });
+  assert.equal(await stockOf(book), 1);
+
+  const result = await commitReservation('order_a', items);
+  assert.equal(result.committed, false);
+  assert.equal(result.outOfStock[0].available, 1);
+});
+
+test('stock comes back when the reservation cannot be recorded', async () => {
+  const book = await addBook({ stock: 5 });
+  db.collection('stock_reservations').insertOne = async () => {
+    throw new Error('write failed');
+  };
+
+  await assert.rejects(reserveStock('order_a', [{ bookId: book._id, quantity: 2 }]), /write failed/);
+  assert.equal(await stockOf(book), 5);
+});
+
+test('cancelling an unpaid order releases its reservation', async () => {
+  const book = await addBook({ stock: 10 });
+  const orderId = await placePrepaidOrder(book, { quantity: 3 });
+
+  const order = await transitionOrderStatus(String(orderId), 'cancelled', { note: 'Customer changed their mind' });
+
+  assert.equal(order.status, 'cancelled');
+  assert.deepEqual(order.statusHistory.map(entry => entry.to), ['pending_payment', 'cancelled']);
+  assert.equal(await stockOf(book), 10);
+  assert.equal((await reservationFor('order_test_1')).status, 'released');
+});
+
+test('cancelling a confirmed order puts its stock back', async () => {
+  const book = await addBook({ stock: 10 });
+  const orderId = await placePrepaidOrder(book, { quantity: 3 });
+  await transitionOrderStatus(String(orderId), 'confirmed');
+
+  await transitionOrderStatus(String(orderId), 'cancelled');
+
+  assert.equal(await stockOf(book), 10);
+});
+
+test('confirming an unpaid order by hand commits its reservation', async () => {
+  const book = await addBook({ stock: 10 });
+  const orderId = await placePrepaidOrder(book, { quantity: 3 });
+
+  await transitionOrderStatus(String(orderId), 'confirmed', { note: 'Paid by bank transfer' });
+
+  assert.equal((await reservationFor('order_test_1')).status, 'committed');
+  assert.equal(await releaseExpiredReservations(), 0);
+  assert.equal(await stockOf(book), 7);
+});
+
+test('confirming an expired order by hand takes its stock again', async () => {
+  const book = await addBook({ stock: 10 });
+  const orderId = await placePrepaidOrder(book, { quantity: 3 });
+  await transitionOrderStatus(String(orderId), 'expired');
+  await releaseReservation('order_test_1');
+  assert.equal(await stockOf(book), 10);
+
+  await transitionOrderStatus(String(orderId), 'confirmed');
+
+  assert.equal(await stockOf(book), 7);
+});
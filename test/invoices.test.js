@@ -0,0 +1,134 @@
+const { resetDatabase } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { INVOICE_CONFIG } = require('../config/invoice');
+const { financialYear, issueInvoice, getInvoicePdfPath } = require('../services/invoiceService');
+
+// Sellers without a GSTIN cannot issue invoices, so tests use one
+const SELLER = { ...INVOICE_CONFIG.seller, gstin: '23ABCDE1234F1Z5', state: 'Madhya Pradesh' };
+const YEAR = financialYear(new Date());
+let db;
+
+beforeEach(async () => {
+  db = await resetDatabase();
+  INVOICE_CONFIG.seller = SELLER;
+});
+
+/**
+ * A sold order saved in the database: two books and a COD fee
+ */
+async function addOrder(fields = {}) {
+  const order = {
+    items: [
+      { name: 'Bhagavad Gita', price: 250, quantity: 1 },
+      { name: 'Upanishads', price: 150, quantity: 2 },
+    ],
+    subtotal: 550,
+    discount: { code: 'SAVE55', amount: 55 },
+    shippingFee: 0,
+    codFee: 50,
+    total: 545,
+    paymentMethod: 'cod',
+    status: 'confirmed',
+    address: { fullName: 'Asha', phone: '9876543210', street: '12 MG Road', city: 'Indore', state: 'Madhya Pradesh', zipCode: '452001' },
+    createdAt: new Date(),
+    ...fields,
+  };
+  const { insertedId } = await db.collection('orders').insertOne(order);
+  return { ...order, _id: insertedId };
+}
+
+test('the financial year runs from April to March', () => {
+  assert.equal(financialYear(new Date(2026, 9, 19)), '2026-27');
+  assert.equal(financialYear(new Date(2026, 2, 31)), '2025-26');
+  assert.equal(financialYear(new Date(2099, 3, 1)), '2099-00');
+});
+
+test('invoices are numbered in sequence and issued once per order', async () => {
+  const first = await addOrder();
+  const second = await addOrder();
+
+  const invoice = await issueInvoice(first);
+  assert.equal(invoice.number, `INV/${YEAR}/00001`);
+  assert.equal((await issueInvoice(second)).number, `INV/${YEAR}/00002`);
+  // Asking again returns the same invoice without using a number
+  assert.equal((await issueInvoice(first)).number, invoice.number);
+  assert.equal((await db.collection('counters').findOne({ _id: `invoice:${YEAR}` })).seq, 2);
+
+  const stored = await db.collection('orders').findOne({ _id: first._id });
+  assert.equal(stored.invoiceNumber, invoice.number);
+  assert.equal(stored.invoiceClaimedAt, undefined);
+});
+
+test('the discount is spread over the books and the COD fee is taxed as a service', async () => {
+  const invoice = await issueInvoice(await addOrder());
+
+  assert.deepEqual(invoice.lines.map(line => [line.description, line.discount, line.total, line.gstRate]), [
+    ['Bhagavad Gita', 25, 225, 0],
+    ['Upanishads', 30, 270, 0],
+    ['Cash on delivery fee', 0, 50, 18],
+  ]);
+  // Within the seller's state the 18% is half CGST, half SGST
+  const { taxableValue, cgst, sgst, igst } = invoice.lines[2];
+  assert.deepEqual([taxableValue, cgst, sgst, igst], [42.37, 3.81, 3.82, 0]);
+  assert.equal(invoice.intraState, true);
+  assert.equal(invoice.totals.total, 545);
+  assert.equal(invoice.totals.discount, 55);
+});
+
+test('a buyer in another state is charged IGST', async () => {
+  const invoice = await issueInvoice(await addOrder({
+    address: { fullName: 'Ravi', phone: '9123456789', state: 'Maharashtra', zipCode: '400001' },
+  }));
+
+  assert.equal(invoice.intraState, false);
+  assert.equal(invoice.totals.igst, 7.63);
+  assert.equal(invoice.totals.cgst + invoice.totals.sgst, 0);
+});
+
+test('orders that were not sold, or a seller without a GSTIN, get no invoice', async () => {
+  await assert.rejects(issueInvoice(await addOrder({ status: 'pending_payment' })), { status: 409 });
+
+  INVOICE_CONFIG.seller = { ...SELLER, gstin: null };
+  await assert.rejects(issueInvoice(await addOrder()), { status: 503 });
+});
+
+test('two requests for the same invoice use one number', async () => {
+  const order = await addOrder();
+
+  const results = await Promise.allSettled([issueInvoice(order), issueInvoice(order)]);
+
+  // The one that lost the claim returns the invoice or asks to try again
+  for (const result of results) {
+    if (result.status === 'fulfilled') {
+      assert.equal(result.value.number, `INV/${YEAR}/00001`);
+    } else {
+      assert.equal(result.reason.status, 409);
+    }
+  }
+  assert.equal(await db.collection('invoices').countDocuments({}), 1);
+});
+
+test('a claim left by a process that died is taken over, a fresh one is not', async () => {
+  const order = await addOrder();
+  await db.collection('orders').updateOne({ _id: order._id }, { $set: { invoiceNumber: null, invoiceClaimedAt: new Date() } });
+
+  await assert.rejects(issueInvoice(order), { status: 409, message: 'The invoice for this order is still being generated' });
+
+  await db.collection('orders').updateOne(
+    { _id: order._id },
+    { $set: { invoiceClaimedAt: new Date(Date.now() - 3 * 60 * 1000) } }
+  );
+  assert.equal((await issueInvoice(order)).number, `INV/${YEAR}/00001`);
+});
+
+test('the PDF is written to the invoice directory', async () => {
+  const invoice = await issueInvoice(await addOrder());
+
+  const filePath = await getInvoicePdfPath(invoice);
+
+  assert.ok(filePath.endsWith(`INV-${YEAR}-00001.pdf`));
+  assert.equal(fs.readFileSync(filePath).subarray(0, 5).toString(), '%PDF-');
+  fs.rmSync(filePath);
+});
@@ -0,0 +1,161 @@
+const { resetDatabase } = require('./helpers/setup');
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getChannel, getStubMessages, clearStubMessages } = require('../services/channels');
+const { enqueueNotification, processOutbox, resendNotification } = require('../services/notificationOutbox');
+
+const whatsapp = getChannel('whatsapp');
+const { isReady, send } = whatsapp;
+let db;
+
+beforeEach(async () => {
+  db = await resetDatabase();
+  clearStubMessages();
+});
+
+afterEach(() => {
+  Object.assign(whatsapp, { isReady, send });
+});
+
+async function findNotification(id) {
+  return db.collection('notifications').findOne({ _id: id });
+}
+
+/**
+ * Make a queued message due now, as if its retry delay had passed
+ */
+async function makeDue(id) {
+  await db.collection('notifications').updateOne({ _id: id }, { $set: { nextAttemptAt: new Date() } });
+}
+
+async function age(id, minutes) {
+  const past = new Date(Date.now() - minutes * 60 * 1000);
+  const notification = await findNotification(id);
+  await db.collection('notifications').updateOne(
+    { _id: id },
+    { $set: { createdAt: past, expiresAt: new Date(notification.expiresAt.getTime() - minutes * 60 * 1000) } }
+  );
+}
+
+test('a queued message is delivered by the worker', async () => {
+  const { _id } = await enqueueNotification({ channel: 'whatsapp', to: '9876543210', message: 'Hello', event: 'order_placed' });
+
+  assert.equal(await processOutbox(), 1);
+
+  const notification = await findNotification(_id);
+  assert.equal(notification.status, 'sent');
+  assert.equal(notification.attempts, 1);
+  assert.deepEqual(getStubMessages().map(sent => [sent.channel, sent.to, sent.message]), [['whatsapp', '9876543210', 'Hello']]);
+});
+
+test('an unknown channel is refused when queueing', async () => {
+  await assert.rejects(enqueueNotification({ channel: 'pigeon', to: 'x', message: 'Hi' }), /Unknown notification channel/);
+});
+
+test('failed sends are retried with backoff until the attempts run out', async () => {
+  whatsapp.send = async () => ({ success: false, error: 'Number not on WhatsApp' });
+  const { _id, maxAttempts } = await enqueueNotification({ channel: 'whatsapp', to: '9876543210', message: 'Hello' });
+
+  await processOutbox();
+  let notification = await findNotification(_id);
+  assert.equal(notification.status, 'retrying');
+  assert.ok(notification.nextAttemptAt > new Date());
+  // Not due yet, so the next run leaves it alone
+  assert.equal(await processOutbox(), 0);
+
+  for (let attempt = 2; attempt <= maxAttempts; attempt++) {
+    await makeDue(_id);
+    await processOutbox();
+  }
+
+  notification = await findNotification(_id);
+  assert.equal(notification.status, 'dead');
+  assert.equal(notification.attempts, maxAttempts);
+  assert.equal(notification.deliveryAttempts.length, maxAttempts);
+  assert.equal(notification.lastError, 'Number not on WhatsApp');
+});
+
+test('a channel that is not ready defers the message without using an attempt', async () => {
+  whatsapp.isReady = () => false;
+  const { _id } = await enqueueNotification({ channel: 'whatsapp', to: '9876543210', message: 'Hello' });
+
+  await processOutbox();
+
+  const notification = await findNotification(_id);
+  assert.equal(notification.status, 'pending');
+  assert.equal(notification.attempts, 0);
+  assert.ok(notification.nextAttemptAt > new Date());
+  assert.equal(getStubMessages().length, 0);
+});
+
+test('messages that outlive their maximum age while the channel is down are dropped, not sent late', async () => {
+  whatsapp.isReady = () => false;
+  const reminder = await enqueueNotification({ channel: 'whatsapp', to: '9876543210', message: 'Your cart', event: 'checkout_reminder' });
+  const status = await enqueueNotification({ channel: 'whatsapp', to: '9876543210', message: 'Shipped', event: 'order_shipped' });
+  await processOutbox();
+
+  // A day later WhatsApp is linked again
+  await age(reminder._id, 90);
+  await age(status._id, 25 * 60);
+  await makeDue(reminder._id);
+  await makeDue(status._id);
+  whatsapp.isReady = isReady;
+  await processOutbox();
+
+  for (const { _id } of [reminder, status]) {
+    const notification = await findNotification(_id);
+    assert.equal(notification.status, 'dead');
+    assert.equal(notification.lastError, 'Expired before it could be delivered');
+  }
+  assert.equal(getStubMessages().length, 0);
+});
+
+test('short-lived events expire sooner than the default', async () => {
+  const reminder = await enqueueNotification({ channel: 'whatsapp', to: '9876543210', message: 'Your cart', event: 'checkout_reminder' });
+  const status = await enqueueNotification({ channel: 'whatsapp', to: '9876543210', message: 'Shipped', event: 'order_shipped' });
+
+  const minutesLeft = notification => Math.round((notification.expiresAt - notification.createdAt) / 60000);
+  assert.equal(minutesLeft(reminder), 60);
+  assert.equal(minutesLeft(status), 24 * 60);
+});
+
+test('a dead message can be resent with a fresh attempt budget and age', async () => {
+  whatsapp.isReady = () => false;
+  const { _id } = await enqueueNotification({ channel: 'whatsapp', to: '9876543210', message: 'Shipped', event: 'order_shipped' });
+  await age(_id, 25 * 60);
+  await makeDue(_id);
+  await processOutbox();
+  whatsapp.isReady = isReady;
+
+  const resent = await resendNotification(String(_id));
+  assert.equal(resent.status, 'pending');
+  assert.ok(resent.expiresAt > new Date(Date.now() + 23 * 60 * 60 * 1000));
+
+  await processOutbox();
+  assert.equal((await findNotification(_id)).status, 'sent');
+});
+
+test('a message with a fixed expiry cannot be resent once it has passed', async () => {
+  whatsapp.send = async () => ({ success: false, error: 'Session closed' });
+  const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
+  const { _id } = await enqueueNotification({ channel: 'whatsapp', to: '9876543210', message: 'Code 123456', event: 'login_otp', expiresAt });
+  await processOutbox();
+
+  assert.ok(await resendNotification(String(_id)));
+  assert.equal((await findNotification(_id)).expiresAt.getTime(), expiresAt.getTime());
+
+  await db.collection('notifications').updateOne({ _id }, { $set: { status: 'dead', expiresAt: new Date(Date.now() - 1000) } });
+  assert.equal(await resendNotification(String(_id)), null);
+});
+
+test('a message left in "sending" by a crashed worker is picked up again', async () => {
+  const { _id } = await enqueueNotification({ channel: 'whatsapp', to: '9876543210', message: 'Hello' });
+  await db.collection('notifications').updateOne(
+    { _id },
+    { $set: { status: 'sending', lockedAt: new Date(Date.now() - 10 * 60 * 1000) } }
+  );
+
+  await processOutbox();
+
+  assert.equal((await findNotification(_id)).status, 'sent');
+});
@@ -0,0 +1,75 @@
+const { resetDatabase, addBook, placePrepaidOrder, createResponse } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { canTransition, transitionOrderStatus } = require('../services/orderService');
+const { listOrders } = require('../controllers/orderController');
+const { phoneMatchRegex } = require('../utils/phone');
+
+let db;
+
+beforeEach(async () => {
+  db = await resetDatabase();
+});
+
+test('canTransition follows the order lifecycle', () => {
+  assert.ok(canTransition('pending_payment', 'confirmed'));
+  assert.ok(canTransition('expired', 'confirmed'));
+  assert.ok(canTransition('confirmed', 'packed'));
+  assert.ok(canTransition('shipped', 'delivered'));
+  assert.ok(!canTransition('delivered', 'cancelled'));
+  assert.ok(!canTransition('cancelled', 'confirmed'));
+  assert.ok(!canTransition('unknown', 'confirmed'));
+});
+
+test('a transition the lifecycle does not allow is refused', async () => {
+  const book = await addBook();
+  const orderId = await placePrepaidOrder(book);
+
+  await assert.rejects(transitionOrderStatus(String(orderId), 'shipped'), error => {
+    assert.equal(error.status, 409);
+    assert.deepEqual(error.details.allowedStatuses, ['confirmed', 'cancelled', 'expired']);
+    return true;
+  });
+  await assert.rejects(transitionOrderStatus('not-an-order-id', 'confirmed'), { status: 400 });
+  assert.equal((await db.collection('orders').findOne({ _id: orderId })).status, 'pending_payment');
+});
+
+async function list(query) {
+  const res = createResponse();
+  await listOrders({ query }, res);
+  return res;
+}
+
+test('listOrders finds orders by phone in any format', async () => {
+  const book = await addBook();
+  await placePrepaidOrder(book, { razorpayOrderId: 'order_a', address: { name: 'Asha', phone: '+91 98765-43210' } });
+  await placePrepaidOrder(book, { razorpayOrderId: 'order_b', address: { name: 'Ravi', phone: '9123456780' } });
+
+  const res = await list({ phone: '09876543210' });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.orders.map(order => order.razorpayOrderId), ['order_a']);
+});
+
+test('listOrders refuses a phone filter that is not a full number', async () => {
+  for (const phone of ['abc', '1', '98765']) {
+    const res = await list({ phone });
+    assert.equal(res.statusCode, 400, phone);
+  }
+});
+
+test('listOrders refuses unknown statuses and payment methods', async () => {
+  assert.equal((await list({ status: 'confirmed,lost' })).statusCode, 400);
+  assert.equal((await list({ status: { $ne: 'x' } })).statusCode, 400);
+  assert.equal((await list({ paymentMethod: 'upi' })).statusCode, 400);
+  assert.equal((await list({ paymentMethod: { $exists: true } })).statusCode, 400);
+
+  const res = await list({ status: 'pending_payment,confirmed', paymentMethod: 'prepaid' });
+  assert.equal(res.statusCode, 200);
+});
+
+test('phoneMatchRegex will not build a pattern that matches every number', () => {
+  assert.throws(() => phoneMatchRegex(''), { status: 400 });
+  assert.throws(() => phoneMatchRegex('12345'), { status: 400 });
+  assert.deepEqual(phoneMatchRegex('9876543210'), { $regex: '9\\D*8\\D*7\\D*6\\D*5\\D*4\\D*3\\D*2\\D*1\\D*0\\D*$' });
+});
@@ -0,0 +1,39 @@
+const { resetDatabase, addBook } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { priceOrder, findShippingZone } = require('../services/pricingService');
+
+const INDORE = { name: 'Asha', phone: '9876543210', zipCode: '452001', state: 'Madhya Pradesh' };
+const PUNE = { name: 'Asha', phone: '9876543210', zipCode: '411001', state: 'Maharashtra' };
+
+beforeEach(resetDatabase);
+
+test('findShippingZone prefers the longest pincode prefix, then the state', () => {
+  assert.equal(findShippingZone(INDORE).name, 'local');
+  assert.equal(findShippingZone(PUNE).name, 'metro');
+  assert.equal(findShippingZone({ zipCode: '790001', state: 'arunachal pradesh' }).name, 'remote');
+  assert.equal(findShippingZone({ zipCode: '302001', state: 'Rajasthan' }).name, 'rest_of_india');
+});
+
+test('priceOrder charges the zone fee below the free shipping threshold', async () => {
+  const book = await addBook({ price: 250 });
+
+  const quote = await priceOrder({ items: [{ bookId: String(book._id), quantity: 1 }], address: PUNE, paymentMethod: 'prepaid' });
+
+  assert.equal(quote.subtotal, 250);
+  assert.equal(quote.shippingZone, 'metro');
+  assert.equal(quote.shippingFee, 50);
+  assert.equal(quote.codFee, 0);
+  assert.equal(quote.total, 300);
+});
+
+test('priceOrder ships free from the threshold and adds the COD fee', async () => {
+  const book = await addBook({ price: 250 });
+
+  const quote = await priceOrder({ items: [{ bookId: String(book._id), quantity: 2 }], address: INDORE, paymentMethod: 'cod' });
+
+  assert.equal(quote.subtotal, 500);
+  assert.equal(quote.shippingFee, 0);
+  assert.equal(quote.codFee, 40);
+  assert.equal(quote.total, 540);
+});
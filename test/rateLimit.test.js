@@ -0,0 +1,99 @@
+const { createResponse } = require('./helpers/setup');
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SECURITY_CONFIG } = require('../config/security');
+const { rateLimit, byIp, byPhone } = require('../middleware/rateLimit');
+const { getRateLimitStore, useRateLimitStore } = require('../services/rateLimitStores');
+const memoryStore = require('../services/rateLimitStores/memoryStore');
+
+const { limit, windowSeconds } = SECURITY_CONFIG.rateLimits.orderCreateIp;
+
+beforeEach(() => {
+  memoryStore.reset();
+});
+
+afterEach(() => {
+  useRateLimitStore(memoryStore);
+});
+
+/**
+ * Run the middleware once; `passed` is whether it called next()
+ */
+async function call(middleware, req) {
+  let passed = false;
+  const res = createResponse();
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+}
+
+test('the memory store counts hits per key within a window', async () => {
+  const store = getRateLimitStore();
+  assert.equal(store.name, 'memory');
+
+  const first = await store.hit('a', 60 * 1000);
+  const second = await store.hit('a', 60 * 1000);
+  const other = await store.hit('b', 60 * 1000);
+
+  assert.equal(first.count, 1);
+  assert.equal(second.count, 2);
+  assert.equal(other.count, 1);
+  assert.equal(second.resetAt.getTime() % (60 * 1000), 0);
+  assert.ok(second.resetAt.getTime() > Date.now());
+});
+
+test('requests over the limit get a 429 with Retry-After', async () => {
+  const middleware = rateLimit('orderCreateIp', byIp);
+  const req = { ip: '203.0.113.7' };
+
+  for (let i = 0; i < limit; i++) {
+    assert.equal((await call(middleware, req)).passed, true);
+  }
+  const { passed, res } = await call(middleware, req);
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 429);
+  const retryAfter = Number(res.headers['retry-after']);
+  assert.ok(retryAfter >= 1 && retryAfter <= windowSeconds);
+  assert.equal(res.body.retryAfter, retryAfter);
+
+  // Another client still gets through
+  assert.equal((await call(middleware, { ip: '203.0.113.8' })).passed, true);
+});
+
+test('limits by phone count every format of the same number together', async () => {
+  const middleware = rateLimit('orderCreatePhone', byPhone);
+  const phoneLimit = SECURITY_CONFIG.rateLimits.orderCreatePhone.limit;
+
+  for (let i = 0; i < phoneLimit; i++) {
+    const phone = i % 2 === 0 ? '+91 98765 43210' : '9876543210';
+    assert.equal((await call(middleware, { body: { address: { phone } } })).passed, true);
+  }
+
+  assert.equal((await call(middleware, { body: { phone: '919876543210' } })).passed, false);
+});
+
+test('requests without a key are not limited', async () => {
+  const middleware = rateLimit('orderCreatePhone', byPhone);
+
+  for (let i = 0; i < 20; i++) {
+    assert.equal((await call(middleware, { body: {} })).passed, true);
+  }
+});
+
+test('requests are let through while the store is unreachable', async () => {
+  useRateLimitStore({
+    name: 'broken',
+    async hit() {
+      throw new Error('connection refused');
+    },
+  });
+  const middleware = rateLimit('orderCreateIp', byIp);
+
+  assert.equal((await call(middleware, { ip: '203.0.113.7' })).passed, true);
+});
+
+test('an unknown limit name fails when the route is set up', () => {
+  assert.throws(() => rateLimit('noSuchLimit', byIp), /No rate limit named "noSuchLimit"/);
+});
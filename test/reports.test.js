@@ -0,0 +1,132 @@
+const { resetDatabase } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const {
+  getSalesReport,
+  getPaymentMethodReport,
+  getTopBooksReport,
+  getCodOutcomeReport,
+  getNotificationReport,
+} = require('../services/reportService');
+
+const GITA = new ObjectId();
+const UPANISHADS = new ObjectId();
+let db;
+
+beforeEach(async () => {
+  db = await resetDatabase();
+});
+
+async function addOrder({ status = 'confirmed', paymentMethod = 'prepaid', total, items = [], createdAt }) {
+  await db.collection('orders').insertOne({
+    status,
+    paymentMethod,
+    total,
+    // Prepaid orders keep the exact amount charged
+    ...(paymentMethod === 'prepaid' ? { amountPaise: Math.round(total * 100) } : {}),
+    items,
+    createdAt: new Date(createdAt),
+  });
+}
+
+function line(bookId, name, price, quantity) {
+  return { bookId, name, price, quantity };
+}
+
+test('sales are grouped by day in shop time and count only sold orders', async () => {
+  await addOrder({ total: 100.1, createdAt: '2026-03-01T10:00:00Z' });
+  await addOrder({ total: 200.2, paymentMethod: 'cod', createdAt: '2026-03-01T12:00:00Z' });
+  // 01:30 on 2 March in India
+  await addOrder({ total: 0.7, createdAt: '2026-03-01T20:00:00Z' });
+  await addOrder({ status: 'cancelled', total: 999, createdAt: '2026-03-01T10:00:00Z' });
+  await addOrder({ status: 'pending_payment', total: 999, createdAt: '2026-03-01T10:00:00Z' });
+
+  const report = await getSalesReport({ interval: 'day' });
+
+  assert.deepEqual(report.rows.map(row => [row.period, row.orders, row.revenue]), [
+    ['2026-03-01', 2, 300.3],
+    ['2026-03-02', 1, 0.7],
+  ]);
+  assert.equal(report.rows[0].averageOrderValue, 150.15);
+  assert.equal(report.rows[0].codOrders, 1);
+  assert.deepEqual(report.totals, { orders: 3, revenue: 301, averageOrderValue: 100.33 });
+});
+
+test('sales can be limited to a date range and grouped by month', async () => {
+  await addOrder({ total: 10, createdAt: '2026-01-15T10:00:00Z' });
+  await addOrder({ total: 20, createdAt: '2026-02-15T10:00:00Z' });
+  await addOrder({ total: 30, createdAt: '2026-02-20T10:00:00Z' });
+
+  const report = await getSalesReport({ from: new Date('2026-02-01T00:00:00Z'), interval: 'month' });
+
+  assert.deepEqual(report.rows.map(row => [row.period, row.orders, row.revenue]), [['2026-02', 2, 50]]);
+});
+
+test('the payment method report splits orders and revenue', async () => {
+  await addOrder({ total: 300, createdAt: '2026-03-01T10:00:00Z' });
+  await addOrder({ total: 100, createdAt: '2026-03-01T10:00:00Z' });
+  await addOrder({ total: 100, paymentMethod: 'cod', createdAt: '2026-03-01T10:00:00Z' });
+
+  const report = await getPaymentMethodReport({});
+
+  assert.deepEqual(report.rows.map(row => [row.paymentMethod, row.orders, row.orderShare, row.revenue, row.revenueShare]), [
+    ['cod', 1, 33.3, 100, 20],
+    ['prepaid', 2, 66.7, 400, 80],
+  ]);
+  assert.deepEqual(report.totals, { orders: 3, revenue: 500 });
+});
+
+test('top books are ranked by copies sold', async () => {
+  await addOrder({ total: 0, createdAt: '2026-03-01T10:00:00Z', items: [line(GITA, 'Gita', 250, 1), line(UPANISHADS, 'Upanishads', 199.9, 3)] });
+  await addOrder({ total: 0, createdAt: '2026-03-01T10:00:00Z', items: [line(GITA, 'Gita', 250, 1)] });
+  await addOrder({ status: 'cancelled', total: 0, createdAt: '2026-03-01T10:00:00Z', items: [line(GITA, 'Gita', 250, 5)] });
+
+  const report = await getTopBooksReport({ limit: 10 });
+
+  assert.deepEqual(report.rows.map(row => [row.rank, row.name, row.quantity, row.orders, row.revenue]), [
+    [1, 'Upanishads', 3, 1, 599.7],
+    [2, 'Gita', 2, 2, 500],
+  ]);
+  assert.equal(report.rows[0].bookId, String(UPANISHADS));
+});
+
+test('the COD outcome report gives return and failure rates', async () => {
+  for (const status of ['delivered', 'delivered', 'delivered', 'returned', 'cancelled', 'shipped']) {
+    await addOrder({ status, paymentMethod: 'cod', total: 100, createdAt: '2026-03-01T10:00:00Z' });
+  }
+  await addOrder({ status: 'returned', total: 100, createdAt: '2026-03-01T10:00:00Z' });
+
+  const { totals } = await getCodOutcomeReport({});
+
+  assert.deepEqual(totals, {
+    orders: 6,
+    delivered: 3,
+    returned: 1,
+    cancelled: 1,
+    inProgress: 1,
+    returnRate: 25,
+    failureRate: 40,
+  });
+});
+
+test('the notification report gives delivery success per channel and event', async () => {
+  const notifications = [
+    { channel: 'whatsapp', event: 'order_placed', status: 'sent', attempts: 1 },
+    { channel: 'whatsapp', event: 'order_placed', status: 'dead', attempts: 5 },
+    { channel: 'whatsapp', event: 'order_shipped', status: 'retrying', attempts: 2 },
+    { channel: 'email', event: 'order_placed', status: 'sent', attempts: 1 },
+  ];
+  await db.collection('notifications').insertMany(notifications.map(notification => ({ ...notification, createdAt: new Date() })));
+
+  const report = await getNotificationReport({});
+
+  assert.deepEqual(report.rows.map(row => [row.channel, row.event, row.total, row.successRate, row.inQueue, row.averageAttempts]), [
+    ['email', 'order_placed', 1, 100, 0, 1],
+    ['whatsapp', 'order_placed', 2, 50, 0, 3],
+    ['whatsapp', 'order_shipped', 1, 0, 1, 2],
+  ]);
+  assert.deepEqual(report.totals.find(total => total.channel === 'whatsapp'), {
+    channel: 'whatsapp', total: 3, sent: 1, failed: 1, inQueue: 1, successRate: 50,
+  });
+});
@@ -0,0 +1,97 @@
+const { resetDatabase } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  renderTemplate,
+  validateTemplate,
+  listTemplates,
+  buildOrderVariables,
+} = require('../services/templateService');
+
+let db;
+
+beforeEach(async () => {
+  db = await resetDatabase();
+});
+
+const ORDER = {
+  _id: '665f1c2e9b1e8a0012345678',
+  address: { fullName: 'Priya & Co', phone: '9876543210' },
+  items: [{ name: 'Bhagavad Gita', quantity: 2 }],
+  subtotal: 500,
+  discount: { code: 'WELCOME50', amount: 50 },
+  total: 450,
+  paymentMethod: 'cod',
+};
+
+async function overrideTemplate(name, locale, part, body) {
+  await db.collection('message_templates').insertOne({ name, locale, part, body });
+}
+
+test('an order message fills in its variables and drops empty sections', async () => {
+  const { message, locale } = await renderTemplate('order_placed_customer', {
+    channel: 'whatsapp',
+    locale: 'en',
+    variables: buildOrderVariables(ORDER),
+  });
+
+  assert.equal(locale, 'en');
+  // Plain text, so nothing is HTML-escaped
+  assert.match(message, /^🎉 Thank you for your order, Priya & Co!/);
+  assert.match(message, /Coupon WELCOME50 saved you ₹50/);
+  assert.match(message, /Total Amount: ₹450/);
+  assert.match(message, /Payment Method: Cash on Delivery/);
+  assert.doesNotMatch(message, /Shipping:|\n{3}/);
+});
+
+test('a Hindi message is used when there is one, and English when there is not', async () => {
+  const variables = buildOrderVariables(ORDER);
+
+  const customer = await renderTemplate('order_placed_customer', { channel: 'sms', locale: 'hi', variables });
+  assert.equal(customer.locale, 'hi');
+  assert.match(customer.message, /ऑर्डर कन्फ़र्म/);
+
+  const admin = await renderTemplate('order_placed_admin', { channel: 'sms', locale: 'hi', variables });
+  assert.equal(admin.locale, 'en');
+
+  const unknown = await renderTemplate('order_placed_customer', { channel: 'sms', locale: 'fr', variables });
+  assert.equal(unknown.locale, 'en');
+});
+
+test('email without its own template uses the WhatsApp text and the subject', async () => {
+  const variables = buildOrderVariables(ORDER);
+
+  const email = await renderTemplate('order_placed_customer', { channel: 'email', locale: 'en', variables });
+  const whatsapp = await renderTemplate('order_placed_customer', { channel: 'whatsapp', locale: 'en', variables });
+
+  assert.equal(email.subject, 'Thank you for your order');
+  assert.equal(email.message, whatsapp.message);
+  assert.equal(whatsapp.subject, null);
+});
+
+test('a template saved in the database replaces the file', async () => {
+  await overrideTemplate('order_placed_customer', 'hi', 'sms', 'धन्यवाद {{name}}, कुल ₹{{total}}');
+
+  const { message } = await renderTemplate('order_placed_customer', {
+    channel: 'sms',
+    locale: 'hi',
+    variables: buildOrderVariables(ORDER),
+  });
+
+  assert.equal(message, 'धन्यवाद Priya & Co, कुल ₹450');
+  const templates = await listTemplates();
+  assert.equal(templates.order_placed_customer.hi.sms, 'database');
+  assert.equal(templates.order_placed_customer.en.sms, 'file');
+});
+
+test('a template that does not exist for a channel is a 404', async () => {
+  await assert.rejects(
+    renderTemplate('login_otp_customer', { channel: 'sms', locale: 'en', variables: {} }),
+    { status: 404, message: 'No "sms" template named "login_otp_customer"' }
+  );
+});
+
+test('a template with broken tags is reported before it is saved', () => {
+  assert.equal(validateTemplate('Hi {{name}}'), null);
+  assert.match(validateTemplate('{{#isPrepaid}}Paid'), /Unclosed section "isPrepaid"/);
+});
@@ -0,0 +1,245 @@
+const { resetDatabase, addBook, placePrepaidOrder, createResponse } = require('./helpers/setup');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const razorpay = require('../config/razorpay');
+const { handleWebhook } = require('../controllers/paymentController');
+const { transitionOrderStatus } = require('../services/orderService');
+const { refundOrderPayment } = require('../services/paymentService');
+
+let db;
+let refunds;
+
+beforeEach(async () => {
+  db = await resetDatabase();
+  refunds = [];
+  razorpay.payments.refund = async (paymentId, options) => {
+    refunds.push({ paymentId, options });
+    return { id: `rfnd_${refunds.length}`, amount: 30000, status: 'processed' };
+  };
+});
+
+async function placeOrder() {
+  const book = await addBook({ price: 250, stock: 10 });
+  const orderId = await placePrepaidOrder(book, {
+    razorpayOrderId: 'order_rzp_1',
+    shippingFee: 50,
+    total: 300,
+    amountPaise: 30000,
+    address: { name: 'Asha', phone: '9876543210', email: 'asha@example.com', zipCode: '411001' },
+  });
+  return { book, orderId };
+}
+
+/**
+ * Deliver a webhook the way Razorpay signs it
+ */
+async function deliver(event, { eventId = crypto.randomUUID(), secret = 'whsec_test' } = {}) {
+  const rawBody = Buffer.from(JSON.stringify(event));
+  const headers = {
+    'x-razorpay-signature': crypto.createHmac('sha256', secret).update(rawBody).digest('hex'),
+    'x-razorpay-event-id': eventId,
+  };
+  const req = { rawBody, body: event, get: name => headers[name.toLowerCase()] };
+  const res = createResponse();
+  await handleWebhook(req, res);
+  return res;
+}
+
+function captured(paymentId, { orderId = 'order_rzp_1', amount = 30000 } = {}) {
+  return {
+    event: 'payment.captured',
+    payload: { payment: { entity: { id: paymentId, order_id: orderId, amount, status: 'captured' } } },
+  };
+}
+
+async function findOrder(orderId) {
+  return db.collection('orders').findOne({ _id: orderId });
+}
+test('a webhook with a bad signature is refused', async () => {
+  await placeOrder();
+
+  const res = await deliver(captured('pay_1'), { secret: 'someone_else' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(await db.collection('webhook_events').countDocuments({}), 0);
+});
+
+test('a captured payment confirms the order and commits its stock', async () => {
+  const { book, orderId } = await placeOrder();
+
+  const res = await deliver(captured('pay_1'));
+
+  assert.equal(res.statusCode, 200);
+  const order = await findOrder(orderId);
+  assert.equal(order.status, 'confirmed');
+  assert.equal(order.paymentId, 'pay_1');
+  assert.equal(order.confirmedVia, 'webhook');
+  assert.equal((await db.collection('stock_reservations').findOne({ razorpayOrderId: 'order_rzp_1' })).status, 'committed');
+  assert.equal((await db.collection('books').findOne({ _id: book._id })).stock, 9);
+  assert.equal(await db.collection('notifications').countDocuments({ event: 'order_placed', orderId }) > 0, true);
+});
+
+test('a redelivered event is acknowledged without being handled again', async () => {
+  const { orderId } = await placeOrder();
+
+  await deliver(captured('pay_1'), { eventId: 'evt_1' });
+  const queued = await db.collection('notifications').countDocuments({});
+  const res = await deliver(captured('pay_1'), { eventId: 'evt_1' });
+
+  assert.deepEqual(res.body, { status: 'duplicate' });
+  assert.equal(await db.collection('notifications').countDocuments({}), queued);
+  assert.equal((await findOrder(orderId)).statusHistory.length, 2);
+});
+
+test('payment.captured and order.paid for one payment confirm the order once', async () => {
+  const { orderId } = await placeOrder();
+
+  await deliver(captured('pay_1'));
+  await deliver({ ...captured('pay_1'), event: 'order.paid' });
+
+  const order = await findOrder(orderId);
+  assert.equal(order.statusHistory.filter(entry => entry.to === 'confirmed').length, 1);
+  assert.equal(order.strayPayments, undefined);
+  assert.equal(refunds.length, 0);
+});
+
+test('a payment that does not match the order total is refunded, not confirmed', async () => {
+  const { orderId } = await placeOrder();
+
+  const res = await deliver(captured('pay_1', { amount: 100 }));
+  await deliver({ ...captured('pay_1', { amount: 100 }), event: 'order.paid' });
+
+  assert.equal(res.statusCode, 200);
+  const order = await findOrder(orderId);
+  assert.equal(order.status, 'pending_payment');
+  assert.deepEqual(refunds.map(refund => refund.paymentId), ['pay_1']);
+  assert.equal(order.strayPayments[0].reason, 'Payment amount does not match the order');
+  assert.equal(await db.collection('notifications').countDocuments({ event: 'stray_payment', orderId }), 2);
+  const recorded = await db.collection('webhook_events').findOne({});
+  assert.equal(recorded.result.expectedAmount, 30000);
+  assert.equal(recorded.result.strayPayment.refundStatus, 'processed');
+});
+
+test('a payment already recorded on another order is reported, not refunded', async () => {
+  const { orderId: paidId } = await placeOrder();
+  await deliver(captured('pay_1'));
+  const other = await addBook({ price: 300 });
+  const otherId = await placePrepaidOrder(other, { razorpayOrderId: 'order_rzp_2' });
+
+  await deliver(captured('pay_1', { orderId: 'order_rzp_2' }));
+
+  assert.equal(refunds.length, 0);
+  assert.equal((await findOrder(paidId)).status, 'confirmed');
+  const order = await findOrder(otherId);
+  assert.equal(order.status, 'pending_payment');
+  assert.equal(order.strayPayments[0].refundSkipped, 'the payment is already recorded on another order');
+  const [alert] = await db.collection('notifications').find({ event: 'stray_payment', orderId: otherId, channel: 'whatsapp' }).toArray();
+  assert.match(alert.message, /Not refunded: the payment is already recorded on another order/);
+});
+
+test('a failed payment is noted on the order, which stays pending', async () => {
+  const { orderId } = await placeOrder();
+
+  await deliver({
+    event: 'payment.failed',
+    payload: { payment: { entity: { id: 'pay_f', order_id: 'order_rzp_1', error_description: 'Card declined' } } },
+  });
+
+  const order = await findOrder(orderId);
+  assert.equal(order.status, 'pending_payment');
+  assert.deepEqual(order.paymentFailures.map(failure => failure.reason), ['Card declined']);
+});
+
+test('a failed payment made outside a checkout matches no order', async () => {
+  await placeOrder();
+
+  await deliver({
+    event: 'payment.failed',
+    payload: { payment: { entity: { id: 'pay_qr', order_id: null, error_code: 'BAD_REQUEST_ERROR' } } },
+  });
+
+  const recorded = await db.collection('webhook_events').findOne({});
+  assert.deepEqual(recorded.result, { matched: false });
+  assert.equal(await db.collection('orders').countDocuments({ paymentFailures: { $exists: true } }), 0);
+});
+
+test('a payment for an order cancelled meanwhile is refunded and admins are told', async () => {
+  const { orderId } = await placeOrder();
+  await transitionOrderStatus(String(orderId), 'cancelled');
+
+  await deliver(captured('pay_late'));
+  await deliver({ ...captured('pay_late'), event: 'order.paid' });
+
+  const order = await findOrder(orderId);
+  assert.equal(order.status, 'cancelled');
+  assert.deepEqual(refunds.map(refund => refund.paymentId), ['pay_late']);
+  assert.equal(order.strayPayments.length, 1);
+  assert.equal(order.strayPayments[0].refundStatus, 'processed');
+  assert.equal(await db.collection('notifications').countDocuments({ event: 'stray_payment', orderId }), 2);
+});
+
+test('a second payment for an order already paid is refunded', async () => {
+  const { orderId } = await placeOrder();
+
+  await deliver(captured('pay_1'));
+  await deliver(captured('pay_2'));
+
+  const order = await findOrder(orderId);
+  assert.equal(order.paymentId, 'pay_1');
+  assert.deepEqual(refunds.map(refund => refund.paymentId), ['pay_2']);
+  assert.equal(order.strayPayments[0].reason, 'Order was already paid with pay_1');
+});
+
+test('a refund Razorpay refuses is recorded for admins to handle', async () => {
+  const { orderId } = await placeOrder();
+  await transitionOrderStatus(String(orderId), 'cancelled');
+  razorpay.payments.refund = async () => {
+    throw { error: { description: 'Payment is not refundable' } };
+  };
+
+  await deliver(captured('pay_late'));
+
+  const [stray] = (await findOrder(orderId)).strayPayments;
+  assert.equal(stray.refundId, null);
+  assert.equal(stray.refundError, 'Payment is not refundable');
+  assert.equal(await db.collection('notifications').countDocuments({ event: 'stray_payment' }) > 0, true);
+});
+
+test('refund webhooks update the stray payment they belong to', async () => {
+  const { orderId } = await placeOrder();
+  await transitionOrderStatus(String(orderId), 'cancelled');
+  razorpay.payments.refund = async () => ({ id: 'rfnd_1', amount: 30000, status: 'pending' });
+  await deliver(captured('pay_late'));
+
+  await deliver({
+    event: 'refund.processed',
+    payload: { refund: { entity: { id: 'rfnd_1', payment_id: 'pay_late', amount: 30000, status: 'processed' } } },
+  });
+
+  const [stray] = (await findOrder(orderId)).strayPayments;
+  assert.equal(stray.refundStatus, 'processed');
+  assert.equal(stray.refundAmount, 300);
+});
+
+test('refundOrderPayment refunds what is left and refuses more', async () => {
+  const { orderId } = await placeOrder();
+  await deliver(captured('pay_1'));
+  razorpay.payments.refund = async (paymentId, options) => {
+    refunds.push({ paymentId, options });
+    return { id: `rfnd_${refunds.length}`, amount: options.amount, status: 'processed' };
+  };
+
+  const first = await refundOrderPayment(await findOrder(orderId), { amount: 100, reason: 'Damaged copy' });
+  assert.equal(first.amount, 100);
+  await assert.rejects(refundOrderPayment(await findOrder(orderId), { amount: 250 }), error => {
+    assert.equal(error.status, 400);
+    assert.equal(error.details.refundable, 200);
+    return true;
+  });
+
+  const rest = await refundOrderPayment(await findOrder(orderId));
+  assert.equal(rest.amount, 200);
+  assert.deepEqual(refunds.map(refund => refund.options.amount), [10000, 20000]);
+  assert.deepEqual((await findOrder(orderId)).refunds.map(refund => refund.reason), ['Damaged copy', null]);
+});
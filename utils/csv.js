@@ -0,0 +1,74 @@
+// utils/csv.js
+
+/**
+ * Quote a CSV cell when needed. Text that a spreadsheet would run as a
+ * formula (=, +, -, @) is prefixed with an apostrophe.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Turn rows of objects into CSV with a header line. Columns default to the
+ * keys of the first row.
+ */
+function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+  const lines = [columns.map(csvCell).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells with commas,
+ * doubled quotes and line breaks, CRLF line endings and a leading BOM.
+ * Blank lines are skipped.
+ */
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  if (row.some(value => value !== '')) rows.push(row);
+  return rows;
+}
+
+module.exports = { csvCell, toCsv, parseCsv };
@@ -0,0 +1,26 @@
+// utils/errors.js
+
+/**
+ * Error carrying an HTTP status and optional extra payload for the response.
+ * Services throw it; controllers turn it into `res.status(status).json(...)`.
+ */
+class AppError extends Error {
+  constructor(message, status = 400, details = undefined) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Send an AppError as a JSON response, or a 500 with the given prefix otherwise
+ */
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof AppError) {
+    return res.status(error.status).json({ error: error.message, ...(error.details || {}) });
+  }
+  return res.status(500).json({ error: `${fallbackMessage}: ${error.message}` });
+}
+
+module.exports = { AppError, sendError };
@@ -0,0 +1,30 @@
+// utils/money.js
+
+/**
+ * Prices are stored in rupees, but arithmetic that feeds Razorpay or a total
+ * is done in whole paise so it never ends up with fractions of a paisa.
+ */
+
+function toPaise(rupees) {
+  return Math.round(Number(rupees) * 100);
+}
+
+function fromPaise(paise) {
+  return paise / 100;
+}
+
+/**
+ * Round a rupee amount to whole paise
+ */
+function roundRupees(rupees) {
+  return fromPaise(toPaise(rupees));
+}
+
+/**
+ * True when a rupee amount has no fractions of a paisa
+ */
+function isWholePaise(rupees) {
+  return Number.isFinite(rupees) && Math.abs(rupees * 100 - Math.round(rupees * 100)) < 1e-6;
+}
+
+module.exports = { toPaise, fromPaise, roundRupees, isWholePaise };
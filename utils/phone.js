@@ -0,0 +1,33 @@
+// utils/phone.js
+
+const { AppError } = require('./errors');
+
+/**
+ * Last 10 digits of an Indian phone number, whatever prefix or separators it had
+ */
+function lastTenDigits(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+/**
+ * Whether the input holds a full 10-digit number
+ */
+function isFullPhone(phone) {
+  return lastTenDigits(phone).length === 10;
+}
+
+/**
+ * Mongo regex matching a stored phone number by its last 10 digits,
+ * so "+91 98765-43210", "09876543210" and "9876543210" all match.
+ * Anything shorter would match every number ending in those digits,
+ * or every number at all, so it throws a 400 AppError instead.
+ */
+function phoneMatchRegex(phone) {
+  if (!isFullPhone(phone)) {
+    throw new AppError('Phone number must have 10 digits');
+  }
+  const digits = lastTenDigits(phone).split('');
+  return { $regex: `${digits.join('\\D*')}\\D*$` };
+}
+
+module.exports = { lastTenDigits, isFullPhone, phoneMatchRegex };
@@ -0,0 +1,82 @@
+// utils/validation.js
+
+const { z } = require('zod');
+const { ObjectId } = require('mongodb');
+const { AppError } = require('./errors');
+const { isWholePaise } = require('./money');
+
+/**
+ * Indian mobile number. Spaces, dashes and a +91/91/0 prefix are accepted;
+ * the parsed value is the bare 10 digits.
+ */
+const indianPhone = z.string({ required_error: 'Phone number is required' })
+  .transform(value => value.replace(/[\s()-]/g, '').replace(/^(\+91|91|0)(?=\d{10}$)/, ''))
+  .refine(value => /^[6-9]\d{9}$/.test(value), 'Must be a 10-digit Indian mobile number');
+
+/**
+ * Six-digit Indian pincode, which never starts with 0
+ */
+const pincode = z.string({ required_error: 'Pincode is required' })
+  .transform(value => value.replace(/\s/g, ''))
+  .refine(value => /^[1-9]\d{5}$/.test(value), 'Must be a 6-digit pincode');
+
+const email = z.string({ required_error: 'Email is required' }).trim().toLowerCase().email('Must be a valid email address');
+
+/**
+ * Rupee amount in whole paise
+ */
+const money = z.number({ invalid_type_error: 'Must be a number' })
+  .nonnegative('Cannot be negative')
+  .refine(isWholePaise, 'Cannot have fractions of a paisa');
+
+const objectId = z.string().refine(value => ObjectId.isValid(value) && value.length === 24, 'Must be a valid id');
+
+const requiredText = (label, max = 200) =>
+  z.string({ required_error: `${label} is required`, invalid_type_error: `${label} must be a string` })
+    .trim()
+    .min(1, `${label} is required`)
+    .max(max, `${label} is too long`);
+
+const addressSchema = z.object({
+  fullName: requiredText('Full name', 100),
+  street: requiredText('Street'),
+  city: requiredText('City', 100),
+  state: requiredText('State', 100),
+  zipCode: pincode,
+  email,
+  phone: indianPhone,
+});
+
+/**
+ * Turn zod issues into [{ field: 'address.phone', message }]
+ */
+function formatIssues(error) {
+  return error.issues.map(issue => ({
+    field: issue.path.join('.') || null,
+    message: issue.message,
+  }));
+}
+
+/**
+ * Parse data against a schema, throwing a 400 AppError with field errors
+ */
+function parseOrThrow(schema, data) {
+  const result = schema.safeParse(data);
+  if (!result.success) {
+    throw new AppError('Validation failed', 400, { fields: formatIssues(result.error) });
+  }
+  return result.data;
+}
+
+module.exports = {
+  z,
+  indianPhone,
+  pincode,
+  email,
+  money,
+  objectId,
+  requiredText,
+  addressSchema,
+  formatIssues,
+  parseOrThrow,
+};